@@ -20,7 +20,8 @@ program
     .option('-t, --thread <number>', 'number of worker threads', os.cpus().length.toString())
     .option('-h, --host <string>', 'host address', 'localhost')
     .option('-d, --data <path>', 'data directory path', './data')
-    .option('-r, --redis <string>', 'redis connection string', 'redis://localhost:6379')
+    .option('-i, --index-backend <type>', 'index storage: file, memory (requires --thread 1) or redis')
+    .option('-r, --redis <string>', 'redis connection string')
     .option('-e, --encryption-key <string>', 'encryption key', 'default-encryption-key')
     .option('-f, --fix-indexes', 'fix corrupted indexes before starting', false)
     .action(async (options) => {
@@ -38,7 +39,8 @@ program
                 threadCount: parseInt(options.thread),
                 host: options.host,
                 dataPath: path.resolve(options.data),
-                redisUrl: options.redis,
+                indexBackend: options.indexBackend || (options.redis ? 'redis' : 'file'),
+                redisUrl: options.redis || 'redis://localhost:6379',
                 encryptionKey: options.encryptionKey
             });
 
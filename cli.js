@@ -3,6 +3,7 @@
 const { Command } = require('commander');
 const Server = require('./lib/Server');
 const path = require('path');
+const fs = require('fs').promises;
 const os = require('os');
 
 // Загружаем .env файл если существует
@@ -14,6 +15,13 @@ try {
 
 const program = new Command();
 
+// Хранилище индексов из общих параметров: сервер и команды должны открывать
+// каталог данных с одним и тем же бэкендом индексов
+const getIndexOptions = options => ({
+    indexBackend: options.indexBackend || (options.redis ? 'redis' : 'file'),
+    redisUrl: options.redis || 'redis://localhost:6379'
+});
+
 program
     .name('bsondb')
     .description('BsonDB NoSQL Database Server - A simple embedded NoSQL database with BSON files and encryption')
@@ -25,7 +33,8 @@ program
     .option('-t, --thread <number>', 'number of worker threads (default: CPU cores)', os.cpus().length.toString())
     .option('-h, --host <string>', 'host address (default: localhost)', 'localhost')
     .option('-d, --data <path>', 'data directory path (default: ./data)', './data')
-    .option('-r, --redis <string>', 'redis connection string for indexes (default: redis://localhost:6379)', 'redis://localhost:6379')
+    .option('-i, --index-backend <type>', 'index storage: file, memory (requires --thread 1) or redis (default: file, redis when --redis is given)')
+    .option('-r, --redis <string>', 'redis connection string for indexes (default: redis://localhost:6379)')
     .option('-e, --encryption-key <string>', 'encryption key for data security', process.env.BSONDB_ENCRYPTION_KEY || null)
     .action(async (options) => {
         try {
@@ -34,7 +43,7 @@ program
                 threadCount: parseInt(options.thread),
                 host: options.host,
                 dataPath: path.resolve(options.data),
-                redisUrl: options.redis,
+                ...getIndexOptions(options),
                 encryptionKey: options.encryptionKey
             });
 
@@ -75,7 +84,7 @@ program
             console.log('\n💡 Troubleshooting tips:');
             console.log('   • Check if port 6458 is available');
             console.log('   • Ensure data directory is writable');
-            console.log('   • Verify Redis connection if using indexes');
+            console.log('   • Verify Redis connection if using --index-backend redis');
             process.exit(1);
         }
     });
@@ -89,6 +98,218 @@ program
         console.log('Node.js', process.version);
     });
 
+// Смена ключа шифрования. Повторный запуск с теми же ключами продолжает прерванную смену
+program
+    .command('rekey')
+    .description('Re-encrypt databases with a new encryption key')
+    .option('--db <name>', 'database name (default: every database in the data directory)')
+    .option('--old-key <string>', 'current encryption key (omit for an unencrypted database)')
+    .option('--new-key <string>', 'new encryption key (omit to remove encryption)')
+    .action(async (options) => {
+        const Database = require('./lib/Database');
+        const dataPath = path.resolve(program.opts().data);
+
+        try {
+            const names = options.db
+                ? [options.db]
+                : (await fs.readdir(dataPath, { withFileTypes: true }))
+                    .filter(entry => entry.isDirectory())
+                    .map(entry => entry.name);
+
+            for (const name of names) {
+                // Новый ключ нужен для чтения файлов, перешифрованных до прерывания
+                const db = new Database(name, {
+                    dataPath,
+                    encryptionKey: options.oldKey || null,
+                    decryptionKeys: options.newKey ? [options.newKey] : [],
+                    ttlInterval: 0,
+                    ...getIndexOptions(program.opts())
+                });
+                await db.init();
+                try {
+                    const report = await db.rotateEncryptionKey(options.oldKey || null, options.newKey || null);
+                    console.log(`✅ ${name}: ${report.collections} collections, ${report.rewritten} files rewritten, ${report.verified} verified`);
+                } finally {
+                    await db.close();
+                }
+            }
+        } catch (error) {
+            console.error('❌ Re-encryption failed:', error.message);
+            console.log('💡 Run the same command again to resume');
+            process.exit(1);
+        }
+    });
+
+// Резервная копия базы в архив; сервер при этом может работать
+program
+    .command('backup <db> <archive>')
+    .description('Write a consistent backup archive of a database')
+    .action(async (name, archive) => {
+        const Database = require('./lib/Database');
+        const { data, encryptionKey } = program.opts();
+
+        try {
+            const db = new Database(name, {
+                dataPath: path.resolve(data),
+                encryptionKey,
+                ttlInterval: 0,
+                ...getIndexOptions(program.opts())
+            });
+            await db.init();
+            try {
+                const report = await db.backup(path.resolve(archive));
+                console.log(`✅ ${name}: ${report.files} files, ${report.bytes} bytes written to ${report.path}`);
+            } finally {
+                await db.close();
+            }
+        } catch (error) {
+            console.error('❌ Backup failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('restore <archive>')
+    .description('Restore a database from a backup archive')
+    .option('--db <name>', 'database name (default: the name stored in the archive)')
+    .option('--until <time>', 'replay operation logs up to this ISO 8601 time')
+    .option('--overwrite', 'replace an existing database (stop the server first)')
+    .action(async (archive, options) => {
+        const Database = require('./lib/Database');
+        const { data, encryptionKey } = program.opts();
+
+        try {
+            const db = await Database.restore(path.resolve(archive), {
+                dataPath: path.resolve(data),
+                encryptionKey,
+                name: options.db,
+                until: options.until,
+                overwrite: Boolean(options.overwrite),
+                ttlInterval: 0,
+                ...getIndexOptions(program.opts())
+            });
+            console.log(`✅ Restored ${db.name} with ${db.collections.size} collections`);
+            await db.close();
+        } catch (error) {
+            console.error('❌ Restore failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+program
+    .command('export <db> <collection>')
+    .description('Export a collection as Extended JSON, NDJSON or CSV')
+    .option('-o, --out <file>', 'output file (default: standard output)')
+    .option('--format <format>', 'ejson, ndjson or csv (default: from the file extension, ndjson for standard output)')
+    .option('--fields <list>', 'comma-separated fields; CSV columns')
+    .option('--query <json>', 'Extended JSON query')
+    .option('--sort <json>', 'sort specification, e.g. {"name":1}')
+    .action(async (name, collectionName, options) => {
+        const Database = require('./lib/Database');
+        const { EJSON } = require('bson');
+        const { data, encryptionKey } = program.opts();
+        try {
+            // Сообщения базы не должны попасть в выгрузку на stdout
+            const db = new Database(name, {
+                dataPath: path.resolve(data),
+                encryptionKey,
+                ttlInterval: 0,
+                logger: options.out ? console : { log: console.error },
+                ...getIndexOptions(program.opts())
+            });
+            await db.init();
+            try {
+                const collection = db.collection(collectionName);
+                if (!collection) throw new Error(`Collection ${collectionName} not found`);
+                const report = await collection.exportTo(options.out ? path.resolve(options.out) : process.stdout, {
+                    format: options.format || (options.out ? undefined : 'ndjson'),
+                    fields: options.fields ? splitList(options.fields) : undefined,
+                    query: options.query ? EJSON.parse(options.query) : {},
+                    sort: options.sort ? JSON.parse(options.sort) : undefined
+                });
+                console.error(`✅ Exported ${report.exported} documents from ${name}.${collectionName}`);
+            } finally {
+                await db.close();
+            }
+        } catch (error) {
+            console.error('❌ Export failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('import <db> <collection> <file>')
+    .description('Import Extended JSON, NDJSON or CSV into a collection')
+    .option('--format <format>', 'ejson, ndjson or csv (default: from the file extension)')
+    .option('--fields <list>', 'CSV columns to import; column names with --no-header-line')
+    .option('--no-header-line', 'CSV file has no header row')
+    .option('--type <field=type>', 'CSV column type: string, number, boolean, date, objectId or json (repeatable)',
+        (value, types) => {
+            const [field, type] = value.split('=');
+            return { ...types, [field]: type };
+        }, {})
+    .option('--batch-size <number>', 'documents per write (default: 1000)')
+    .option('--upsert-key <fields>', 'replace documents with the same values of these comma-separated fields')
+    .option('--schema <file>', 'module exporting a Model schema to validate documents against')
+    .option('--dry-run', 'validate the file without writing')
+    .option('--skip-invalid', 'skip invalid documents instead of stopping')
+    .action(async (name, collectionName, file, options) => {
+        const Database = require('./lib/Database');
+        const Model = require('./lib/Model');
+        const { data, encryptionKey } = program.opts();
+
+        try {
+            const db = new Database(name, {
+                dataPath: path.resolve(data),
+                encryptionKey,
+                ttlInterval: 0,
+                ...getIndexOptions(program.opts())
+            });
+            await db.init();
+            try {
+                // Коллекция, созданная для пробного прогона, затем удаляется
+                const created = !db.collection(collectionName);
+                const collection = db.collection(collectionName) || await db.createCollection(collectionName);
+                let model;
+                if (options.schema) {
+                    model = new Model(collectionName, require(path.resolve(options.schema)));
+                    model.setCollection(collection);
+                }
+
+                let report;
+                try {
+                    report = await collection.importFrom(path.resolve(file), {
+                        format: options.format,
+                        fields: options.fields ? splitList(options.fields) : undefined,
+                        headerLine: options.headerLine,
+                        types: options.type,
+                        batchSize: options.batchSize ? parseInt(options.batchSize) : undefined,
+                        upsertKey: options.upsertKey ? splitList(options.upsertKey) : undefined,
+                        model,
+                        dryRun: Boolean(options.dryRun),
+                        stopOnError: !options.skipInvalid
+                    });
+                } finally {
+                    if (created && options.dryRun) await db.dropCollection(collectionName);
+                }
+
+                for (const { line, message } of report.errors) {
+                    console.log(`⚠️ Line ${line}: ${message}`);
+                }
+                console.log(report.dryRun
+                    ? `✅ Dry run: ${report.valid} valid, ${report.invalid} invalid of ${report.processed} documents`
+                    : `✅ Imported into ${name}.${collectionName}: ${report.inserted} inserted, ${report.updated} replaced, ${report.invalid} skipped`);
+            } finally {
+                await db.close();
+            }
+        } catch (error) {
+            console.error('❌ Import failed:', error.message);
+            process.exit(1);
+        }
+    });
+
 // Добавляем команду для проверки здоровья
 program
     .command('health')
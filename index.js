@@ -1,5 +1,6 @@
 const Database = require('./lib/Database');
 const Model = require('./lib/Model');
+const Errors = require('./lib/Errors');
 
 class BsonDB {
     constructor() {
@@ -14,6 +15,7 @@ class BsonDB {
             this.connections.set(databaseName, db);
             return db;
         } catch (error) {
+            if (error instanceof Errors.BsonDBError) throw error;
             throw new Error(`Failed to connect to database: ${error.message}`);
         }
     }
@@ -73,4 +75,5 @@ const bsondb = new BsonDB();
 module.exports = bsondb;
 module.exports.BsonDB = BsonDB;
 module.exports.Database = Database;
-module.exports.Model = Model;
\ No newline at end of file
+module.exports.Model = Model;
+Object.assign(module.exports, Errors);
\ No newline at end of file
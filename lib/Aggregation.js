@@ -0,0 +1,395 @@
+const { QueryError } = require('./Errors');
+const {
+    isPlainObject,
+    cloneDocument,
+    getPathValues,
+    expandValues,
+    valuesEqual,
+    compareValues,
+    getValueAtPath,
+    setValueAtPath,
+    unsetValueAtPath,
+    includePath
+} = require('./DocumentUtils');
+
+const ACCUMULATORS = new Set(['$sum', '$avg', '$min', '$max', '$push', '$addToSet', '$first', '$last']);
+
+// Конвейер агрегации коллекции. Стадии работают с документами коллекции только
+// на чтение: новые документы создают $project, $addFields, $unwind, $group и $lookup
+class Aggregation {
+    constructor(collection, pipeline, options = {}) {
+        if (!Array.isArray(pipeline)) {
+            throw new QueryError('Aggregation pipeline must be an array of stages');
+        }
+        this.collection = collection;
+        this.pipeline = pipeline;
+        this.options = options;
+    }
+
+    async run() {
+        const stages = this.pipeline.map(stage => this.parseStage(stage));
+        let documents;
+
+        // Первую стадию $match можно выполнить по индексу
+        if (stages.length > 0 && stages[0].name === '$match') {
+            const { documents: candidates } = await this.collection.getCandidates(stages[0].spec, this.options.session);
+            documents = candidates.filter(doc => this.collection.matchDocument(doc, stages[0].spec));
+            stages.shift();
+        } else {
+            documents = await this.collection.getDocuments(this.options.session);
+        }
+
+        for (const { name, spec } of stages) {
+            documents = await this.runStage(name, spec, documents);
+        }
+
+        return documents.map(doc => cloneDocument(doc));
+    }
+
+    parseStage(stage) {
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new QueryError('Each pipeline stage must be an object with exactly one field');
+        }
+        return { name: keys[0], spec: stage[keys[0]] };
+    }
+
+    async runStage(name, spec, documents) {
+        switch (name) {
+            case '$match':
+                if (!isPlainObject(spec)) throw new QueryError('$match requires an object');
+                return documents.filter(doc => this.collection.matchDocument(doc, spec));
+            case '$project':
+                return documents.map(doc => this.project(doc, spec));
+            case '$addFields':
+            case '$set':
+                return documents.map(doc => this.addFields(doc, spec));
+            case '$group':
+                return this.group(documents, spec);
+            case '$sort':
+                if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+                    throw new QueryError('$sort requires a non-empty object');
+                }
+                return this.collection.sortDocuments(documents.slice(), spec);
+            case '$skip':
+                return documents.slice(this.getCount(name, spec));
+            case '$limit':
+                return documents.slice(0, this.getCount(name, spec));
+            case '$unwind':
+                return this.unwind(documents, spec);
+            case '$count':
+                if (typeof spec !== 'string' || spec === '' || spec.startsWith('$') || spec.includes('.')) {
+                    throw new QueryError('$count requires a non-empty field name');
+                }
+                return documents.length > 0 ? [{ [spec]: documents.length }] : [];
+            case '$lookup':
+                return await this.lookup(documents, spec);
+            default:
+                throw new QueryError(`Unknown pipeline stage: ${name}`);
+        }
+    }
+
+    getCount(stage, value) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new QueryError(`${stage} requires a non-negative integer`);
+        }
+        return value;
+    }
+
+    // Выражения: '$path' - значение поля, { $op: args } - оператор, остальное - литерал
+    evaluate(doc, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getFieldValue(doc, expression.slice(1).split('.'));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluate(doc, item));
+        }
+        if (!isPlainObject(expression)) {
+            return expression;
+        }
+
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            return this.evaluateOperator(doc, keys[0], expression[keys[0]]);
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            result[key] = this.evaluate(doc, value);
+        }
+        return result;
+    }
+
+    // '$items.sku' по массиву документов дает массив значений, как в MongoDB
+    getFieldValue(value, segments) {
+        if (segments.length === 0) return value;
+        const [head, ...rest] = segments;
+
+        if (Array.isArray(value)) {
+            return value
+                .map(item => this.getFieldValue(item, segments))
+                .filter(item => item !== undefined);
+        }
+        return isPlainObject(value) ? this.getFieldValue(value[head], rest) : undefined;
+    }
+
+    // Устанавливает поле в поверхностной копии документа, не затрагивая вложенные
+    // документы коллекции
+    setField(result, path, value) {
+        const segments = path.split('.');
+        if (segments.length > 1) {
+            result[segments[0]] = cloneDocument(result[segments[0]]);
+        }
+        setValueAtPath(result, segments, value);
+    }
+
+    evaluateOperator(doc, operator, args) {
+        if (operator === '$literal') return args;
+
+        const values = Array.isArray(args) ? args.map(arg => this.evaluate(doc, arg)) : [this.evaluate(doc, args)];
+        const numbers = () => {
+            if (values.some(value => value !== null && value !== undefined && typeof value !== 'number')) {
+                throw new QueryError(`${operator} only supports numeric arguments`);
+            }
+            return values;
+        };
+
+        switch (operator) {
+            case '$add':
+                return numbers().some(value => value == null) ? null : values.reduce((sum, value) => sum + value, 0);
+            case '$multiply':
+                return numbers().some(value => value == null) ? null : values.reduce((product, value) => product * value, 1);
+            case '$subtract':
+            case '$divide': {
+                if (values.length !== 2) throw new QueryError(`${operator} requires exactly two arguments`);
+                const [a, b] = values;
+                if (a instanceof Date && operator === '$subtract') {
+                    return b instanceof Date ? a.getTime() - b.getTime() : new Date(a.getTime() - b);
+                }
+                numbers();
+                if (a == null || b == null) return null;
+                if (operator === '$divide' && b === 0) throw new QueryError('$divide by zero');
+                return operator === '$subtract' ? a - b : a / b;
+            }
+            case '$concat':
+                if (values.some(value => value == null)) return null;
+                if (values.some(value => typeof value !== 'string')) {
+                    throw new QueryError('$concat only supports strings');
+                }
+                return values.join('');
+            case '$ifNull':
+                return values.find(value => value !== null && value !== undefined) ?? null;
+            case '$size':
+                if (!Array.isArray(values[0])) throw new QueryError('$size requires an array');
+                return values[0].length;
+            case '$toLower':
+            case '$toUpper':
+                if (values[0] == null) return '';
+                return operator === '$toLower' ? String(values[0]).toLowerCase() : String(values[0]).toUpperCase();
+            case '$eq':
+            case '$ne':
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte': {
+                if (values.length !== 2) throw new QueryError(`${operator} requires exactly two arguments`);
+                const diff = compareValues(values[0], values[1]);
+                return {
+                    $eq: diff === 0, $ne: diff !== 0, $gt: diff > 0, $gte: diff >= 0, $lt: diff < 0, $lte: diff <= 0
+                }[operator];
+            }
+            case '$cond': {
+                const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+                return this.isTruthy(this.evaluate(doc, condition))
+                    ? this.evaluate(doc, then)
+                    : this.evaluate(doc, otherwise);
+            }
+            default:
+                throw new QueryError(`Unknown expression operator: ${operator}`);
+        }
+    }
+
+    isTruthy(value) {
+        return value !== false && value !== null && value !== undefined && value !== 0;
+    }
+
+    // $project: включение или исключение полей; вычисляемые поля - режим включения
+    project(doc, spec) {
+        if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+            throw new QueryError('$project requires a non-empty object');
+        }
+
+        const entries = Object.entries(spec).filter(([key]) => key !== '_id');
+        const isFlag = value => value === 0 || value === 1 || typeof value === 'boolean';
+        const exclusion = entries.length > 0
+            ? entries.every(([, value]) => isFlag(value) && !value)
+            : spec._id === 0 || spec._id === false;
+
+        if (exclusion) {
+            if (entries.some(([, value]) => !isFlag(value) || value)) {
+                throw new QueryError('$project cannot mix inclusion and exclusion');
+            }
+            const result = cloneDocument(doc);
+            for (const [key, value] of Object.entries(spec)) {
+                if (!value) unsetValueAtPath(result, key.split('.'));
+            }
+            return result;
+        }
+
+        const result = {};
+        if (spec._id === undefined || (isFlag(spec._id) && spec._id)) {
+            if (doc._id !== undefined) result._id = doc._id;
+        } else if (!isFlag(spec._id)) {
+            result._id = this.evaluate(doc, spec._id);
+        }
+
+        for (const [key, value] of entries) {
+            if (isFlag(value)) {
+                if (!value) throw new QueryError('$project cannot mix inclusion and exclusion');
+                includePath(doc, result, key.split('.'));
+            } else {
+                setValueAtPath(result, key.split('.'), this.evaluate(doc, value));
+            }
+        }
+        return result;
+    }
+
+    addFields(doc, spec) {
+        if (!isPlainObject(spec)) {
+            throw new QueryError('$addFields requires an object');
+        }
+        const result = { ...doc };
+        for (const [key, value] of Object.entries(spec)) {
+            this.setField(result, key, this.evaluate(doc, value));
+        }
+        return result;
+    }
+
+    group(documents, spec) {
+        if (!isPlainObject(spec) || !('_id' in spec)) {
+            throw new QueryError('$group requires an _id expression');
+        }
+
+        const accumulators = Object.entries(spec).filter(([key]) => key !== '_id').map(([field, value]) => {
+            const keys = isPlainObject(value) ? Object.keys(value) : [];
+            if (keys.length !== 1 || !ACCUMULATORS.has(keys[0])) {
+                throw new QueryError(`$group field '${field}' must use one of ${[...ACCUMULATORS].join(', ')}`);
+            }
+            return { field, operator: keys[0], expression: value[keys[0]] };
+        });
+
+        const groups = [];
+        for (const doc of documents) {
+            const id = this.evaluate(doc, spec._id) ?? null;
+            let group = groups.find(candidate => valuesEqual(candidate.id, id));
+            if (!group) {
+                group = { id, values: accumulators.map(() => []) };
+                groups.push(group);
+            }
+            accumulators.forEach(({ expression }, index) => {
+                group.values[index].push(this.evaluate(doc, expression));
+            });
+        }
+
+        return groups.map(({ id, values }) => {
+            const result = { _id: id };
+            accumulators.forEach(({ field, operator }, index) => {
+                result[field] = this.accumulate(operator, values[index]);
+            });
+            return result;
+        });
+    }
+
+    accumulate(operator, values) {
+        const present = values.filter(value => value !== undefined && value !== null);
+
+        switch (operator) {
+            case '$sum':
+                return present.filter(value => typeof value === 'number').reduce((sum, value) => sum + value, 0);
+            case '$avg': {
+                const numbers = present.filter(value => typeof value === 'number');
+                return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+            }
+            case '$min':
+            case '$max':
+                if (present.length === 0) return null;
+                return present.reduce((best, value) => {
+                    const diff = compareValues(value, best);
+                    return (operator === '$min' ? diff < 0 : diff > 0) ? value : best;
+                });
+            case '$push':
+                return values.filter(value => value !== undefined);
+            case '$addToSet':
+                return values.filter(value => value !== undefined).reduce((set, value) => {
+                    if (!set.some(existing => valuesEqual(existing, value))) set.push(value);
+                    return set;
+                }, []);
+            case '$first':
+                return values.length > 0 ? values[0] ?? null : null;
+            case '$last':
+                return values.length > 0 ? values[values.length - 1] ?? null : null;
+        }
+    }
+
+    unwind(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        if (!isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+            throw new QueryError("$unwind requires a field path starting with '$'");
+        }
+
+        const segments = options.path.slice(1).split('.');
+        const results = [];
+
+        for (const doc of documents) {
+            const value = getValueAtPath(doc, segments);
+            const items = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+
+            if (items.length === 0) {
+                if (options.preserveNullAndEmptyArrays) {
+                    const copy = cloneDocument(doc);
+                    if (Array.isArray(value)) unsetValueAtPath(copy, segments);
+                    if (options.includeArrayIndex) copy[options.includeArrayIndex] = null;
+                    results.push(copy);
+                }
+                continue;
+            }
+
+            items.forEach((item, index) => {
+                const copy = cloneDocument(doc);
+                setValueAtPath(copy, segments, item);
+                if (options.includeArrayIndex) {
+                    copy[options.includeArrayIndex] = Array.isArray(value) ? index : null;
+                }
+                results.push(copy);
+            });
+        }
+
+        return results;
+    }
+
+    // $lookup: левое внешнее соединение с другой коллекцией той же базы
+    async lookup(documents, spec) {
+        const { from, localField, foreignField, as } = isPlainObject(spec) ? spec : {};
+        if (![from, localField, foreignField, as].every(value => typeof value === 'string' && value !== '')) {
+            throw new QueryError('$lookup requires from, localField, foreignField and as');
+        }
+
+        const foreign = this.collection.database.collection(from);
+        const foreignDocs = foreign ? await foreign.getDocuments(this.options.session) : [];
+
+        return documents.map(doc => {
+            const localValues = expandValues(getPathValues(doc, localField));
+            const matches = foreignDocs.filter(other => {
+                const foreignValues = expandValues(getPathValues(other, foreignField));
+                return localValues.some(local => foreignValues.some(value =>
+                    (local == null && value == null) || valuesEqual(local, value)
+                ));
+            });
+            const result = { ...doc };
+            this.setField(result, as, matches);
+            return result;
+        });
+    }
+}
+
+module.exports = Aggregation;
@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const TEMP_SUFFIX = '.tmp';
+
+// Временные файлы старше этого считаются брошенными после сбоя
+const STALE_TEMP_AGE = 60 * 1000;
+
+async function syncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fs.open(dirPath, 'r');
+        await handle.sync();
+    } catch (error) {
+        // Не все платформы позволяют fsync каталога (например, Windows)
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+// Пишет во временный файл рядом с целевым, делает fsync и атомарно переименовывает.
+// При сбое на диске остается либо старая, либо новая версия файла целиком
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+    const handle = await fs.open(tempPath, 'w');
+
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } catch (error) {
+        await handle.close();
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    await handle.close();
+
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    await syncDirectory(path.dirname(filePath));
+}
+
+// Создает файл, только если его еще нет: содержимое пишется во временный файл,
+// который затем атомарно связывается с целевым именем. Возвращает false, если
+// файл уже создан (например, другим процессом)
+async function writeFileExclusive(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+    const handle = await fs.open(tempPath, 'w');
+
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.link(tempPath, filePath);
+    } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+    } finally {
+        await fs.unlink(tempPath).catch(() => {});
+    }
+    await syncDirectory(path.dirname(filePath));
+    return true;
+}
+
+// Дописывает данные в конец файла и дожидается их сброса на диск
+async function appendFileDurable(filePath, data) {
+    const handle = await fs.open(filePath, 'a');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+async function removeStaleTempFiles(dirPath) {
+    let files;
+    try {
+        files = await fs.readdir(dirPath);
+    } catch (error) {
+        return;
+    }
+
+    for (const file of files.filter(f => f.endsWith(TEMP_SUFFIX))) {
+        const filePath = path.join(dirPath, file);
+        try {
+            const stat = await fs.stat(filePath);
+            if (Date.now() - stat.mtimeMs > STALE_TEMP_AGE) {
+                await fs.unlink(filePath);
+            }
+        } catch (error) {
+            // Файл мог удалить другой процесс
+        }
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeFileExclusive,
+    appendFileDurable,
+    removeStaleTempFiles
+};
@@ -0,0 +1,462 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { serialize, deserialize } = require('bson');
+const Encryption = require('./Encryption');
+const { writeFileAtomic } = require('./AtomicFile');
+const { BsonDBError, CorruptionError } = require('./Errors');
+
+// Архив резервной копии - записи [длина UInt32LE][BSON], как в журнале операций:
+//   { type: 'header', format: 'bsondb-backup', version, database, createdAt, encrypted }
+//   { type: 'file', path, data } - части файлов базы (до CHUNK_SIZE) в том виде,
+//       в котором они лежат на диске, то есть зашифрованными
+//   { type: 'end', files: [{ path, size, sha256, mtime }], indexes: { <коллекция>: [метаданные] } }
+// Без записи 'end' архив считается недописанным
+const ARCHIVE_FORMAT = 'bsondb-backup';
+const ARCHIVE_VERSION = 1;
+const CHUNK_SIZE = 1024 * 1024;
+const TEMP_SUFFIX = '.tmp';
+
+// Служебные файлы, которые не входят в копию: блокировки и недописанные файлы
+function isSnapshotFile(name) {
+    return name !== '.lock' && !name.endsWith(TEMP_SUFFIX);
+}
+
+function invalidArchive(archivePath, reason) {
+    return new BsonDBError(`Backup archive ${archivePath} is invalid: ${reason}`, 'INVALID_BACKUP');
+}
+
+function frame(entry) {
+    const body = serialize(entry);
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(body.length, 0);
+    return Buffer.concat([header, body]);
+}
+
+function splitRecords(buffer) {
+    const records = [];
+    let offset = 0;
+    while (offset + 4 <= buffer.length) {
+        const length = buffer.readUInt32LE(offset);
+        if (offset + 4 + length > buffer.length) break;
+        records.push(buffer.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return records;
+}
+
+// Файлы каталога базы: файлы верхнего уровня (_encryption.bson, журналы транзакций)
+// и файлы каталогов коллекций. Пути в архиве - через '/'
+async function listDatabaseFiles(dbPath) {
+    const files = [];
+    for (const entry of await fs.readdir(dbPath, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            for (const file of await fs.readdir(path.join(dbPath, entry.name))) {
+                if (isSnapshotFile(file)) files.push(`${entry.name}/${file}`);
+            }
+        } else if (isSnapshotFile(entry.name)) {
+            files.push(entry.name);
+        }
+    }
+    return files.sort();
+}
+
+// Снимок под блокировками: открываем все файлы и запоминаем размеры. Файлы
+// заменяются только переименованием, а журнал лишь дописывается, поэтому
+// открытые дескрипторы и размеры остаются согласованными и после снятия блокировок
+async function openSnapshot(dbPath) {
+    const files = [];
+    try {
+        for (const relativePath of await listDatabaseFiles(dbPath)) {
+            let handle;
+            try {
+                handle = await fs.open(path.join(dbPath, ...relativePath.split('/')), 'r');
+            } catch (error) {
+                // Журнал транзакции успел удалить другой процесс
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            const file = { path: relativePath, handle };
+            files.push(file);
+            const stat = await handle.stat();
+            file.size = stat.size;
+            file.mtime = stat.mtime;
+        }
+    } catch (error) {
+        await Promise.all(files.map(file => file.handle.close()));
+        throw error;
+    }
+    return files;
+}
+
+// Согласованная копия открытой базы: запись во все коллекции приостанавливается
+// только на время открытия файлов, чтение не останавливается
+async function createBackup(database, targetPath) {
+    await database.waitForCommits();
+
+    const collections = [...database.collections.values()];
+    const { files, indexes } = await database.lockManager.withLocks(
+        collections.map(collection => collection.collectionPath),
+        async () => {
+            const indexes = {};
+            for (const collection of collections) {
+                indexes[collection.name] = await database.indexManager.getCollectionIndexes(collection.name);
+            }
+            return { files: await openSnapshot(database.dbPath), indexes };
+        }
+    );
+
+    await fs.mkdir(path.dirname(path.resolve(targetPath)), { recursive: true });
+    const tempPath = `${targetPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+    const output = await fs.open(tempPath, 'w');
+    const createdAt = new Date();
+    let bytes = 0;
+
+    try {
+        await output.write(frame({
+            type: 'header',
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            database: database.name,
+            createdAt,
+            encrypted: database.encryption.isEnabled()
+        }));
+
+        const manifest = [];
+        for (const file of files) {
+            const hash = crypto.createHash('sha256');
+            const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, file.size));
+            for (let position = 0; position < file.size;) {
+                const { bytesRead } = await file.handle.read(buffer, 0, Math.min(CHUNK_SIZE, file.size - position), position);
+                if (bytesRead === 0) break;
+                const chunk = buffer.subarray(0, bytesRead);
+                hash.update(chunk);
+                await output.write(frame({ type: 'file', path: file.path, data: chunk }));
+                position += bytesRead;
+            }
+            manifest.push({ path: file.path, size: file.size, sha256: hash.digest('hex'), mtime: file.mtime });
+            bytes += file.size;
+        }
+
+        await output.write(frame({ type: 'end', files: manifest, indexes }));
+        await output.sync();
+        await output.close();
+        await fs.rename(tempPath, targetPath);
+    } catch (error) {
+        await output.close().catch(() => {});
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    } finally {
+        await Promise.all(files.map(file => file.handle.close()));
+    }
+
+    return { path: targetPath, database: database.name, createdAt, files: files.length, bytes };
+}
+
+async function readEntry(handle, position, archivePath) {
+    const header = Buffer.alloc(4);
+    const { bytesRead } = await handle.read(header, 0, 4, position);
+    if (bytesRead === 0) return null;
+    if (bytesRead < 4) throw invalidArchive(archivePath, 'archive is truncated');
+
+    const length = header.readUInt32LE(0);
+    if (position + 4 + length > (await handle.stat()).size) {
+        throw invalidArchive(archivePath, 'archive is truncated');
+    }
+    const body = Buffer.alloc(length);
+    const read = await handle.read(body, 0, body.length, position + 4);
+    if (read.bytesRead < body.length) throw invalidArchive(archivePath, 'archive is truncated');
+
+    try {
+        return { entry: deserialize(body, { promoteBuffers: true }), next: position + 4 + body.length };
+    } catch (error) {
+        throw invalidArchive(archivePath, `unreadable record at offset ${position}`);
+    }
+}
+
+// Путь из архива не должен выходить за каталог базы
+function checkArchivePath(relativePath, archivePath) {
+    const parts = typeof relativePath === 'string' ? relativePath.split('/') : [];
+    if (parts.length === 0 || parts.length > 2 || parts.some(part => !part || part === '.' || part === '..' || /[\\:]/.test(part))) {
+        throw invalidArchive(archivePath, `unsafe file path ${relativePath}`);
+    }
+    return parts;
+}
+
+// Распаковывает архив в каталог stagingPath и сверяет контрольные суммы
+async function extractArchive(archivePath, stagingPath) {
+    const handle = await fs.open(archivePath, 'r');
+    const outputs = new Map();
+
+    try {
+        let result = await readEntry(handle, 0, archivePath);
+        const header = result && result.entry;
+        if (!header || header.type !== 'header' || header.format !== ARCHIVE_FORMAT) {
+            throw invalidArchive(archivePath, 'not a bsondb backup');
+        }
+        if (header.version !== ARCHIVE_VERSION) {
+            throw invalidArchive(archivePath, `unsupported version ${header.version}`);
+        }
+
+        let manifest = null;
+        while (!manifest) {
+            result = await readEntry(handle, result.next, archivePath);
+            if (!result) throw invalidArchive(archivePath, 'archive is truncated');
+
+            const { entry } = result;
+            if (entry.type === 'end') {
+                manifest = entry;
+            } else if (entry.type === 'file' && Buffer.isBuffer(entry.data)) {
+                if (!outputs.has(entry.path)) {
+                    const parts = checkArchivePath(entry.path, archivePath);
+                    await fs.mkdir(path.join(stagingPath, ...parts.slice(0, -1)), { recursive: true });
+                    outputs.set(entry.path, {
+                        handle: await fs.open(path.join(stagingPath, ...parts), 'w'),
+                        hash: crypto.createHash('sha256'),
+                        size: 0
+                    });
+                }
+                const output = outputs.get(entry.path);
+                await output.handle.write(entry.data);
+                output.hash.update(entry.data);
+                output.size += entry.data.length;
+            } else {
+                throw invalidArchive(archivePath, `unexpected record ${entry.type}`);
+            }
+        }
+
+        const listed = new Set();
+        for (const file of manifest.files || []) {
+            listed.add(file.path);
+            const output = outputs.get(file.path);
+            const size = output ? output.size : 0;
+            const sha256 = output ? output.hash.digest('hex') : crypto.createHash('sha256').digest('hex');
+            if (size !== file.size || sha256 !== file.sha256) {
+                throw invalidArchive(archivePath, `checksum mismatch for ${file.path}`);
+            }
+            if (!output) {
+                const parts = checkArchivePath(file.path, archivePath);
+                await fs.mkdir(path.join(stagingPath, ...parts.slice(0, -1)), { recursive: true });
+                await fs.writeFile(path.join(stagingPath, ...parts), Buffer.alloc(0));
+            }
+        }
+        for (const filePath of outputs.keys()) {
+            if (!listed.has(filePath)) {
+                throw invalidArchive(archivePath, `${filePath} is missing from the manifest`);
+            }
+        }
+
+        return { header, manifest };
+    } finally {
+        for (const output of outputs.values()) {
+            await output.handle.close().catch(() => {});
+        }
+        await handle.close();
+    }
+}
+
+// Распакованная база должна открываться переданным ключом: проверяется до
+// замены каталога базы, чтобы неудачное восстановление ничего не оставило.
+// Проверяются data.bson и первая запись журнала операций каждой коллекции
+// (у коллекции может быть только журнал). Возвращает Encryption распакованной базы
+async function checkEncryption(stagingPath, options) {
+    const encryption = new Encryption(options.encryptionKey, {
+        decryptionKeys: options.decryptionKeys,
+        logger: options.logger
+    });
+    await encryption.init(stagingPath);
+
+    for (const entry of await fs.readdir(stagingPath, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const dataFile = path.join(stagingPath, entry.name, 'data.bson');
+        const data = await readOptionalFile(dataFile);
+        if (data) {
+            checkDecryption(encryption, data, dataFile, entry.name);
+        }
+
+        const logFile = path.join(stagingPath, entry.name, 'oplog.bson');
+        const log = await readOptionalFile(logFile);
+        const [firstRecord] = log ? splitRecords(log) : [];
+        if (firstRecord) {
+            checkDecryption(encryption, firstRecord, logFile, entry.name);
+        }
+    }
+    return encryption;
+}
+
+// Ошибки ключа (EncryptionKeyError) пробрасываются как есть; неразборчивый BSON -
+// поврежденный файл или данные, расшифрованные чужим ключом старого формата
+function checkDecryption(encryption, data, filePath, collectionName) {
+    const decrypted = encryption.decrypt(data);
+    try {
+        deserialize(decrypted);
+    } catch (parseError) {
+        throw new CorruptionError(
+            `Collection ${collectionName} in the backup is corrupted or was written with another encryption key: ${parseError.message}`,
+            filePath
+        );
+    }
+}
+
+async function readOptionalFile(filePath) {
+    try {
+        return await fs.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Отрезает записи журналов операций позже until. Состояние на момент until
+// можно получить, только если data.bson не переписан (журнал не свернут) после
+// него: свернутые записи из журнала уже не отделить
+async function truncateLogs(stagingPath, manifest, until, encryption) {
+    const mtimes = new Map(manifest.files.map(file => [file.path, file.mtime]));
+    for (const entry of await fs.readdir(stagingPath, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const collectionPath = path.join(stagingPath, entry.name);
+
+        const savedAt = mtimes.get(`${entry.name}/data.bson`);
+        if (savedAt && savedAt > until) {
+            const base = deserialize(encryption.decrypt(await fs.readFile(path.join(collectionPath, 'data.bson'))));
+            if ((base.documents || []).length > 0) {
+                throw new BsonDBError(
+                    `Cannot restore ${entry.name} to ${until.toISOString()}: its operation log was compacted at ${savedAt.toISOString()}`,
+                    'RESTORE_POINT_UNAVAILABLE'
+                );
+            }
+        }
+
+        const logFile = path.join(collectionPath, 'oplog.bson');
+        let records;
+        try {
+            records = splitRecords(await fs.readFile(logFile));
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        const kept = [];
+        for (const raw of records) {
+            if (deserialize(encryption.decrypt(raw)).ts > until) break;
+            kept.push(raw);
+        }
+        if (kept.length < records.length) {
+            await writeFileAtomic(logFile, Buffer.concat(kept.map(record => {
+                const header = Buffer.alloc(4);
+                header.writeUInt32LE(record.length, 0);
+                return Buffer.concat([header, record]);
+            })));
+        }
+    }
+}
+
+async function isEmptyDirectory(dirPath) {
+    try {
+        return (await fs.readdir(dirPath)).length === 0;
+    } catch (error) {
+        if (error.code === 'ENOENT') return true;
+        throw error;
+    }
+}
+
+// Проверяет архив и распаковывает его в каталог базы <dataPath>/<name>.
+// Параметры: name - имя базы (по умолчанию из архива), until - момент времени,
+// до которого воспроизводятся журналы операций, overwrite - заменить
+// существующую базу (она должна быть закрыта), encryptionKey и decryptionKeys -
+// ключи, которыми база будет открыта (см. checkEncryption)
+async function restoreBackup(archivePath, options = {}) {
+    const until = options.until !== undefined && options.until !== null ? new Date(options.until) : null;
+    if (until && isNaN(until.getTime())) {
+        throw new BsonDBError(`Invalid restore point: ${options.until}`, 'BAD_OPTIONS');
+    }
+
+    const dataPath = options.dataPath || './data';
+    let name = options.name;
+    let dbPath = null;
+    const checkTarget = async (header) => {
+        name = name || header.database;
+        if (typeof name !== 'string' || !name || /[\\/]/.test(name) || name === '.' || name === '..') {
+            throw new BsonDBError(`Invalid database name: ${name}`, 'BAD_OPTIONS');
+        }
+        dbPath = path.join(dataPath, name);
+        if (!options.overwrite && !(await isEmptyDirectory(dbPath))) {
+            throw new BsonDBError(`Database ${name} already exists; pass overwrite to replace it`, 'DATABASE_EXISTS');
+        }
+    };
+
+    // Имя проверяется по заголовку до распаковки; каталог создается только после него
+    const handle = await fs.open(archivePath, 'r');
+    try {
+        const first = await readEntry(handle, 0, archivePath);
+        if (!first || first.entry.type !== 'header' || first.entry.format !== ARCHIVE_FORMAT) {
+            throw invalidArchive(archivePath, 'not a bsondb backup');
+        }
+        await checkTarget(first.entry);
+    } finally {
+        await handle.close();
+    }
+
+    await fs.mkdir(dataPath, { recursive: true });
+    const stagingPath = `${dbPath}.restore-${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+    try {
+        const { header, manifest } = await extractArchive(archivePath, stagingPath);
+        const encryption = await checkEncryption(stagingPath, options);
+        if (until) {
+            await truncateLogs(stagingPath, manifest, until, encryption);
+        }
+
+        // Каталог могли занять, пока распаковывался архив
+        const replacedPath = `${dbPath}.replaced-${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+        if (!options.overwrite && !(await isEmptyDirectory(dbPath))) {
+            throw new BsonDBError(`Database ${name} already exists; pass overwrite to replace it`, 'DATABASE_EXISTS');
+        }
+        let replaced = true;
+        await fs.rename(dbPath, replacedPath).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+            replaced = false;
+        });
+        try {
+            await fs.rename(stagingPath, dbPath);
+        } catch (error) {
+            if (replaced) await fs.rename(replacedPath, dbPath);
+            throw error;
+        }
+
+        // Прежняя база удаляется, только когда восстановленная откроется (см. commitRestore)
+        return {
+            name,
+            dbPath,
+            replacedPath: replaced ? replacedPath : null,
+            createdAt: header.createdAt,
+            files: manifest.files.length,
+            indexes: manifest.indexes || {},
+            until
+        };
+    } catch (error) {
+        await fs.rm(stagingPath, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Восстановленная база открылась - прежняя больше не нужна
+async function commitRestore(restored) {
+    if (restored.replacedPath) {
+        await fs.rm(restored.replacedPath, { recursive: true, force: true });
+    }
+}
+
+// Восстановленная база не открылась - на ее место возвращается прежняя
+async function rollbackRestore(restored) {
+    await fs.rm(restored.dbPath, { recursive: true, force: true });
+    if (restored.replacedPath) {
+        await fs.rename(restored.replacedPath, restored.dbPath);
+    }
+}
+
+module.exports = {
+    createBackup,
+    restoreBackup,
+    commitRestore,
+    rollbackRestore
+};
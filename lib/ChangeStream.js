@@ -0,0 +1,191 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const { EJSON, ObjectId } = require('bson');
+const { BsonDBError } = require('./Errors');
+const { cloneDocument } = require('./DocumentUtils');
+
+// Сколько последних событий базы хранится для resumeAfter. История живет
+// в памяти процесса: после перезапуска старые token не принимаются
+const HISTORY_SIZE = 1000;
+// Сколько событий по умолчанию ждет итератора, прежде чем поток закроется
+const MAX_QUEUE_SIZE = 1000;
+
+// События изменений всех экземпляров Database потока, ключ - путь к каталогу
+// базы. Рабочие потоки сервера пересылают свои события в главный поток
+// (см. forwardChangesTo и WorkerManager), поэтому подписчики главного потока
+// видят и записи, выполненные в рабочих потоках
+const hubs = new Map();
+let forwardPort = null;
+
+function getHub(dbPath) {
+    const key = path.resolve(dbPath);
+    if (!hubs.has(key)) {
+        const emitter = new EventEmitter();
+        emitter.setMaxListeners(0);
+        hubs.set(key, { id: new ObjectId().toHexString(), sequence: 0, history: [], emitter });
+    }
+    return hubs.get(key);
+}
+
+// Публикует изменение: { operationType, ns, documentKey, fullDocument, updateDescription }.
+// Каждое событие получает resume token вида <id потока событий>:<номер>
+function publishChange(dbPath, change, forwarded = false) {
+    const hub = getHub(dbPath);
+    hub.sequence++;
+    const event = {
+        _id: { _data: `${hub.id}:${hub.sequence.toString(16).padStart(12, '0')}` },
+        clusterTime: new Date(),
+        ...change
+    };
+
+    hub.history.push(event);
+    if (hub.history.length > HISTORY_SIZE) {
+        hub.history.shift();
+    }
+    hub.emitter.emit('change', event);
+
+    if (forwardPort && !forwarded) {
+        forwardPort.postMessage({
+            type: 'change',
+            dbPath: path.resolve(dbPath),
+            change: EJSON.stringify(change, { relaxed: false })
+        });
+    }
+}
+
+// Событие, пришедшее из рабочего потока
+function publishForwardedChange(message) {
+    publishChange(message.dbPath, EJSON.parse(message.change, { relaxed: false }), true);
+}
+
+function forwardChangesTo(port) {
+    forwardPort = port;
+}
+
+// Поток изменений базы или коллекции. События можно получать через
+// stream.on('change', ...) или for await (const change of stream); пока нет
+// обработчиков 'change', события копятся в очереди для итератора. Если
+// итератор отстал больше чем на maxQueueSize событий, поток закрывается с
+// ошибкой CHANGE_STREAM_OVERFLOW: ее получает next() после уже накопленных
+// событий и обработчики 'error'. Продолжить можно с stream.resumeToken.
+// filter - условие запроса к событию, например { operationType: 'insert' }.
+// Параметры: resumeAfter - token события, после которого продолжить;
+// fullDocument: 'updateLookup' - добавлять документ целиком и в события update;
+// maxQueueSize - предел очереди итератора
+class ChangeStream extends EventEmitter {
+    constructor(database, matcher, filter = {}, options = {}) {
+        super();
+        this.database = database;
+        this.matcher = matcher;
+        this.filter = filter;
+        this.options = options;
+        this.hub = getHub(database.dbPath);
+        this.queue = [];
+        this.maxQueueSize = options.maxQueueSize || MAX_QUEUE_SIZE;
+        this.waiting = null;
+        this.closed = false;
+        this.error = null;
+        // Token последнего отданного события
+        this.resumeToken = null;
+        this.listener = event => this.handle(event);
+
+        // Проверяем фильтр сразу, а не на первом событии
+        this.matcher.matchDocument({}, this.filter);
+
+        const replay = options.resumeAfter ? this.getHistoryAfter(options.resumeAfter) : [];
+        this.hub.emitter.on('change', this.listener);
+        replay.forEach(event => this.handle(event));
+    }
+
+    getHistoryAfter(token) {
+        const data = token && typeof token === 'object' ? token._data : token;
+        const position = this.hub.history.findIndex(event => event._id._data === data);
+        if (position === -1) {
+            throw new BsonDBError('Resume token is no longer in the change history', 'CHANGE_STREAM_HISTORY_LOST');
+        }
+        return this.hub.history.slice(position + 1);
+    }
+
+    handle(event) {
+        if (this.closed || !this.matcher.matchDocument(event, this.filter)) return;
+
+        const change = { ...event };
+        if (change.operationType === 'update' && this.options.fullDocument !== 'updateLookup') {
+            delete change.fullDocument;
+        }
+        // Подписчики получают собственные копии документов
+        for (const field of ['documentKey', 'fullDocument', 'updateDescription']) {
+            if (change[field] !== undefined) {
+                change[field] = cloneDocument(change[field]);
+            }
+        }
+
+        if (this.listenerCount('change') > 0) {
+            this.resumeToken = change._id;
+            this.emit('change', change);
+        } else if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            this.resumeToken = change._id;
+            resolve({ value: change, done: false });
+        } else if (this.queue.length >= this.maxQueueSize) {
+            // Событие публикуется внутри записи: ошибка не бросается, а
+            // закрывает поток, чтобы очередь не росла без предела
+            this.close(new BsonDBError(
+                `Change stream fell more than ${this.maxQueueSize} events behind`,
+                'CHANGE_STREAM_OVERFLOW'
+            ));
+        } else {
+            this.queue.push(change);
+        }
+    }
+
+    async next() {
+        if (this.queue.length > 0) {
+            const change = this.queue.shift();
+            this.resumeToken = change._id;
+            return { value: change, done: false };
+        }
+        if (this.error) {
+            const error = this.error;
+            this.error = null;
+            throw error;
+        }
+        if (this.closed) {
+            return { value: undefined, done: true };
+        }
+        return await new Promise((resolve) => {
+            this.waiting = resolve;
+        });
+    }
+
+    async return() {
+        this.close();
+        return { value: undefined, done: true };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    close(error = null) {
+        if (this.closed) return;
+        this.closed = true;
+        this.error = error;
+        this.hub.emitter.removeListener('change', this.listener);
+        if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve({ value: undefined, done: true });
+        }
+        if (error && this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.emit('close');
+    }
+}
+
+module.exports = ChangeStream;
+module.exports.publishChange = publishChange;
+module.exports.publishForwardedChange = publishForwardedChange;
+module.exports.forwardChangesTo = forwardChangesTo;
@@ -1,6 +1,79 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { ObjectId, serialize, deserialize } = require('bson');
+const { ObjectId, Timestamp, EJSON, serialize, deserialize } = require('bson');
+const { writeFileAtomic, appendFileDurable, removeStaleTempFiles } = require('./AtomicFile');
+const {
+    BsonDBError,
+    CorruptionError,
+    QueryError,
+    UpdateError,
+    DuplicateKeyError,
+    VersionConflictError,
+    EncryptionError
+} = require('./Errors');
+const Aggregation = require('./Aggregation');
+const Projection = require('./Projection');
+const Cursor = require('./Cursor');
+const ChangeStream = require('./ChangeStream');
+const { exportCollection, importCollection } = require('./ImportExport');
+const { isRangeEncodable } = require('./IndexKey');
+const { parseSearch, scoreDocument, isTextScoreMeta } = require('./TextSearch');
+const { getPoints, distance, parseWithin, parseIntersects, parseNear, coveringCells } = require('./Geo');
+const {
+    isPlainObject,
+    cloneDocument,
+    getPathValues,
+    expandValues,
+    valuesEqual,
+    compareValues,
+    isSameTypeClass,
+    isObjectId,
+    getValueAtPath,
+    setValueAtPath,
+    unsetValueAtPath,
+    getRawDocumentId
+} = require('./DocumentUtils');
+
+// Больше ключей индекса планировщик не перебирает и выполняет полный просмотр
+const MAX_INDEX_BOUNDS = 1000;
+
+// Параметры коллекции, которые сохраняются в _meta.bson и действуют после
+// повторного открытия базы
+const PERSISTED_OPTIONS = ['versionKey'];
+
+// Сколько раз перечитывать коллекцию, если data.bson заменили во время чтения
+const MAX_READ_RETRIES = 5;
+
+const UPDATE_OPERATORS = new Set([
+    '$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$setOnInsert',
+    '$currentDate', '$addToSet', '$push', '$pull', '$pullAll', '$pop'
+]);
+
+const isBsonType = (bsonType) => (value) => value !== null && typeof value === 'object' && value._bsontype === bsonType;
+const isInt32 = (value) => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647;
+
+// Проверки типов для оператора $type; числа JS сохраняются в BSON как int или double
+const BSON_TYPE_CHECKS = {
+    double: (value) => (typeof value === 'number' && !isInt32(value)) || isBsonType('Double')(value),
+    string: (value) => typeof value === 'string',
+    object: (value) => isPlainObject(value),
+    array: (value) => Array.isArray(value),
+    binData: (value) => Buffer.isBuffer(value) || isBsonType('Binary')(value),
+    objectId: (value) => isObjectId(value),
+    bool: (value) => typeof value === 'boolean',
+    date: (value) => value instanceof Date,
+    null: (value) => value === null,
+    regex: (value) => value instanceof RegExp || isBsonType('BSONRegExp')(value),
+    int: (value) => isInt32(value) || isBsonType('Int32')(value),
+    long: (value) => isBsonType('Long')(value),
+    decimal: (value) => isBsonType('Decimal128')(value),
+    number: (value) => typeof value === 'number' || ['Double', 'Int32', 'Long', 'Decimal128'].some(type => isBsonType(type)(value))
+};
+
+const BSON_TYPE_CODES = {
+    1: 'double', 2: 'string', 3: 'object', 4: 'array', 5: 'binData', 7: 'objectId',
+    8: 'bool', 9: 'date', 10: 'null', 11: 'regex', 16: 'int', 18: 'long', 19: 'decimal'
+};
 
 class Collection {
     constructor(database, name, options = {}) {
@@ -9,7 +82,16 @@ class Collection {
         this.options = options;
         this.collectionPath = path.join(database.dbPath, name);
         this.dataFile = path.join(this.collectionPath, 'data.bson');
+        this.logFile = path.join(this.collectionPath, 'oplog.bson');
         this.indexFile = path.join(this.collectionPath, '_index.bson');
+        this.metaFile = path.join(this.collectionPath, '_meta.bson');
+        this.storedOptions = {};
+        this.logRecordCount = 0;
+        this.logLength = 0;
+        this.logTail = 0;
+        this.expiredCount = 0; // Документов, удаленных TTL-индексами с открытия базы
+        this.textSearches = new WeakMap(); // Разобранные $search по объекту условия $text
+        this.textIndexes = new WeakMap(); // Текстовый индекс запроса по объекту условия $text
         this.isInitialized = false;
     }
 
@@ -17,315 +99,2019 @@ class Collection {
         if (this.isInitialized) return;
 
         try {
+            // Экземпляр, ключ которого сменил другой экземпляр (см. Encryption.assertWriteKey),
+            // открывает существующие коллекции только для чтения: служебные записи
+            // пропускаются, а новую коллекцию создать нельзя
+            const writable = await this.database.encryption.isWriteKey(this.database.dbPath);
+            if (!writable && !(await this.statFile(this.dataFile))) {
+                await this.database.encryption.assertWriteKey(this.database.dbPath);
+            }
+
             await fs.mkdir(this.collectionPath, { recursive: true });
+            await removeStaleTempFiles(this.collectionPath);
+
+            const requestedOptions = this.options;
+            this.storedOptions = await this.readOptions();
+            this.options = { ...requestedOptions, ...this.storedOptions };
+            if (writable) {
+                await this.setOptions(requestedOptions);
+            }
             
             // Создаем файл данных если не существует
             try {
                 await fs.access(this.dataFile);
-            } catch {
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
                 await this.saveData([]);
             }
 
-            // Создаем индекс по умолчанию для _id
-            await this.database.indexManager.createIndex(this.name, '_id');
+            await this.database.lockManager.withLock(this.collectionPath, async () => {
+                // Отрезаем недописанную запись, оставшуюся от сбоя, чтобы новые записи
+                // не оказались за ней
+                const records = await this.readLog();
+                if (this.logTail > 0) {
+                    this.database.warn(`⚠️ Truncating ${this.logTail} bytes of incomplete log records in ${this.name}`);
+                    await fs.truncate(this.logFile, this.logLength);
+                }
+
+                // Журнал операций, накопившийся с прошлого открытия, сворачиваем в data.bson
+                if (writable && records.length >= this.getCompactionThreshold()) {
+                    await this.rewriteData();
+                }
+            });
+
+            if (writable) {
+                // Создаем индекс по умолчанию для _id
+                await this.createIndex('_id');
+                await this.withWriteLock({}, () => this.database.indexManager.upgradeIndexes(this.name));
+            }
             this.isInitialized = true;
         } catch (error) {
+            if (error instanceof BsonDBError) throw error;
             throw new Error(`Collection initialization failed: ${error.message}`);
         }
     }
 
+    async readOptions() {
+        let encryptedData;
+        try {
+            encryptedData = await fs.readFile(this.metaFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        const decryptedData = this.database.encryption.decrypt(encryptedData);
+        try {
+            return deserialize(decryptedData).options || {};
+        } catch (parseError) {
+            throw new CorruptionError(
+                `Collection ${this.name} options file is corrupted or was written with another encryption key: ${parseError.message}`,
+                this.metaFile
+            );
+        }
+    }
+
+    // Меняет сохраняемые параметры (PERSISTED_OPTIONS); остальные параметры
+    // действуют только для этого экземпляра коллекции
+    async setOptions(options) {
+        const changes = {};
+        for (const key of PERSISTED_OPTIONS) {
+            if (options[key] !== undefined && options[key] !== this.storedOptions[key]) {
+                changes[key] = options[key];
+            }
+        }
+        if (Object.keys(changes).length === 0) return;
+
+        const versionKey = changes.versionKey;
+        if (versionKey !== undefined &&
+            (typeof versionKey !== 'string' || !versionKey || versionKey === '_id' ||
+                versionKey.startsWith('$') || versionKey.includes('.'))) {
+            throw new BsonDBError('versionKey must be a top-level field name other than _id', 'BAD_OPTIONS');
+        }
+
+        this.storedOptions = { ...this.storedOptions, ...changes };
+        this.options = { ...this.options, ...changes };
+        await writeFileAtomic(
+            this.metaFile,
+            this.database.encryption.encrypt(serialize({ options: this.storedOptions }))
+        );
+    }
+
     async saveData(data) {
         try {
             const bsonData = serialize({ documents: data });
             
             // Шифруем данные если включено шифрование
             const encryptedData = this.database.encryption.encrypt(bsonData);
-            await fs.writeFile(this.dataFile, encryptedData);
+            await writeFileAtomic(this.dataFile, encryptedData);
         } catch (error) {
             throw new Error(`Failed to save data: ${error.message}`);
         }
     }
 
+    // Возвращаемые документы могут быть общими с кэшем - изменять их нельзя
     async loadData() {
+        const cache = this.database.documentCache;
+        if (!cache.isEnabled()) {
+            return await this.readData();
+        }
+
+        const signature = await this.getSignature();
+        const cached = cache.get(this.collectionPath, signature.key);
+        if (cached) {
+            return Array.from(cached.values());
+        }
+
+        const documents = await this.readData();
+        cache.set(
+            this.collectionPath,
+            signature.key,
+            new Map(documents.map(doc => [doc._id.toString(), doc])),
+            signature.bytes
+        );
+        return documents;
+    }
+
+    // ids - Set строковых id: разбираются только эти документы (см. loadDocumentsById)
+    async readData(ids = null) {
+        for (let attempt = 0; ; attempt++) {
+            const base = await this.loadBaseData(ids);
+            const records = await this.readLog();
+
+            // data.bson заменили во время чтения (журнал свернул другой процесс):
+            // прочитанный журнал мог уже не относиться к прочитанной базе
+            const current = await this.statFile(this.dataFile);
+            if (current && current.ino !== base.ino && attempt < MAX_READ_RETRIES) {
+                continue;
+            }
+
+            if (records.length === 0) return base.documents;
+            const documents = this.replayLog(base.documents, records);
+            return ids ? documents.filter(doc => ids.has(doc._id.toString())) : documents;
+        }
+    }
+
+    // Документы с указанными id (строки) в порядке коллекции. Файл данных
+    // расшифровывается целиком, но разбираются только нужные документы
+    async loadDocumentsById(ids) {
+        const cache = this.database.documentCache;
+        if (cache.isEnabled()) {
+            const cached = cache.get(this.collectionPath, (await this.getSignature()).key);
+            const byId = cached || new Map((await this.loadData()).map(doc => [doc._id.toString(), doc]));
+            const wanted = new Set(ids);
+            return Array.from(byId.values()).filter(doc => wanted.has(doc._id.toString()));
+        }
+        return await this.readData(new Set(ids));
+    }
+
+    // unparsed - документы не разбираются: { documents: [Buffer BSON документа] }
+    async loadBaseData(ids = null, unparsed = false) {
+        let encryptedData;
+        let ino = null;
         try {
-            const encryptedData = await fs.readFile(this.dataFile);
-            
-            // Дешифруем данные если включено шифрование
-            const decryptedData = this.database.encryption.decrypt(encryptedData);
-            
-            // Пытаемся распарсить BSON
+            const handle = await fs.open(this.dataFile, 'r');
             try {
-                const parsed = deserialize(decryptedData);
-                return parsed.documents || [];
-            } catch (parseError) {
-                // Если не удалось распарсить, возможно файл не зашифрован
-                console.warn(`⚠️ Failed to parse collection data for ${this.name}, returning empty array`);
-                return [];
+                ino = (await handle.stat()).ino;
+                encryptedData = await handle.readFile();
+            } finally {
+                await handle.close();
             }
         } catch (error) {
-            // Если файл не существует или ошибка чтения, возвращаем пустой массив
-            return [];
+            // Файла еще нет - коллекция пуста; остальные ошибки чтения пробрасываем
+            if (error.code === 'ENOENT') return { documents: [], ino };
+            throw error;
+        }
+
+        // Дешифруем данные если включено шифрование
+        const decryptedData = this.database.encryption.decrypt(encryptedData);
+
+        // Нечитаемый файл нельзя считать пустой коллекцией: следующая запись
+        // перезаписала бы его и уничтожила данные
+        try {
+            if (unparsed) {
+                return { documents: deserialize(decryptedData, { fieldsAsRaw: { documents: true } }).documents || [], ino };
+            }
+            if (!ids) {
+                return { documents: deserialize(decryptedData).documents || [], ino };
+            }
+            const raw = deserialize(decryptedData, { fieldsAsRaw: { documents: true } }).documents || [];
+            const documents = [];
+            for (const item of raw) {
+                const id = getRawDocumentId(item);
+                if (id === undefined || ids.has(id.toString())) {
+                    const doc = deserialize(item);
+                    if (ids.has(doc._id.toString())) documents.push(doc);
+                }
+            }
+            return { documents, ino };
+        } catch (parseError) {
+            throw new CorruptionError(
+                `Collection ${this.name} data file is corrupted or was written with another encryption key: ${parseError.message}`,
+                this.dataFile
+            );
         }
     }
 
-    async insertOne(document) {
-        if (!document._id) {
-            document._id = new ObjectId();
-        } else if (typeof document._id === 'string') {
-            document._id = new ObjectId(document._id);
+    // Журнал операций: записи вида [длина UInt32LE][BSON записи, зашифрованный при необходимости].
+    // Записи ссылаются на документы по _id, поэтому повторное воспроизведение безопасно
+    async readLog() {
+        let buffer;
+        try {
+            buffer = await fs.readFile(this.logFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.logRecordCount = 0;
+                this.logLength = 0;
+                this.logTail = 0;
+                return [];
+            }
+            throw error;
         }
 
-        const documents = await this.loadData();
-        documents.push(document);
-        await this.saveData(documents);
+        const records = [];
+        let offset = 0;
+        while (offset + 4 <= buffer.length) {
+            const length = buffer.readUInt32LE(offset);
+            // Недописанная запись в конце журнала - след прерванной операции, пропускаем
+            if (offset + 4 + length > buffer.length) break;
+            records.push(buffer.slice(offset + 4, offset + 4 + length));
+            offset += 4 + length;
+        }
 
-        await this.database.indexManager.updateIndex(this.name, document);
-        return document;
+        this.logRecordCount = records.length;
+        this.logLength = offset;
+        this.logTail = buffer.length - offset;
+        return records;
     }
 
-    async insertMany(documents) {
-        for (const doc of documents) {
-            if (!doc._id) {
-                doc._id = new ObjectId();
-            } else if (typeof doc._id === 'string') {
-                doc._id = new ObjectId(doc._id);
+    replayLog(documents, records) {
+        const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+        for (const raw of records) {
+            this.applyLogRecord(byId, this.decodeLogRecord(raw));
+        }
+
+        return Array.from(byId.values());
+    }
+
+    decodeLogRecord(raw) {
+        // Ошибки шифрования (чужой ключ, измененные данные) пробрасываются как есть
+        const decrypted = this.database.encryption.decrypt(raw);
+        try {
+            return deserialize(decrypted);
+        } catch (parseError) {
+            throw new CorruptionError(
+                `Operation log of collection ${this.name} is corrupted: ${parseError.message}`,
+                this.logFile
+            );
+        }
+    }
+
+    // Документы коллекции по одному, без общего массива (см. Cursor): файл данных
+    // читается и расшифровывается целиком, но документы разбираются по мере перебора.
+    // С кэшем документов перебираются документы кэша
+    async scanDocuments() {
+        await this.database.waitForCommits();
+        if (this.database.documentCache.isEnabled()) {
+            return await this.loadData();
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const base = await this.loadBaseData(null, true);
+            const records = await this.readLog();
+
+            // См. readData
+            const current = await this.statFile(this.dataFile);
+            if (current && current.ino !== base.ino && attempt < MAX_READ_RETRIES) {
+                continue;
             }
+
+            return this.iterateDocuments(base.documents, records.map(raw => this.decodeLogRecord(raw)));
         }
+    }
 
-        const existingDocs = await this.loadData();
-        existingDocs.push(...documents);
-        await this.saveData(existingDocs);
+    // Порядок тот же, что у replayLog: измененный документ остается на своем месте,
+    // новый или вставленный заново после удаления - в конце
+    *iterateDocuments(rawDocuments, records) {
+        const changed = new Map();
+        const deleted = new Set();
+        const overlay = {
+            set: (id, doc) => changed.set(id, doc),
+            delete: (id) => {
+                changed.delete(id);
+                deleted.add(id);
+            }
+        };
+        for (const record of records) {
+            this.applyLogRecord(overlay, record);
+        }
 
-        for (const doc of documents) {
-            await this.database.indexManager.updateIndex(this.name, doc);
+        for (const item of rawDocuments) {
+            const rawId = getRawDocumentId(item);
+            const doc = rawId === undefined ? this.parseRawDocument(item) : null;
+            const id = (rawId === undefined ? doc._id : rawId).toString();
+            if (deleted.has(id)) continue;
+            if (changed.has(id)) {
+                yield changed.get(id);
+                changed.delete(id);
+                continue;
+            }
+            yield doc || this.parseRawDocument(item);
         }
+        yield* changed.values();
+    }
 
-        return documents;
+    parseRawDocument(item) {
+        try {
+            return deserialize(item);
+        } catch (parseError) {
+            throw new CorruptionError(
+                `Collection ${this.name} data file is corrupted or was written with another encryption key: ${parseError.message}`,
+                this.dataFile
+            );
+        }
     }
 
-    async find(query = {}, options = {}) {
-        const documents = await this.loadData();
-        let results = documents.filter(doc => this.matchDocument(doc, query));
+    applyLogRecord(byId, record) {
+        switch (record.op) {
+            case 'insert':
+            case 'update':
+                for (const doc of record.docs) {
+                    byId.set(doc._id.toString(), doc);
+                }
+                break;
+            case 'delete':
+                for (const id of record.ids) {
+                    byId.delete(id.toString());
+                }
+                break;
+            case 'transaction':
+                for (const doc of record.docs) {
+                    byId.set(doc._id.toString(), doc);
+                }
+                for (const id of record.ids) {
+                    byId.delete(id.toString());
+                }
+                break;
+            default:
+                throw new Error(`Unknown operation in log of ${this.name}: ${record.op}`);
+        }
+    }
+
+    // indexChanges - изменения индексов от этой записи (см. IndexManager.getIndexChanges).
+    // Файловые индексы хранят их в той же записи журнала: документы и индексы
+    // меняются одной дозаписью, без перезаписи файлов индексов
+    async appendLog(record, indexChanges = []) {
+        const indexManager = this.database.indexManager;
+        const cache = this.database.documentCache;
+        // Кэш, актуальный до записи, обновляем этой же операцией вместо сброса.
+        // Запись идет под блокировкой коллекции, поэтому чужих изменений между
+        // двумя проверками подписи быть не может
+        const cached = cache.isEnabled()
+            ? cache.peek(this.collectionPath, (await this.getSignature()).key)
+            : null;
+
+        const payload = this.database.encryption.encrypt(
+            serialize(indexManager.logsChanges() && indexChanges.length > 0
+                ? { ...record, indexChanges, ts: new Date() }
+                : { ...record, ts: new Date() })
+        );
+        const header = Buffer.alloc(4);
+        header.writeUInt32LE(payload.length, 0);
+
+        await appendFileDurable(this.logFile, Buffer.concat([header, payload]));
+        this.logRecordCount++;
 
-        if (options.sort) {
-            results = this.sortDocuments(results, options.sort);
+        if (cached) {
+            this.applyLogRecord(cached, cloneDocument(record));
+            const signature = await this.getSignature();
+            cache.set(this.collectionPath, signature.key, cached, signature.bytes);
         }
 
-        if (options.limit) {
-            results = results.slice(0, options.limit);
+        await indexManager.applyIndexChanges(this.name, indexChanges);
+
+        if (this.logRecordCount >= this.getCompactionThreshold()) {
+            await this.rewriteData();
         }
+    }
 
-        if (options.skip) {
-            results = results.slice(options.skip);
+    async statFile(filePath) {
+        try {
+            return await fs.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
         }
+    }
+
+    // Подпись состояния файлов коллекции для проверки актуальности кэша
+    async getSignature() {
+        const [data, log] = await Promise.all([this.statFile(this.dataFile), this.statFile(this.logFile)]);
+        const describe = (stat) => stat ? `${stat.ino}-${stat.size}-${stat.mtimeMs}` : 'none';
+
+        return {
+            key: `${describe(data)}:${describe(log)}`,
+            bytes: (data ? data.size : 0) + (log ? log.size : 0)
+        };
+    }
 
-        return results;
+    // Документы из кэша общие для всех читателей - наружу отдаем копии
+    exportDocument(doc) {
+        return doc && this.database.documentCache.isEnabled() ? cloneDocument(doc) : doc;
     }
 
-    async findOne(query = {}) {
-        const documents = await this.loadData();
-        return documents.find(doc => this.matchDocument(doc, query)) || null;
+    async compact() {
+        await this.withWriteLock({}, () => this.rewriteData());
     }
 
-    async findById(id) {
-        return await this.findOne({ _id: typeof id === 'string' ? new ObjectId(id) : id });
+    // Переписывает data.bson и файлы индексов с учетом журнала и очищает журнал.
+    // Сбой между этими шагами безопасен: журнал воспроизводится повторно.
+    // documents - уже измененные документы коллекции (см. reencrypt)
+    async rewriteData(documents = null) {
+        documents = documents || await this.loadData();
+        await this.saveData(documents);
+        await this.database.indexManager.compactIndexes(this.name);
+
+        try {
+            await fs.unlink(this.logFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.logRecordCount = 0;
+
+        const cache = this.database.documentCache;
+        if (cache.isEnabled()) {
+            const signature = await this.getSignature();
+            cache.set(
+                this.collectionPath,
+                signature.key,
+                new Map(documents.map(doc => [doc._id.toString(), doc])),
+                signature.bytes
+            );
+        }
     }
 
-    async updateOne(query, update, options = {}) {
+    // Перешифровывает файлы коллекции текущим ключом базы (см. Database.rotateEncryptionKey):
+    // данные вместе с журналом сворачиваются в data.bson, остальные файлы (_meta, индексы)
+    // перезаписываются атомарно. Файлы, уже записанные этим ключом, пропускаются,
+    // поэтому прерванную перешифровку можно повторить. Зашифрованные поля документов
+    // (схемы Model) тоже перешифровываются, а индексы по ним перестраиваются.
+    // Вызывается под блокировкой
+    async reencrypt() {
+        const encryption = this.database.encryption;
+        let rewritten = 0;
+
         const documents = await this.loadData();
-        const index = documents.findIndex(doc => this.matchDocument(doc, query));
-        
-        if (index === -1) {
-            if (options.upsert) {
-                return await this.insertOne(update.$set || update);
-            }
-            return null;
+        const reencrypted = documents.map(doc => this.reencryptFields(doc));
+        const fieldsChanged = reencrypted.some((doc, index) => doc !== documents[index]);
+
+        if (fieldsChanged || !encryption.isCurrent(await fs.readFile(this.dataFile)) || (await this.readLog()).length > 0) {
+            await this.rewriteData(reencrypted);
+            rewritten++;
+        }
+        if (fieldsChanged) {
+            await this.database.indexManager.rebuildIndexes(this.name);
         }
 
-        const oldDoc = documents[index];
-        const updatedDoc = this.applyUpdate(oldDoc, update);
-        documents[index] = updatedDoc;
-        await this.saveData(documents);
+        for (const file of await this.listEncryptedFiles()) {
+            const filePath = path.join(this.collectionPath, file);
+            const data = await fs.readFile(filePath);
+            if (encryption.isCurrent(data)) continue;
+            await writeFileAtomic(filePath, encryption.encrypt(encryption.decrypt(data)));
+            rewritten++;
+        }
+        return rewritten;
+    }
 
-        await this.database.indexManager.updateIndex(this.name, updatedDoc, oldDoc);
-        return updatedDoc;
+    // Копия документа с перешифрованными полями верхнего уровня или сам документ,
+    // если менять нечего
+    reencryptFields(doc) {
+        const encryption = this.database.encryption;
+        let result = doc;
+        for (const [field, value] of Object.entries(doc)) {
+            if (!encryption.isEncryptedValue(value)) continue;
+            const reencrypted = encryption.reencryptValue(value);
+            if (reencrypted !== value) {
+                result = result === doc ? { ...doc } : result;
+                result[field] = reencrypted;
+            }
+        }
+        return result;
     }
 
-    async updateMany(query, update) {
-        const documents = await this.loadData();
-        const results = [];
-        
-        for (let i = 0; i < documents.length; i++) {
-            if (this.matchDocument(documents[i], query)) {
-                const oldDoc = documents[i];
-                const updatedDoc = this.applyUpdate(oldDoc, update);
-                documents[i] = updatedDoc;
-                results.push(updatedDoc);
-                await this.database.indexManager.updateIndex(this.name, updatedDoc, oldDoc);
+    // Проверяет, что каждый файл, каждая запись журнала и каждое зашифрованное
+    // поле документов записаны текущим ключом и читаются
+    async verifyEncryption() {
+        const encryption = this.database.encryption;
+        const parts = [['data.bson', await fs.readFile(this.dataFile)]];
+        for (const record of await this.readLog()) {
+            parts.push(['oplog.bson', record]);
+        }
+        for (const file of await this.listEncryptedFiles()) {
+            parts.push([file, await fs.readFile(path.join(this.collectionPath, file))]);
+        }
+
+        for (const [file, data] of parts) {
+            if (!encryption.isCurrent(data)) {
+                throw new EncryptionError(`${this.name}/${file} is not written with the current key`, 'ROTATION_INCOMPLETE');
             }
+            deserialize(encryption.decrypt(data));
         }
 
-        if (results.length > 0) {
-            await this.saveData(documents);
+        for (const doc of await this.loadData()) {
+            if (this.reencryptFields(doc) !== doc) {
+                throw new EncryptionError(`${this.name}/${doc._id} has fields not encrypted with the current key`, 'ROTATION_INCOMPLETE');
+            }
         }
+        return parts.length;
+    }
 
-        return results;
+    // Файлы коллекции кроме data.bson и журнала, которые шифруются целиком
+    async listEncryptedFiles() {
+        const files = await fs.readdir(this.collectionPath);
+        return files.filter(file => file.endsWith('.bson') && file !== 'data.bson' && file !== 'oplog.bson');
     }
 
-    async deleteOne(query) {
-        const documents = await this.loadData();
-        const index = documents.findIndex(doc => this.matchDocument(doc, query));
-        
-        if (index === -1) return null;
+    getCompactionThreshold() {
+        return this.database.options.compactionThreshold;
+    }
 
-        const deleted = documents.splice(index, 1)[0];
-        await this.saveData(documents);
-        await this.database.indexManager.removeFromIndex(this.name, deleted);
-        return deleted;
+    prepareId(document) {
+        if (!document._id) {
+            document._id = new ObjectId();
+        } else if (typeof document._id === 'string') {
+            document._id = new ObjectId(document._id);
+        }
     }
 
-    async deleteMany(query) {
-        const documents = await this.loadData();
-        const toDelete = [];
-        const remaining = [];
+    // Поле версии документа (параметр коллекции versionKey) или null
+    getVersionKey() {
+        return this.options.versionKey || null;
+    }
 
-        for (const doc of documents) {
-            if (this.matchDocument(doc, query)) {
-                toDelete.push(doc);
-            } else {
-                remaining.push(doc);
-            }
+    // Новый документ получает версию 0, если она не задана
+    prepareVersion(document) {
+        const versionKey = this.getVersionKey();
+        if (versionKey && document[versionKey] === undefined) {
+            document[versionKey] = 0;
         }
+    }
 
-        if (toDelete.length > 0) {
-            await this.saveData(remaining);
-            for (const doc of toDelete) {
-                await this.database.indexManager.removeFromIndex(this.name, doc);
-            }
+    // Каждое обновление увеличивает версию; значение из самого обновления не используется.
+    // Документы, записанные до включения versionKey, считаются версией 0
+    applyVersion(oldDoc, newDoc) {
+        const versionKey = this.getVersionKey();
+        if (versionKey) {
+            newDoc[versionKey] = this.getVersion(oldDoc) + 1;
         }
+        return newDoc;
+    }
 
-        return toDelete;
+    getVersion(doc) {
+        const version = doc[this.getVersionKey()];
+        return typeof version === 'number' ? version : 0;
     }
 
-    async count(query = {}) {
-        const documents = await this.loadData();
-        return documents.filter(doc => this.matchDocument(doc, query)).length;
+    // ifVersion (или expectedVersion): обновление применяется, только если версия
+    // документа не изменилась с момента, когда его прочитали
+    checkVersion(doc, options) {
+        const expected = options.ifVersion !== undefined ? options.ifVersion : options.expectedVersion;
+        if (expected === undefined) return;
+
+        if (!this.getVersionKey()) {
+            throw new UpdateError('ifVersion requires the versionKey collection option');
+        }
+        const actual = this.getVersion(doc);
+        if (actual !== expected) {
+            throw new VersionConflictError(
+                `Document ${doc._id} in ${this.name} has version ${actual}, expected ${expected}`,
+                expected,
+                actual
+            );
+        }
     }
 
-    async createIndex(fields, options = {}) {
-        return await this.database.indexManager.createIndex(this.name, fields, options);
+    async insertOne(document, options = {}) {
+        this.prepareId(document);
+        this.prepareVersion(document);
+
+        await this.withWriteLock(options, () => this.applyWrites({ inserts: [document] }, options));
+        return document;
     }
 
-    async dropIndex(fields) {
-        return await this.database.indexManager.dropIndex(this.name, fields);
+    async insertMany(documents, options = {}) {
+        for (const doc of documents) {
+            this.prepareId(doc);
+            this.prepareVersion(doc);
+        }
+
+        await this.withWriteLock(options, () => this.applyWrites({ inserts: documents }, options));
+        return documents;
     }
 
-    matchDocument(doc, query) {
-        for (const [key, value] of Object.entries(query)) {
-            if (key === '$or') {
-                if (!value.some(condition => this.matchDocument(doc, condition))) {
-                    return false;
+    // Возвращает курсор; await collection.find(...) по-прежнему дает массив
+    find(query = {}, options = {}) {
+        return new Cursor(this, query, options);
+    }
+
+    async aggregate(pipeline, options = {}) {
+        return await new Aggregation(this, pipeline, options).run();
+    }
+
+    async findOne(query = {}, options = {}) {
+        const projection = options.projection ? new Projection(options.projection, this) : null;
+        const { documents } = await this.getCandidates(query, options.session);
+        const doc = documents.find(candidate => this.matchDocument(candidate, query)) || null;
+        return projection ? projection.apply(doc, this.getTextMeta(doc, query)) : this.exportDocument(doc);
+    }
+
+    async findById(id, options = {}) {
+        return await this.findOne({ _id: typeof id === 'string' ? new ObjectId(id) : id }, options);
+    }
+
+    async updateOne(query, update, options = {}) {
+        return await this.withWriteLock(options, async () => {
+            const documents = await this.getDocuments(options.session);
+            const oldDoc = documents.find(doc => this.matchDocument(doc, query));
+            
+            if (!oldDoc) {
+                if (options.upsert) {
+                    const document = this.applyUpdate(this.getUpsertBase(query), update, {
+                        query,
+                        arrayFilters: options.arrayFilters,
+                        isInsert: true
+                    });
+                    this.prepareId(document);
+                    this.prepareVersion(document);
+                    await this.applyWrites({ inserts: [document] }, options);
+                    return document;
                 }
-            } else if (key === '$and') {
-                if (!value.every(condition => this.matchDocument(doc, condition))) {
-                    return false;
+                return null;
+            }
+
+            this.checkVersion(oldDoc, options);
+            const updatedDoc = this.applyVersion(
+                oldDoc,
+                this.applyUpdate(oldDoc, update, { query, arrayFilters: options.arrayFilters })
+            );
+            await this.applyWrites({
+                updates: [{ oldDoc, newDoc: updatedDoc, replace: this.isReplacement(update) }]
+            }, options);
+            return updatedDoc;
+        });
+    }
+
+    async updateMany(query, update, options = {}) {
+        return await this.withWriteLock(options, async () => {
+            const documents = await this.getDocuments(options.session);
+            const updates = [];
+            const replace = this.isReplacement(update);
+            
+            for (const doc of documents) {
+                if (this.matchDocument(doc, query)) {
+                    this.checkVersion(doc, options);
+                    updates.push({
+                        oldDoc: doc,
+                        newDoc: this.applyVersion(
+                            doc,
+                            this.applyUpdate(doc, update, { query, arrayFilters: options.arrayFilters })
+                        ),
+                        replace
+                    });
                 }
-            } else if (typeof value === 'object' && value !== null) {
-                for (const [op, opValue] of Object.entries(value)) {
-                    if (!this.matchOperator(doc[key], op, opValue)) {
-                        return false;
-                    }
+            }
+
+            await this.applyWrites({ updates }, options);
+            return updates.map(({ newDoc }) => newDoc);
+        });
+    }
+
+    // Заменяет документы с теми же значениями полей keys (пути через точку) или
+    // вставляет новые - одним чтением коллекции и одной записью на вызов (см. importFrom).
+    // При повторе ключа среди documents остается последний документ.
+    // Возвращает { inserted, updated } - вставленные и замененные документы
+    async upsertMany(documents, keys, options = {}) {
+        const getKey = doc => EJSON.stringify(
+            keys.map(key => getValueAtPath(doc, key.split('.')) ?? null),
+            { relaxed: false }
+        );
+
+        return await this.withWriteLock(options, async () => {
+            const existing = new Map();
+            for (const doc of await this.getDocuments(options.session)) {
+                const key = getKey(doc);
+                if (!existing.has(key)) existing.set(key, doc);
+            }
+
+            const latest = new Map();
+            for (const doc of documents) {
+                latest.set(getKey(doc), doc);
+            }
+
+            const inserts = [];
+            const updates = [];
+            for (const [key, doc] of latest) {
+                const oldDoc = existing.get(key);
+                if (!oldDoc) {
+                    this.prepareId(doc);
+                    this.prepareVersion(doc);
+                    inserts.push(doc);
+                    continue;
                 }
-            } else if (doc[key] !== value) {
-                return false;
+                const { _id, ...replacement } = doc;
+                updates.push({
+                    oldDoc,
+                    newDoc: this.applyVersion(oldDoc, this.applyUpdate(oldDoc, replacement)),
+                    replace: true
+                });
             }
+
+            await this.applyWrites({ inserts, updates }, options);
+            return { inserted: inserts, updated: updates.map(({ newDoc }) => newDoc) };
+        });
+    }
+
+    async deleteOne(query, options = {}) {
+        return await this.withWriteLock(options, async () => {
+            const documents = await this.getDocuments(options.session);
+            const deleted = documents.find(doc => this.matchDocument(doc, query));
+            
+            if (!deleted) return null;
+
+            await this.applyWrites({ deletes: [deleted] }, options);
+            return this.exportDocument(deleted);
+        });
+    }
+
+    async deleteMany(query, options = {}) {
+        return await this.withWriteLock(options, async () => {
+            const documents = await this.getDocuments(options.session);
+            const toDelete = documents.filter(doc => this.matchDocument(doc, query));
+
+            await this.applyWrites({ deletes: toDelete }, options);
+            return toDelete.map(doc => this.exportDocument(doc));
+        });
+    }
+
+    // Все изменения коллекции выполняются под блокировкой: чтение, изменение и
+    // запись не пересекаются с другими вызовами, потоками и процессами.
+    // Под блокировкой же проверяется, что ключ шифрования не сменили.
+    // Изменения внутри транзакции только откладываются и блокируются при фиксации
+    async withWriteLock(options, fn) {
+        if (options.session && options.session.inTransaction()) {
+            return await fn();
         }
-        return true;
+        return await this.database.lockManager.withLock(this.collectionPath, async () => {
+            await this.database.encryption.assertWriteKey(this.database.dbPath);
+            return await fn();
+        });
     }
 
-    matchOperator(fieldValue, operator, value) {
-        switch (operator) {
-            case '$eq': return fieldValue === value;
-            case '$ne': return fieldValue !== value;
-            case '$gt': return fieldValue > value;
-            case '$gte': return fieldValue >= value;
-            case '$lt': return fieldValue < value;
-            case '$lte': return fieldValue <= value;
-            case '$in': return value.includes(fieldValue);
-            case '$nin': return !value.includes(fieldValue);
-            case '$regex': return new RegExp(value).test(fieldValue);
-            default: return false;
+    // Документы коллекции с точки зрения сессии: внутри транзакции видны ее
+    // собственные неподтвержденные изменения
+    async getDocuments(session = null) {
+        await this.database.waitForCommits();
+        const documents = await this.loadData();
+        return session ? session.applyStaged(this, documents) : documents;
+    }
+
+    // Единая точка записи: в транзакции изменения откладываются в сессии,
+    // иначе попадают в журнал операций и индексы
+    async applyWrites({ inserts = [], updates = [], deletes = [] }, options = {}) {
+        if (inserts.length === 0 && updates.length === 0 && deletes.length === 0) return;
+
+        const session = options.session;
+        if (session && session.inTransaction()) {
+            session.stage(this, { inserts, updates, deletes });
+            return;
+        }
+
+        const indexManager = this.database.indexManager;
+
+        await this.checkUniqueIndexes(
+            [...inserts, ...updates.map(({ newDoc }) => newDoc)],
+            new Set(updates.map(({ oldDoc }) => oldDoc._id.toString()))
+        );
+
+        if (inserts.length > 0) {
+            await this.appendLog({ op: 'insert', docs: inserts },
+                await indexManager.getIndexChanges(this.name, inserts.map(doc => ({ oldDoc: null, newDoc: doc }))));
+        }
+
+        if (updates.length > 0) {
+            await this.appendLog({ op: 'update', docs: updates.map(({ newDoc }) => newDoc) },
+                await indexManager.getIndexChanges(this.name, updates));
+        }
+
+        if (deletes.length > 0) {
+            await this.appendLog({ op: 'delete', ids: deletes.map(doc => doc._id) },
+                await indexManager.getIndexChanges(this.name, deletes.map(doc => ({ oldDoc: doc, newDoc: null }))));
         }
+
+        this.publishChanges({ inserts, updates, deletes });
     }
 
-    sortDocuments(documents, sort) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sort)) {
-                const aVal = a[field];
-                const bVal = b[field];
-                if (aVal < bVal) return direction === 1 ? -1 : 1;
-                if (aVal > bVal) return direction === 1 ? 1 : -1;
-            }
-            return 0;
-        });
+    // События для watch() после записи. Обновление без операторов - replace
+    publishChanges({ inserts = [], updates = [], deletes = [] }) {
+        const ns = { db: this.database.name, coll: this.name };
+        const publish = change => ChangeStream.publishChange(this.database.dbPath, change);
+
+        for (const doc of inserts) {
+            publish({ operationType: 'insert', ns, documentKey: { _id: doc._id }, fullDocument: doc });
+        }
+        for (const { oldDoc, newDoc, replace } of updates) {
+            publish(replace
+                ? { operationType: 'replace', ns, documentKey: { _id: newDoc._id }, fullDocument: newDoc }
+                : {
+                    operationType: 'update',
+                    ns,
+                    documentKey: { _id: newDoc._id },
+                    updateDescription: this.getUpdateDescription(oldDoc, newDoc),
+                    fullDocument: newDoc
+                });
+        }
+        for (const doc of deletes) {
+            publish({ operationType: 'delete', ns, documentKey: { _id: doc._id } });
+        }
     }
 
-    applyUpdate(doc, update) {
-        const updated = { ...doc };
-        
-        for (const [operator, value] of Object.entries(update)) {
-            switch (operator) {
-                case '$set':
-                    Object.assign(updated, value);
-                    break;
-                case '$unset':
-                    for (const field of Object.keys(value)) {
-                        delete updated[field];
-                    }
-                    break;
-                case '$inc':
-                    for (const [field, amount] of Object.entries(value)) {
-                        updated[field] = (updated[field] || 0) + amount;
-                    }
-                    break;
-                case '$push':
-                    for (const [field, item] of Object.entries(value)) {
-                        if (!Array.isArray(updated[field])) {
-                            updated[field] = [];
-                        }
-                        updated[field].push(item);
-                    }
-                    break;
+    // Измененные поля в виде путей: { updatedFields: { 'a.b': 1 }, removedFields: ['c'] }.
+    // Вложенные документы сравниваются по полям, массивы - целиком
+    getUpdateDescription(oldDoc, newDoc, prefix = '', description = { updatedFields: {}, removedFields: [] }) {
+        for (const [key, value] of Object.entries(newDoc)) {
+            const field = prefix + key;
+            if (!(key in oldDoc)) {
+                description.updatedFields[field] = value;
+            } else if (isPlainObject(value) && isPlainObject(oldDoc[key])) {
+                this.getUpdateDescription(oldDoc[key], value, `${field}.`, description);
+            } else if (!valuesEqual(value, oldDoc[key])) {
+                description.updatedFields[field] = value;
             }
         }
-        
-        return updated;
+        for (const key of Object.keys(oldDoc)) {
+            if (!(key in newDoc)) {
+                description.removedFields.push(prefix + key);
+            }
+        }
+        return description;
     }
 
-    async drop() {
-        await fs.rm(this.collectionPath, { recursive: true, force: true });
-        await this.database.indexManager.dropCollectionIndexes(this.name);
+    // Выгрузка в файл или поток: Extended JSON, NDJSON или CSV (см. ImportExport)
+    async exportTo(target, options = {}) {
+        return await exportCollection(this, target, options);
     }
 
-    async close() {
-        // Cleanup resources if needed
+    // Загрузка из файла или потока пачками по batchSize документов, с заменой
+    // по upsertKey и проверкой схемы Model (см. ImportExport)
+    async importFrom(source, options = {}) {
+        return await importCollection(this, source, options);
     }
 
-    async stats() {
-        const documents = await this.loadData();
-        let size = 0;
-        
+    // Поток изменений коллекции; filter применяется к событиям (см. ChangeStream)
+    watch(filter = {}, options = {}) {
+        return this.database.openChangeStream(this, {
+            $and: [{ 'ns.coll': this.name }, filter]
+        }, options);
+    }
+
+    // Проверяет, что новые и измененные документы не нарушают уникальные индексы.
+    // replacedIds - id документов, которые docs заменяют. Без documents конфликты
+    // ищутся по ключам индекса (индекс может содержать лишние id, поэтому найденный
+    // документ перепроверяется); documents - полное итоговое содержимое коллекции
+    async checkUniqueIndexes(docs, replacedIds = new Set(), documents = null) {
+        if (docs.length === 0) return;
+
+        const indexManager = this.database.indexManager;
+        const indexes = (await indexManager.getCollectionIndexes(this.name))
+            .filter(index => indexManager.isUnique(index));
+        let committed = documents ? new Map(documents.map(doc => [doc._id.toString(), doc])) : null;
+
+        for (const index of indexes) {
+            // Владелец ключа - сам документ: при вставке _id может совпасть с чужим
+            const keyOwners = new Map();
+            const addKeys = (doc) => {
+                if (!indexManager.shouldIndex(index, doc)) return;
+                for (const key of indexManager.getDocumentIndexKeys(doc, index.fields)) {
+                    const owner = keyOwners.get(key);
+                    if (owner !== undefined && owner !== doc) {
+                        this.throwDuplicateKey(index, key);
+                    }
+                    keyOwners.set(key, doc);
+                }
+            };
+
+            docs.forEach(addKeys);
+
+            const lookup = documents ? null : await indexManager.lookupKeys(this.name, index.name, [...keyOwners.keys()]);
+            if (!lookup) {
+                committed = committed || new Map((await this.loadData()).map(doc => [doc._id.toString(), doc]));
+                for (const [id, doc] of committed) {
+                    if (!replacedIds.has(id)) addKeys(doc);
+                }
+                continue;
+            }
+
+            for (const [key, ids] of lookup) {
+                const others = ids.filter(id => !replacedIds.has(id));
+                if (others.length === 0) continue;
+
+                committed = committed || new Map((await this.loadData()).map(doc => [doc._id.toString(), doc]));
+                for (const id of others) {
+                    const doc = committed.get(id);
+                    if (doc && indexManager.shouldIndex(index, doc) &&
+                        indexManager.getDocumentIndexKeys(doc, index.fields).includes(key)) {
+                        this.throwDuplicateKey(index, key);
+                    }
+                }
+            }
+        }
+    }
+
+    throwDuplicateKey(index, key) {
+        const keyValue = this.database.indexManager.getKeyValue(index.fields, key);
+        throw new DuplicateKeyError(
+            `Duplicate key error in ${this.name} index ${index.name}: ${JSON.stringify(keyValue)}`,
+            index.name,
+            keyValue
+        );
+    }
+
+    // Применяет зафиксированную транзакцию (или повторяет ее при восстановлении).
+    // Для событий watch() документы транзакции - вставки или обновления
+    async applyTransaction(txnId, docs, ids) {
+        const previous = new Map((await this.loadData()).map(doc => [doc._id.toString(), doc]));
+
+        const indexChanges = await this.database.indexManager.getIndexChanges(this.name, [
+            ...docs.map(doc => ({ oldDoc: previous.get(doc._id.toString()) || null, newDoc: doc })),
+            ...ids.map(id => previous.get(id.toString())).filter(Boolean).map(oldDoc => ({ oldDoc, newDoc: null }))
+        ]);
+        await this.appendLog({ op: 'transaction', txnId, docs, ids }, indexChanges);
+
+        this.publishChanges({
+            inserts: docs.filter(doc => !previous.has(doc._id.toString())),
+            updates: docs
+                .filter(doc => previous.has(doc._id.toString()))
+                .map(doc => ({ oldDoc: previous.get(doc._id.toString()), newDoc: doc })),
+            deletes: ids.map(id => previous.get(id.toString())).filter(Boolean)
+        });
+    }
+
+    async count(query = {}, options = {}) {
+        const { documents } = await this.getCandidates(query, options.session);
+        return documents.filter(doc => this.matchDocument(doc, query)).length;
+    }
+
+    // Возвращает документы-кандидаты для запроса: через индекс, если план его нашел,
+    // иначе все документы коллекции. Кандидаты все равно проверяются matchDocument.
+    // Если индекс отдает документы в порядке sort, в плане выставлен sortedByIndex
+    // scan - документы полного просмотра перебираются лениво (см. scanDocuments);
+    // иначе documents - массив
+    async getCandidates(query, session = null, sort = null, scan = false) {
+        if (['$or', '$and', '$nor'].some(operator => Array.isArray(query[operator]) && this.containsText(query[operator]))) {
+            throw new QueryError('$text is only allowed at the top level of a query');
+        }
+        if (query.$text !== undefined) {
+            return await this.getTextCandidates(query, session);
+        }
+
+        const geo = this.getGeoPredicate(query);
+        if (geo) {
+            const result = await this.getGeoCandidates(geo, session, sort);
+            if (result) return result;
+        }
+
+        // Индексы не знают о неподтвержденных изменениях транзакции
+        if (session && session.getStaged(this)) {
+            return { documents: await this.getDocuments(session), plan: this.collectionScanPlan() };
+        }
+
+        // Чтение индекса и документов не должно застать транзакцию примененной наполовину
+        await this.database.waitForCommits();
+        const plan = await this.planQuery(query, sort);
+        const readDocuments = () => scan ? this.scanDocuments() : this.getDocuments();
+        if (!plan.index) {
+            return { documents: await readDocuments(), plan };
+        }
+
+        const lookup = await this.database.indexManager.lookup(this.name, plan.index, plan.keyRanges, {
+            ordered: plan.sortedByIndex,
+            direction: plan.direction
+        });
+        if (!lookup) {
+            return { documents: await readDocuments(), plan: this.collectionScanPlan() };
+        }
+
+        plan.keysExamined = lookup.keysExamined;
+        const documents = await this.loadDocumentsById(lookup.ids);
+
+        if (plan.sortedByIndex) {
+            const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+            return { documents: lookup.ids.map(id => byId.get(id)).filter(Boolean), plan };
+        }
+        return { documents, plan };
+    }
+
+    // Кандидаты для $text - документы, содержащие хотя бы одно слово запроса.
+    // Остальные условия запроса и фразы проверяет matchDocument. Текстовый индекс
+    // ищется для каждого запроса и привязывается к его условию $text: по его полям
+    // и весам считается textScore
+    async getTextCandidates(query, session) {
+        const indexManager = this.database.indexManager;
+        const index = await indexManager.getTextIndex(this.name);
+        if (!index) {
+            throw new QueryError('$text query requires a text index');
+        }
+        this.textIndexes.set(query.$text, index);
+        const search = this.getTextSearch(query.$text);
+
+        if (session && session.getStaged(this)) {
+            return { documents: await this.getDocuments(session), plan: this.collectionScanPlan() };
+        }
+
+        await this.database.waitForCommits();
+        const lookup = await indexManager.lookup(
+            this.name, index.name, indexManager.buildKeyRanges([search.terms], null, true)
+        );
+        if (!lookup) {
+            return { documents: await this.getDocuments(), plan: this.collectionScanPlan() };
+        }
+
+        return {
+            documents: await this.loadDocumentsById(lookup.ids),
+            plan: {
+                collection: this.name,
+                strategy: 'TEXT',
+                index: index.name,
+                fields: index.fields,
+                terms: search.terms,
+                keysExamined: lookup.keysExamined
+            }
+        };
+    }
+
+    // Есть ли $text в условиях логического оператора, на любой глубине
+    containsText(conditions) {
+        return conditions.some(condition => isPlainObject(condition) && Object.entries(condition).some(([key, value]) =>
+            key === '$text' || (['$or', '$and', '$nor'].includes(key) && Array.isArray(value) && this.containsText(value))
+        ));
+    }
+
+    getTextSearch(condition) {
+        if (!isPlainObject(condition) || Object.keys(condition).some(key => key !== '$search')) {
+            throw new QueryError('$text requires an object with a $search string');
+        }
+        if (!this.textSearches.has(condition)) {
+            this.textSearches.set(condition, parseSearch(condition.$search));
+        }
+        return this.textSearches.get(condition);
+    }
+
+    // Релевантность документа для условия $text; 0 - документ не подходит
+    getTextScore(doc, condition) {
+        const index = isPlainObject(condition) ? this.textIndexes.get(condition) : null;
+        if (!index) {
+            throw new QueryError('$text is only supported at the top level of a find, count or first $match query');
+        }
+        const weights = index.options && index.options.weights;
+        return scoreDocument(doc, index.fields, weights, this.getTextSearch(condition));
+    }
+
+    // Значения для проекции { $meta: ... } по документу из результатов запроса
+    getTextMeta(doc, query) {
+        return doc && query.$text !== undefined ? { textScore: this.getTextScore(doc, query.$text) } : {};
+    }
+
+    // Геоусловие верхнего уровня для индекса 2dsphere; $near важнее остальных,
+    // так как задает порядок результатов
+    getGeoPredicate(query) {
+        let found = null;
+        for (const [field, condition] of Object.entries(query)) {
+            if (field.startsWith('$') || !this.isOperatorObject(condition)) continue;
+
+            if ('$near' in condition) {
+                return { field, near: parseNear(condition) };
+            }
+            if (!found && '$geoWithin' in condition) {
+                found = { field, shape: parseWithin(condition.$geoWithin) };
+            } else if (!found && '$geoIntersects' in condition) {
+                found = { field, shape: parseIntersects(condition.$geoIntersects) };
+            }
+        }
+        return found;
+    }
+
+    // Кандидаты из индекса 2dsphere - точки в ячейках geohash, покрывающих область
+    // поиска. Без sort результаты $near идут по возрастанию расстояния.
+    // null - индекса нет и запрос выполняется обычным планом
+    async getGeoCandidates(geo, session, sort) {
+        const indexManager = this.database.indexManager;
+        const index = await indexManager.getGeoIndex(this.name, geo.field);
+        if (!index) {
+            if (geo.near) {
+                throw new QueryError(`$near requires a 2dsphere index on ${geo.field}`);
+            }
+            return null;
+        }
+
+        let documents = null;
+        let plan = this.collectionScanPlan();
+
+        if (!(session && session.getStaged(this))) {
+            const bounds = geo.near ? geo.near.bounds : geo.shape.bounds;
+            const cells = bounds ? coveringCells(bounds) : null;
+            await this.database.waitForCommits();
+            const lookup = await indexManager.lookup(this.name, index.name, indexManager.buildCellRanges(cells));
+            if (lookup) {
+                documents = await this.loadDocumentsById(lookup.ids);
+                plan = {
+                    collection: this.name,
+                    strategy: 'GEO',
+                    index: index.name,
+                    fields: index.fields,
+                    cells,
+                    keysExamined: lookup.keysExamined
+                };
+            }
+        }
+        documents = documents || await this.getDocuments(session);
+
+        if (geo.near && !sort) {
+            const distances = new Map(documents.map(doc => [doc, this.getNearDistance(doc, geo.field, geo.near.point)]));
+            documents = [...documents].sort((a, b) => distances.get(a) - distances.get(b));
+            plan.sortedByIndex = true;
+        }
+
+        return { documents, plan };
+    }
+
+    // Расстояние до ближайшей точки документа в поле, м
+    getNearDistance(doc, field, point) {
+        return Math.min(...getPoints(getPathValues(doc, field)).map(candidate => distance(point, candidate)));
+    }
+
+    // Выбирает индекс: равенство или $in по первым полям, затем диапазон по
+    // следующему полю. Индекс может отдать документы сразу в порядке sort, если
+    // sort идет по полям индекса сразу за полями равенства
+    async planQuery(query, sort = null) {
+        const predicates = this.getIndexPredicates(query);
+        const sortFields = sort ? Object.entries(sort) : [];
+        if (predicates.size === 0 && sortFields.length === 0) {
+            return this.collectionScanPlan();
+        }
+
+        const indexManager = this.database.indexManager;
+        const indexes = await indexManager.getCollectionIndexes(this.name);
+        let best = null;
+
+        for (const index of indexes) {
+            if (!indexManager.canServeQueries(index)) continue;
+
+            let prefixLength = 0;
+            let combinations = 1;
+            while (prefixLength < index.fields.length) {
+                const predicate = predicates.get(index.fields[prefixLength]);
+                if (!predicate || !predicate.values) break;
+                combinations *= predicate.values.length;
+                prefixLength++;
+            }
+            if (combinations > MAX_INDEX_BOUNDS) continue;
+
+            const next = predicates.get(index.fields[prefixLength]);
+            const range = next && next.range ? next.range : null;
+            // Несколько наборов значений равенства дают несколько отрезков индекса,
+            // общий порядок по sort между ними не сохраняется
+            let direction = combinations === 1
+                ? this.getIndexSortDirection(sortFields, index.fields.slice(prefixLength))
+                : 0;
+            // multikey-индекс упорядочен по элементам массивов, а sortDocuments
+            // сравнивает массив по наименьшему (наибольшему) элементу: такой
+            // sort выполняется в памяти
+            if (direction && await indexManager.isMultikey(this.name, index)) {
+                direction = 0;
+            }
+
+            if (prefixLength === 0 && !range && !direction) continue;
+
+            const score = [
+                prefixLength + (range ? 0.5 : 0),
+                prefixLength === index.fields.length ? 1 : 0,
+                direction ? 1 : 0
+            ];
+            const first = best ? score.findIndex((value, i) => value !== best.score[i]) : -1;
+            if (!best || (first !== -1 && score[first] > best.score[first])) {
+                best = { index, prefixLength, range, direction, score };
+            }
+        }
+
+        if (!best) {
+            return this.collectionScanPlan();
+        }
+
+        // У multikey-индекса границы диапазона нельзя объединять: разным границам
+        // могут удовлетворять разные элементы массива ({ a: [10, 30] } подходит под
+        // { $gt: 15, $lt: 20 }). Индекс просматривается по нижней границе, остальные
+        // условия проверяет matchDocument
+        if (best.range && best.range.low && best.range.high &&
+            await indexManager.isMultikey(this.name, best.index)) {
+            const { low } = best.range;
+            best.range = {
+                low,
+                high: null,
+                condition: { [low.inclusive ? '$gte' : '$gt']: low.value }
+            };
+        }
+
+        const prefixFields = best.index.fields.slice(0, best.prefixLength);
+        const indexBounds = {};
+        for (const field of prefixFields) {
+            indexBounds[field] = predicates.get(field).values;
+        }
+        if (best.range) {
+            indexBounds[best.index.fields[best.prefixLength]] = best.range.condition;
+        }
+
+        return {
+            collection: this.name,
+            strategy: 'IXSCAN',
+            index: best.index.name,
+            fields: best.index.fields,
+            indexBounds,
+            keyRanges: indexManager.buildKeyRanges(
+                prefixFields.map(field => predicates.get(field).values),
+                best.range,
+                best.prefixLength === best.index.fields.length
+            ),
+            direction: best.direction || 1,
+            sortedByIndex: Boolean(best.direction),
+            keysExamined: 0
+        };
+    }
+
+    // 1 или -1, если порядок sort совпадает с порядком полей индекса (прямым или
+    // обратным), иначе 0
+    getIndexSortDirection(sortFields, indexFields) {
+        if (sortFields.length === 0 || sortFields.length > indexFields.length) return 0;
+
+        const direction = sortFields[0][1];
+        if (direction !== 1 && direction !== -1) return 0;
+
+        const matches = sortFields.every(([field, fieldDirection], i) =>
+            field === indexFields[i] && fieldDirection === direction
+        );
+        return matches ? direction : 0;
+    }
+
+    collectionScanPlan() {
+        return {
+            collection: this.name,
+            strategy: 'COLLSCAN',
+            index: null,
+            keysExamined: 0
+        };
+    }
+
+    // Условия, которые можно искать по индексу: { values } для равенства и $in,
+    // { range } для $gt/$gte/$lt/$lte по значениям одного типа
+    getIndexPredicates(query) {
+        const predicates = new Map();
+
+        for (const [field, condition] of Object.entries(query)) {
+            if (field.startsWith('$')) continue;
+
+            let values = null;
+            if (this.isIndexableValue(condition)) {
+                values = [condition];
+            } else if (this.isOperatorObject(condition)) {
+                if ('$eq' in condition && this.isIndexableValue(condition.$eq)) {
+                    values = [condition.$eq];
+                } else if (Array.isArray(condition.$in) && condition.$in.every(v => this.isIndexableValue(v))) {
+                    values = condition.$in;
+                }
+            }
+
+            if (values) {
+                predicates.set(field, {
+                    values: values.filter((value, i) => values.findIndex(other => valuesEqual(other, value)) === i)
+                });
+                continue;
+            }
+
+            const range = this.isOperatorObject(condition) ? this.getIndexRange(condition) : null;
+            if (range) {
+                predicates.set(field, { range });
+            }
+        }
+
+        return predicates;
+    }
+
+    getIndexRange(condition) {
+        const bounds = Object.entries(condition).filter(([op]) => ['$gt', '$gte', '$lt', '$lte'].includes(op));
+        if (bounds.length === 0) return null;
+
+        const sample = bounds[0][1];
+        if (!bounds.every(([, value]) => isRangeEncodable(value) && isSameTypeClass(value, sample))) {
+            return null;
+        }
+
+        let low = null;
+        let high = null;
+        for (const [op, value] of bounds) {
+            const inclusive = op === '$gte' || op === '$lte';
+            if (op === '$gt' || op === '$gte') {
+                const diff = low ? compareValues(value, low.value) : 1;
+                if (diff > 0 || (diff === 0 && !inclusive)) low = { value, inclusive };
+            } else {
+                const diff = high ? compareValues(value, high.value) : -1;
+                if (diff < 0 || (diff === 0 && !inclusive)) high = { value, inclusive };
+            }
+        }
+
+        return { low, high, condition: Object.fromEntries(bounds) };
+    }
+
+    isIndexableValue(value) {
+        return value === null ||
+            ['string', 'number', 'boolean'].includes(typeof value) ||
+            value instanceof Date ||
+            value instanceof ObjectId;
+    }
+
+    async createIndex(fields, options = {}) {
+        return await this.withWriteLock({}, () =>
+            this.database.indexManager.createIndex(this.name, fields, options)
+        );
+    }
+
+    async dropIndex(fields) {
+        return await this.withWriteLock({}, () =>
+            this.database.indexManager.dropIndex(this.name, fields)
+        );
+    }
+
+    // $text допустим только на верхнем уровне запроса: кандидатов и индекс для
+    // него выбирает getCandidates
+    matchDocument(doc, query, nested = false) {
+        for (const [key, value] of Object.entries(query)) {
+            if (key === '$or') {
+                if (!this.getConditionList(key, value).some(condition => this.matchDocument(doc, condition, true))) {
+                    return false;
+                }
+            } else if (key === '$and') {
+                if (!this.getConditionList(key, value).every(condition => this.matchDocument(doc, condition, true))) {
+                    return false;
+                }
+            } else if (key === '$nor') {
+                if (this.getConditionList(key, value).some(condition => this.matchDocument(doc, condition, true))) {
+                    return false;
+                }
+            } else if (key === '$text') {
+                if (nested) {
+                    throw new QueryError('$text is only allowed at the top level of a query');
+                }
+                if (this.getTextScore(doc, value) === 0) {
+                    return false;
+                }
+            } else if (key.startsWith('$')) {
+                throw new QueryError(`Unknown top-level query operator: ${key}`);
+            } else if (!this.matchField(getPathValues(doc, key), value)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getConditionList(operator, value) {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new QueryError(`${operator} requires a non-empty array of conditions`);
+        }
+        return value;
+    }
+
+    // values - значения поля по пути (см. getPathValues)
+    matchField(values, condition) {
+        if (this.isOperatorObject(condition)) {
+            for (const [op, opValue] of Object.entries(condition)) {
+                if (op === '$regex') {
+                    if (!this.matchRegex(values, opValue, condition.$options)) {
+                        return false;
+                    }
+                } else if (op === '$options') {
+                    if (!('$regex' in condition)) {
+                        throw new QueryError('$options requires $regex');
+                    }
+                } else if (op === '$near') {
+                    if (!this.matchNear(values, condition)) {
+                        return false;
+                    }
+                } else if (op === '$maxDistance' || op === '$minDistance') {
+                    if (!('$near' in condition)) {
+                        throw new QueryError(`${op} requires $near`);
+                    }
+                } else if (!this.matchOperator(values, op, opValue)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        return this.matchEquality(values, condition);
+    }
+
+    matchNear(values, condition) {
+        const near = parseNear(condition);
+        return getPoints(values).some((point) => {
+            const meters = distance(near.point, point);
+            return meters >= near.minDistance && (near.maxDistance === undefined || meters <= near.maxDistance);
+        });
+    }
+
+    isOperatorObject(value) {
+        if (!isPlainObject(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Равенство в духе MongoDB: совпадает само значение или любой элемент массива,
+    // null совпадает и с отсутствующим полем
+    matchEquality(values, expected) {
+        if (expected instanceof RegExp) {
+            return expandValues(values).some(value => typeof value === 'string' && expected.test(value));
+        }
+        if (expected === null || expected === undefined) {
+            return expandValues(values).some(value => value === null || value === undefined);
+        }
+        return values.some(value =>
+            valuesEqual(value, expected) ||
+            (Array.isArray(value) && value.some(item => valuesEqual(item, expected)))
+        );
+    }
+
+    matchOperator(values, operator, value) {
+        switch (operator) {
+            case '$eq': return this.matchEquality(values, value);
+            case '$ne': return !this.matchEquality(values, value);
+            case '$gt': return this.matchComparison(values, value, diff => diff > 0);
+            case '$gte': return this.matchComparison(values, value, diff => diff >= 0);
+            case '$lt': return this.matchComparison(values, value, diff => diff < 0);
+            case '$lte': return this.matchComparison(values, value, diff => diff <= 0);
+            case '$in':
+                return this.getOperandArray(operator, value).some(item => this.matchEquality(values, item));
+            case '$nin':
+                return !this.getOperandArray(operator, value).some(item => this.matchEquality(values, item));
+            case '$regex': return this.matchRegex(values, value);
+            case '$exists':
+                return values.some(item => item !== undefined) === Boolean(value);
+            case '$type': {
+                const types = Array.isArray(value) ? value : [value];
+                return values.some(item => types.some(type => this.matchType(item, type)));
+            }
+            case '$all': {
+                const items = this.getOperandArray(operator, value);
+                return items.length > 0 && items.every(item =>
+                    isPlainObject(item) && '$elemMatch' in item
+                        ? this.matchOperator(values, '$elemMatch', item.$elemMatch)
+                        : this.matchEquality(values, item)
+                );
+            }
+            case '$elemMatch': {
+                if (!isPlainObject(value)) {
+                    throw new QueryError('$elemMatch requires an object');
+                }
+                // Операторы применяются к самому элементу, обычные поля - к полям элемента-документа
+                const elementIsValue = this.isOperatorObject(value) &&
+                    !Object.keys(value).some(key => ['$and', '$or', '$nor'].includes(key));
+                return values.some(item => Array.isArray(item) && item.some(element =>
+                    elementIsValue
+                        ? this.matchField([element], value)
+                        : isPlainObject(element) && this.matchDocument(element, value)
+                ));
+            }
+            case '$geoWithin': {
+                const shape = parseWithin(value);
+                return getPoints(values).some(point => shape.contains(point));
+            }
+            case '$geoIntersects': {
+                const shape = parseIntersects(value);
+                return getPoints(values).some(point => shape.contains(point));
+            }
+            case '$size':
+                if (!Number.isInteger(value) || value < 0) {
+                    throw new QueryError('$size requires a non-negative integer');
+                }
+                return values.some(item => Array.isArray(item) && item.length === value);
+            case '$not':
+                if (!(value instanceof RegExp) && !this.isOperatorObject(value)) {
+                    throw new QueryError('$not requires an operator expression or a regular expression');
+                }
+                return !this.matchField(values, value);
+            case '$mod': {
+                if (!Array.isArray(value) || value.length !== 2 ||
+                    !value.every(item => typeof item === 'number') || value[0] === 0) {
+                    throw new QueryError('$mod requires [divisor, remainder] with a non-zero divisor');
+                }
+                const [divisor, remainder] = value;
+                return expandValues(values).some(item =>
+                    typeof item === 'number' && Math.trunc(item) % Math.trunc(divisor) === Math.trunc(remainder)
+                );
+            }
+            default:
+                throw new QueryError(`Unknown query operator: ${operator}`);
+        }
+    }
+
+    getOperandArray(operator, value) {
+        if (!Array.isArray(value)) {
+            throw new QueryError(`${operator} requires an array`);
+        }
+        return value;
+    }
+
+    matchRegex(values, pattern, options) {
+        let regex;
         try {
-            const stat = await fs.stat(this.dataFile);
-            size = stat.size;
+            regex = pattern instanceof RegExp
+                ? new RegExp(pattern.source, options !== undefined ? options : pattern.flags)
+                : new RegExp(pattern, options);
         } catch (error) {
-            // File might not exist
+            throw new QueryError(`Invalid $regex: ${error.message}`);
+        }
+        return expandValues(values).some(item => typeof item === 'string' && regex.test(item));
+    }
+
+    // $type принимает имена типов BSON ('string', 'objectId', 'number', ...) или их коды
+    matchType(value, type) {
+        if (value === undefined) return false;
+
+        const alias = typeof type === 'number' ? BSON_TYPE_CODES[type] : type;
+        if (!alias || !(alias in BSON_TYPE_CHECKS)) {
+            throw new QueryError(`Unknown $type: ${type}`);
+        }
+
+        if (Array.isArray(value)) {
+            return alias === 'array' || value.some(item => BSON_TYPE_CHECKS[alias](item));
+        }
+        return BSON_TYPE_CHECKS[alias](value);
+    }
+
+    matchComparison(values, expected, test) {
+        return expandValues(values).some(value =>
+            value !== undefined && isSameTypeClass(value, expected) && test(compareValues(value, expected))
+        );
+    }
+
+    // textScores - релевантность документов для сортировки { поле: { $meta: 'textScore' } }
+    sortDocuments(documents, sort, textScores = null) {
+        const fields = Object.entries(sort);
+        return documents.sort((a, b) => {
+            for (const [field, direction] of fields) {
+                if (isTextScoreMeta(direction)) {
+                    if (!textScores) {
+                        throw new QueryError('Sorting by textScore requires a $text query');
+                    }
+                    // Сначала более релевантные
+                    const diff = textScores.get(b) - textScores.get(a);
+                    if (diff !== 0) return diff;
+                    continue;
+                }
+                const diff = compareValues(
+                    this.getSortValue(a, field, direction),
+                    this.getSortValue(b, field, direction)
+                );
+                if (diff !== 0) return direction === 1 ? diff : -diff;
+            }
+            return 0;
+        });
+    }
+
+    // Для массивов ключом сортировки служит наименьший элемент при сортировке
+    // по возрастанию и наибольший - по убыванию
+    getSortValue(doc, field, direction) {
+        const values = expandValues(getPathValues(doc, field)).filter(value => value !== undefined);
+        if (values.length === 0) return null;
+
+        return values.reduce((best, value) => {
+            const diff = compareValues(value, best);
+            return (direction === 1 ? diff < 0 : diff > 0) ? value : best;
+        });
+    }
+
+    // Новый документ для upsert начинается с полей равенства из запроса
+    getUpsertBase(query) {
+        const base = {};
+
+        for (const [key, condition] of Object.entries(query)) {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(part => Object.assign(base, this.getUpsertBase(part)));
+            } else if (!key.startsWith('$')) {
+                const value = isPlainObject(condition) && Object.keys(condition).length === 1 && '$eq' in condition
+                    ? condition.$eq
+                    : condition;
+                if (!this.isOperatorObject(value) && !(value instanceof RegExp)) {
+                    setValueAtPath(base, key.split('.'), cloneDocument(value));
+                }
+            }
+        }
+
+        return base;
+    }
+
+    // Документ без операторов заменяет документ целиком
+    isReplacement(update) {
+        const keys = Object.keys(update);
+        return keys.length > 0 && keys.every(key => !key.startsWith('$'));
+    }
+
+    // Применяет обновление к копии документа. Документ без операторов считается
+    // заменой (с сохранением _id). options: query - запрос, которым найден документ
+    // (нужен для позиционного $), arrayFilters - фильтры для $[<id>], isInsert - upsert
+    applyUpdate(doc, update, options = {}) {
+        if (!isPlainObject(update)) {
+            throw new UpdateError('Update must be an object');
+        }
+
+        const keys = Object.keys(update);
+        const operatorKeys = keys.filter(key => key.startsWith('$'));
+
+        if (operatorKeys.length > 0 && operatorKeys.length < keys.length) {
+            throw new UpdateError('Update document cannot mix operators and plain fields');
+        }
+
+        let updated;
+
+        if (this.isReplacement(update)) {
+            updated = cloneDocument(update);
+            if (doc._id !== undefined) {
+                if (updated._id !== undefined && !valuesEqual(updated._id, doc._id)) {
+                    throw new UpdateError("Replacement document cannot change the immutable field '_id'");
+                }
+                updated = { _id: doc._id, ...updated };
+            }
+            return updated;
+        }
+
+        this.checkUpdatePaths(update);
+
+        // Глубокая копия: исходный документ может быть общим с кэшем
+        updated = cloneDocument(doc);
+
+        for (const [operator, spec] of Object.entries(update)) {
+            if (!UPDATE_OPERATORS.has(operator)) {
+                throw new UpdateError(`Unknown update operator: ${operator}`);
+            }
+            if (!isPlainObject(spec)) {
+                throw new UpdateError(`${operator} requires an object`);
+            }
+            if (operator === '$setOnInsert' && !options.isInsert) continue;
+
+            for (const [field, value] of Object.entries(spec)) {
+                if (operator === '$rename') {
+                    this.applyRename(updated, field, value);
+                    continue;
+                }
+                for (const segments of this.resolveUpdatePaths(updated, field, options)) {
+                    this.applyUpdateOperator(updated, operator, segments, value);
+                }
+            }
+        }
+
+        if (doc._id !== undefined && !valuesEqual(updated._id, doc._id)) {
+            throw new UpdateError("Performing an update would modify the immutable field '_id'");
+        }
+
+        return updated;
+    }
+
+    // Два оператора не могут менять один и тот же путь или путь и его часть
+    checkUpdatePaths(update) {
+        const paths = [];
+
+        for (const [operator, spec] of Object.entries(update)) {
+            if (!isPlainObject(spec)) continue;
+            for (const [field, value] of Object.entries(spec)) {
+                paths.push(field);
+                if (operator === '$rename') {
+                    if (typeof value !== 'string' || value === '' || value === field) {
+                        throw new UpdateError(`$rename target for '${field}' must be a different non-empty string`);
+                    }
+                    paths.push(value);
+                }
+            }
+        }
+
+        for (let i = 0; i < paths.length; i++) {
+            for (let j = i + 1; j < paths.length; j++) {
+                const [a, b] = [paths[i], paths[j]];
+                if (a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`)) {
+                    throw new UpdateError(`Updating the path '${a}' would create a conflict at '${b}'`);
+                }
+            }
+        }
+    }
+
+    // Раскрывает позиционные сегменты ($, $[], $[<id>]) в конкретные пути
+    resolveUpdatePaths(doc, field, options) {
+        const segments = field.split('.');
+        let paths = [[]];
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+
+            if (!segment.startsWith('$')) {
+                paths.forEach(prefix => prefix.push(segment));
+                continue;
+            }
+
+            const next = [];
+            for (const prefix of paths) {
+                const array = getValueAtPath(doc, prefix);
+                if (!Array.isArray(array)) {
+                    throw new UpdateError(`The positional operator in '${field}' requires an array at '${prefix.join('.')}'`);
+                }
+                for (const index of this.getPositionalIndexes(array, segment, segments.slice(0, i).join('.'), options)) {
+                    next.push([...prefix, String(index)]);
+                }
+            }
+            paths = next;
+        }
+
+        return paths;
+    }
+
+    getPositionalIndexes(array, segment, arrayPath, options) {
+        const indexes = array.map((_, index) => index);
+
+        if (segment === '$[]') {
+            return indexes;
+        }
+
+        if (segment === '$') {
+            const conditions = this.getPositionalConditions(options.query || {}, arrayPath);
+            const index = indexes.find(i => this.matchArrayElement(array[i], conditions));
+            if (conditions.length === 0 || index === undefined) {
+                throw new UpdateError(`The positional operator did not find the match needed from the query for '${arrayPath}'`);
+            }
+            return [index];
+        }
+
+        const identifier = /^\$\[([a-z][a-zA-Z0-9]*)\]$/.exec(segment);
+        if (!identifier) {
+            throw new UpdateError(`Unknown positional operator: ${segment}`);
+        }
+
+        const conditions = [];
+        for (const filter of options.arrayFilters || []) {
+            for (const [key, condition] of Object.entries(filter)) {
+                const [name, ...rest] = key.split('.');
+                if (name === identifier[1]) {
+                    conditions.push({ path: rest.join('.'), condition });
+                }
+            }
+        }
+        if (conditions.length === 0) {
+            throw new UpdateError(`No array filter found for identifier '${identifier[1]}'`);
+        }
+
+        return indexes.filter(i => this.matchArrayElement(array[i], conditions));
+    }
+
+    // Условия запроса, относящиеся к элементам массива arrayPath (включая $and)
+    getPositionalConditions(query, arrayPath) {
+        const conditions = [];
+
+        for (const [key, condition] of Object.entries(query)) {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(part => conditions.push(...this.getPositionalConditions(part, arrayPath)));
+            } else if (key === arrayPath) {
+                if (isPlainObject(condition) && isPlainObject(condition.$elemMatch)) {
+                    const elemMatch = condition.$elemMatch;
+                    if (this.isOperatorObject(elemMatch)) {
+                        conditions.push({ path: '', condition: elemMatch });
+                    } else {
+                        Object.entries(elemMatch).forEach(([path, sub]) => conditions.push({ path, condition: sub }));
+                    }
+                } else {
+                    conditions.push({ path: '', condition });
+                }
+            } else if (key.startsWith(`${arrayPath}.`)) {
+                conditions.push({ path: key.slice(arrayPath.length + 1), condition });
+            }
+        }
+
+        return conditions;
+    }
+
+    matchArrayElement(element, conditions) {
+        return conditions.every(({ path: subPath, condition }) =>
+            this.matchField(subPath ? getPathValues(element, subPath) : [element], condition)
+        );
+    }
+
+    applyRename(doc, from, to) {
+        const fromSegments = from.split('.');
+        const value = getValueAtPath(doc, fromSegments);
+        if (value === undefined) return;
+
+        unsetValueAtPath(doc, fromSegments);
+        this.setUpdateValue(doc, to.split('.'), value);
+    }
+
+    setUpdateValue(doc, segments, value) {
+        if (!setValueAtPath(doc, segments, value)) {
+            throw new UpdateError(`Cannot create field '${segments.join('.')}' in a non-document value`);
+        }
+    }
+
+    getUpdateArray(doc, segments, operator) {
+        const current = getValueAtPath(doc, segments);
+        if (current === undefined) return null;
+        if (!Array.isArray(current)) {
+            throw new UpdateError(`${operator} requires an array at '${segments.join('.')}'`);
+        }
+        return current;
+    }
+
+    applyUpdateOperator(doc, operator, segments, value) {
+        const field = segments.join('.');
+        const current = getValueAtPath(doc, segments);
+
+        switch (operator) {
+            case '$set':
+            case '$setOnInsert':
+                this.setUpdateValue(doc, segments, cloneDocument(value));
+                break;
+            case '$unset':
+                unsetValueAtPath(doc, segments);
+                break;
+            case '$inc':
+            case '$mul':
+                if (typeof value !== 'number') {
+                    throw new UpdateError(`${operator} requires a numeric argument for '${field}'`);
+                }
+                if (current !== undefined && typeof current !== 'number') {
+                    throw new UpdateError(`${operator} cannot be applied to a non-numeric field '${field}'`);
+                }
+                this.setUpdateValue(doc, segments, operator === '$inc'
+                    ? (current || 0) + value
+                    : (current || 0) * value);
+                break;
+            case '$min':
+            case '$max': {
+                const diff = current === undefined ? 0 : compareValues(value, current);
+                if (current === undefined || (operator === '$min' ? diff < 0 : diff > 0)) {
+                    this.setUpdateValue(doc, segments, cloneDocument(value));
+                }
+                break;
+            }
+            case '$currentDate': {
+                const type = isPlainObject(value) ? value.$type : (value === true ? 'date' : null);
+                if (type === 'date') {
+                    this.setUpdateValue(doc, segments, new Date());
+                } else if (type === 'timestamp') {
+                    this.setUpdateValue(doc, segments, new Timestamp({ t: Math.floor(Date.now() / 1000), i: 1 }));
+                } else {
+                    throw new UpdateError(`$currentDate for '${field}' requires true or { $type: 'date' | 'timestamp' }`);
+                }
+                break;
+            }
+            case '$addToSet': {
+                const array = this.getUpdateArray(doc, segments, operator) || [];
+                const items = isPlainObject(value) && '$each' in value
+                    ? this.getUpdateEach(value.$each)
+                    : [value];
+                for (const item of items) {
+                    if (!array.some(existing => valuesEqual(existing, item))) {
+                        array.push(cloneDocument(item));
+                    }
+                }
+                this.setUpdateValue(doc, segments, array);
+                break;
+            }
+            case '$push':
+                this.setUpdateValue(doc, segments, this.pushItems(this.getUpdateArray(doc, segments, operator) || [], value));
+                break;
+            case '$pull': {
+                const array = this.getUpdateArray(doc, segments, operator);
+                if (!array) break;
+                this.setUpdateValue(doc, segments, array.filter(item => !this.matchPullCondition(item, value)));
+                break;
+            }
+            case '$pullAll': {
+                const array = this.getUpdateArray(doc, segments, operator);
+                const items = this.getUpdateEach(value, '$pullAll');
+                if (!array) break;
+                this.setUpdateValue(doc, segments, array.filter(item => !items.some(other => valuesEqual(item, other))));
+                break;
+            }
+            case '$pop': {
+                if (value !== 1 && value !== -1) {
+                    throw new UpdateError(`$pop for '${field}' requires 1 or -1`);
+                }
+                const array = this.getUpdateArray(doc, segments, operator);
+                if (!array) break;
+                if (value === 1) array.pop(); else array.shift();
+                break;
+            }
+        }
+    }
+
+    getUpdateEach(items, operator = '$each') {
+        if (!Array.isArray(items)) {
+            throw new UpdateError(`${operator} requires an array`);
+        }
+        return items;
+    }
+
+    // $push: одиночное значение или модификаторы $each/$position/$sort/$slice
+    pushItems(array, value) {
+        if (!(isPlainObject(value) && '$each' in value)) {
+            array.push(cloneDocument(value));
+            return array;
+        }
+
+        for (const key of Object.keys(value)) {
+            if (!['$each', '$position', '$sort', '$slice'].includes(key)) {
+                throw new UpdateError(`Unknown $push modifier: ${key}`);
+            }
+        }
+
+        const items = this.getUpdateEach(value.$each).map(item => cloneDocument(item));
+        let result = array;
+
+        if (value.$position !== undefined) {
+            if (!Number.isInteger(value.$position)) {
+                throw new UpdateError('$position requires an integer');
+            }
+            const position = value.$position < 0
+                ? Math.max(result.length + value.$position, 0)
+                : Math.min(value.$position, result.length);
+            result.splice(position, 0, ...items);
+        } else {
+            result.push(...items);
+        }
+
+        if (value.$sort !== undefined) {
+            if (value.$sort === 1 || value.$sort === -1) {
+                result.sort((a, b) => compareValues(a, b) * value.$sort);
+            } else if (isPlainObject(value.$sort)) {
+                result = this.sortDocuments(result, value.$sort);
+            } else {
+                throw new UpdateError('$sort requires 1, -1 or a sort specification');
+            }
+        }
+
+        if (value.$slice !== undefined) {
+            if (!Number.isInteger(value.$slice)) {
+                throw new UpdateError('$slice requires an integer');
+            }
+            result = value.$slice < 0 ? result.slice(value.$slice) : result.slice(0, value.$slice);
+        }
+
+        return result;
+    }
+
+    // $pull: условие с операторами, условие на поля вложенного документа или значение
+    matchPullCondition(item, condition) {
+        if (this.isOperatorObject(condition)) {
+            return this.matchField([item], condition);
+        }
+        if (isPlainObject(condition)) {
+            return isPlainObject(item) && this.matchDocument(item, condition);
+        }
+        return valuesEqual(item, condition);
+    }
+
+    async drop() {
+        await this.withWriteLock({}, async () => {
+            await this.database.indexManager.dropCollectionIndexes(this.name);
+            await fs.rm(this.collectionPath, { recursive: true, force: true });
+            this.database.documentCache.delete(this.collectionPath);
+        });
+    }
+
+    async close() {
+        // Cleanup resources if needed
+    }
+
+    async stats() {
+        const documents = await this.loadData();
+        let size = 0;
+        
+        for (const file of [this.dataFile, this.logFile]) {
+            try {
+                const stat = await fs.stat(file);
+                size += stat.size;
+            } catch (error) {
+                // File might not exist
+            }
         }
         
         return {
             name: this.name,
             count: documents.length,
             size: size,
+            logRecords: this.logRecordCount,
+            expired: this.expiredCount,
             indexes: await this.database.indexManager.getCollectionIndexes(this.name)
         };
     }
@@ -0,0 +1,151 @@
+const { QueryError } = require('./Errors');
+const Projection = require('./Projection');
+
+// Курсор результатов find. Параметры задаются цепочкой до начала чтения:
+//   collection.find({ age: { $gt: 18 } }).sort({ age: 1 }).skip(20).limit(10)
+// Курсор можно await-ить (результат - массив, как раньше), читать через toArray()
+// или перебирать for await: без сортировки (или если порядок sort дает индекс)
+// документы выдаются по одному и не собираются в общий массив. При полном
+// просмотре документы разбираются из файла данных по мере перебора
+// (см. Collection.scanDocuments); сортировка в памяти держит только совпадения.
+// Курсор читается один раз. С explain: true перебор выдает один документ - план
+class Cursor {
+    constructor(collection, query = {}, options = {}) {
+        this.collection = collection;
+        this.query = query;
+        this.options = { ...options };
+        this.started = false;
+    }
+
+    sort(sort) {
+        this.assertNotStarted();
+        this.options.sort = sort;
+        return this;
+    }
+
+    skip(count) {
+        this.assertNotStarted();
+        this.options.skip = this.getCount('skip', count);
+        return this;
+    }
+
+    limit(count) {
+        this.assertNotStarted();
+        this.options.limit = this.getCount('limit', count);
+        return this;
+    }
+
+    project(projection) {
+        this.assertNotStarted();
+        this.options.projection = projection;
+        return this;
+    }
+
+    assertNotStarted() {
+        if (this.started) {
+            throw new QueryError('Cursor options cannot be changed after iteration has started');
+        }
+    }
+
+    getCount(name, count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new QueryError(`${name} requires a non-negative integer`);
+        }
+        return count;
+    }
+
+    async toArray() {
+        if (this.options.explain) {
+            return await this.explain();
+        }
+
+        const results = [];
+        for await (const doc of this) {
+            results.push(doc);
+        }
+        return results;
+    }
+
+    // Количество подходящих документов без учета skip и limit
+    async count() {
+        return await this.collection.count(this.query, this.options);
+    }
+
+    async explain() {
+        const { documents, plan } = await this.collection.getCandidates(
+            this.query, this.options.session, this.options.sort, true
+        );
+        // Диапазоны ключей - внутреннее представление границ из indexBounds
+        delete plan.keyRanges;
+        let examined = 0;
+        let matched = 0;
+        for (const doc of documents) {
+            examined++;
+            if (this.collection.matchDocument(doc, this.query)) matched++;
+        }
+
+        const skip = this.options.skip || 0;
+        const available = Math.max(matched - skip, 0);
+        return {
+            ...plan,
+            docsExamined: examined,
+            nReturned: this.options.limit ? Math.min(available, this.options.limit) : available
+        };
+    }
+
+    // Совместимость с кодом, который ожидал массив: await collection.find(...)
+    then(resolve, reject) {
+        return this.toArray().then(resolve, reject);
+    }
+
+    async *[Symbol.asyncIterator]() {
+        if (this.started) {
+            throw new QueryError('Cursor is exhausted: it can only be read once, create a new one with find()');
+        }
+        this.started = true;
+
+        if (this.options.explain) {
+            yield await this.explain();
+            return;
+        }
+
+        const { sort, skip = 0, limit = 0, projection: spec, session } = this.options;
+        const projection = spec ? new Projection(spec, this.collection) : null;
+        const exportDocument = doc => projection
+            ? projection.apply(doc, this.collection.getTextMeta(doc, this.query))
+            : this.collection.exportDocument(doc);
+        const { documents, plan } = await this.collection.getCandidates(this.query, session, sort, true);
+
+        if (sort && !plan.sortedByIndex) {
+            // Сортировка требует всех совпадений; выдаются только документы страницы
+            const matched = [];
+            for (const doc of documents) {
+                if (this.collection.matchDocument(doc, this.query)) matched.push(doc);
+            }
+            const textScores = this.query.$text !== undefined
+                ? new Map(matched.map(doc => [doc, this.collection.getTextScore(doc, this.query.$text)]))
+                : null;
+            this.collection.sortDocuments(matched, sort, textScores);
+            const page = matched.slice(skip, limit ? skip + limit : undefined);
+            for (const doc of page) {
+                yield exportDocument(doc);
+            }
+            return;
+        }
+
+        let skipped = 0;
+        let returned = 0;
+        for (const doc of documents) {
+            if (limit && returned >= limit) return;
+            if (!this.collection.matchDocument(doc, this.query)) continue;
+            if (skipped < skip) {
+                skipped++;
+                continue;
+            }
+            returned++;
+            yield exportDocument(doc);
+        }
+    }
+}
+
+module.exports = Cursor;
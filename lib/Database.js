@@ -1,10 +1,20 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { ObjectId } = require('bson');
+const { ObjectId, serialize, deserialize } = require('bson');
 const Collection = require('./Collection');
 const Encryption = require('./Encryption');
 const FileStorage = require('./FileStorage');
 const IndexManager = require('./IndexManager');
+const MemoryIndexBackend = require('./MemoryIndexBackend');
+const Session = require('./Session');
+const LockManager = require('./LockManager');
+const DocumentCache = require('./DocumentCache');
+const ChangeStream = require('./ChangeStream');
+const { createBackup, restoreBackup, commitRestore, rollbackRestore } = require('./Backup');
+const { writeFileAtomic, removeStaleTempFiles } = require('./AtomicFile');
+const { BsonDBError, CorruptionError, WriteConflictError, EncryptionKeyError } = require('./Errors');
+
+const TRANSACTION_PREFIX = '_txn_';
 
 class Database {
     constructor(name, options = {}) {
@@ -12,16 +22,35 @@ class Database {
         this.options = {
             dataPath: './data',
             encryptionKey: null, // По умолчанию без шифрования
-            redisUrl: 'redis://localhost:6379',
+            decryptionKeys: [], // Ключи только для чтения, пока не завершена смена ключа
+            indexBackend: 'file', // Хранилище индексов: 'file', 'memory' или 'redis'
+            redisUrl: 'redis://localhost:6379', // Для indexBackend: 'redis'
+            compactionThreshold: 1000, // Записей журнала операций до сворачивания в data.bson
+            lockTimeout: 10000, // Сколько ждать блокировку коллекции, мс
+            lockStaleAfter: 30000, // Через сколько блокировка без обновлений считается брошенной, мс
+            cacheSize: 0, // Лимит кэша документов в байтах, 0 - кэш отключен
+            ttlInterval: 60000, // Период удаления документов по TTL-индексам, мс; 0 - не удалять
+            logger: console, // Куда писать сообщения о работе базы (logger.log) и предупреждения (logger.warn, иначе console.warn)
             ...options
         };
+        this.logger = this.options.logger;
         this.collections = new Map();
         
         // Инициализируем шифрование (может быть отключено)
-        this.encryption = new Encryption(this.options.encryptionKey);
+        this.encryption = new Encryption(this.options.encryptionKey, {
+            decryptionKeys: this.options.decryptionKeys,
+            logger: this.logger
+        });
         
         this.fileStorage = new FileStorage(this);
         this.indexManager = new IndexManager(this);
+        this.lockManager = new LockManager(this.options);
+        this.documentCache = new DocumentCache(this.options.cacheSize);
+        this.pendingCommit = null;
+        this.ttlTimer = null;
+        this.ttlSweep = null;
+        this.ttlStats = { expired: 0, lastSweepAt: null };
+        this.changeStreams = new Set();
         this.isInitialized = false;
     }
 
@@ -31,44 +60,78 @@ class Database {
         try {
             this.dbPath = path.join(this.options.dataPath, this.name);
             await fs.mkdir(this.dbPath, { recursive: true });
+            await this.encryption.init(this.dbPath);
             
             await this.indexManager.connect();
             await this.loadCollections();
+            await this.recoverTransactions();
+            await this.indexManager.checkConsistency([...this.collections.keys()]);
             
             this.isInitialized = true;
+            this.startTTLMonitor();
             
             // Тестируем шифрование при инициализации
             this.encryption.test();
             
         } catch (error) {
+            // Неоткрытая база не держит индексы (общие индексы в памяти, клиент Redis)
+            if (!this.isInitialized) {
+                await this.indexManager.disconnect().catch(() => {});
+            }
+            // Типизированные ошибки (неверный ключ, поврежденные данные) не оборачиваем
+            if (error instanceof BsonDBError) throw error;
             throw new Error(`Database initialization failed: ${error.message}`);
         }
     }
 
     async loadCollections() {
+        let files;
         try {
-            const files = await fs.readdir(this.dbPath);
-            for (const file of files) {
+            files = await fs.readdir(this.dbPath);
+        } catch (error) {
+            this.warn('⚠️ Error loading collections:', error.message);
+            return;
+        }
+
+        // Поврежденная коллекция не должна мешать открытию остальных
+        for (const file of files) {
+            try {
                 const stat = await fs.stat(path.join(this.dbPath, file));
                 if (stat.isDirectory()) {
                     const collection = new Collection(this, file);
-                    await collection.init();
+                    // Регистрируем до init, чтобы индексы строились по данным коллекции
                     this.collections.set(file, collection);
+                    try {
+                        await collection.init();
+                    } catch (error) {
+                        this.collections.delete(file);
+                        throw error;
+                    }
                 }
+            } catch (error) {
+                // Неподходящий ключ касается всей базы, а не одной коллекции
+                if (error instanceof EncryptionKeyError) throw error;
+                this.warn(`⚠️ Error loading collection ${file}:`, error.message);
             }
-        } catch (error) {
-            console.warn('⚠️ Error loading collections:', error.message);
         }
     }
 
     async createCollection(name, options = {}) {
         if (this.collections.has(name)) {
-            return this.collections.get(name);
+            // Сохраняемые параметры (versionKey) можно включить и для существующей коллекции
+            const existing = this.collections.get(name);
+            await existing.setOptions(options);
+            return existing;
         }
 
         const collection = new Collection(this, name, options);
-        await collection.init();
         this.collections.set(name, collection);
+        try {
+            await collection.init();
+        } catch (error) {
+            this.collections.delete(name);
+            throw error;
+        }
         return collection;
     }
 
@@ -86,11 +149,323 @@ class Database {
         return this.collections.get(name);
     }
 
+    // Поток изменений всех коллекций базы (см. ChangeStream)
+    watch(filter = {}, options = {}) {
+        // Коллекция без данных нужна только для сравнения событий с фильтром
+        return this.openChangeStream(new Collection(this, '$changes'), filter, options);
+    }
+
+    openChangeStream(matcher, filter, options) {
+        const stream = new ChangeStream(this, matcher, filter, options);
+        this.changeStreams.add(stream);
+        stream.once('close', () => this.changeStreams.delete(stream));
+        return stream;
+    }
+
+    startSession(options = {}) {
+        return new Session(this, options);
+    }
+
+    // Чтения ждут фиксации транзакций, чтобы не увидеть их примененными наполовину
+    async waitForCommits() {
+        while (this.pendingCommit) {
+            await this.pendingCommit.catch(() => {});
+        }
+    }
+
+    async commitTransaction(transaction) {
+        const previous = this.pendingCommit || Promise.resolve();
+        const commit = previous.catch(() => {}).then(() => this.runCommit(transaction));
+
+        this.pendingCommit = commit;
+        try {
+            await commit;
+        } finally {
+            if (this.pendingCommit === commit) {
+                this.pendingCommit = null;
+            }
+        }
+    }
+
+    // Фиксация держит блокировки всех затронутых коллекций
+    async runCommit(transaction) {
+        const paths = Array.from(transaction.collections.values(), ({ collection }) => collection.collectionPath);
+        await this.lockManager.withLocks(paths, async () => {
+            await this.encryption.assertWriteKey(this.dbPath);
+            await this.writeTransaction(transaction);
+        });
+    }
+
+    async writeTransaction(transaction) {
+        const entries = [];
+
+        for (const staged of transaction.collections.values()) {
+            const collection = staged.collection;
+            const current = new Map(
+                (await collection.loadData()).map(doc => [doc._id.toString(), doc])
+            );
+
+            for (const [id, base] of staged.base) {
+                const committed = current.get(id);
+                const unchanged = base === null
+                    ? committed === undefined
+                    : committed !== undefined && serialize(committed).equals(base);
+                if (!unchanged) {
+                    throw new WriteConflictError(
+                        `Document ${id} in ${collection.name} was modified outside of the transaction`
+                    );
+                }
+            }
+
+            const docs = [];
+            const ids = [];
+            for (const [id, doc] of staged.docs) {
+                if (doc) {
+                    docs.push(doc);
+                } else if (current.has(id)) {
+                    ids.push(current.get(id)._id);
+                }
+            }
+
+            if (docs.length > 0 || ids.length > 0) {
+                for (const id of staged.docs.keys()) {
+                    current.delete(id);
+                }
+                await collection.checkUniqueIndexes(docs, new Set(staged.docs.keys()), [...current.values(), ...docs]);
+                entries.push({ collection, docs, ids });
+            }
+        }
+
+        if (entries.length === 0) return;
+
+        // Запись журнала транзакции - точка фиксации: после сбоя журнал
+        // будет доприменен при следующем открытии базы
+        const journalFile = path.join(this.dbPath, `${TRANSACTION_PREFIX}${transaction.id}.bson`);
+        const journal = {
+            id: transaction.id,
+            collections: entries.map(({ collection, docs, ids }) => ({ name: collection.name, docs, ids }))
+        };
+        await writeFileAtomic(journalFile, this.encryption.encrypt(serialize(journal)));
+
+        for (const { collection, docs, ids } of entries) {
+            await collection.applyTransaction(transaction.id, docs, ids);
+        }
+
+        await fs.unlink(journalFile);
+    }
+
+    // Доприменяет транзакции, прерванные во время фиксации, и отбрасывает
+    // журналы, которые не успели записаться целиком. Фиксирующий процесс держит
+    // блокировки всех коллекций транзакции, пока не удалит журнал, поэтому журнал
+    // перечитывается под теми же блокировками: живая фиксация успеет завершиться,
+    // а блокировки упавшего процесса снимутся как устаревшие (см. LockManager)
+    async recoverTransactions() {
+        // Недописанные журналы (временные файлы) - транзакции, не дошедшие до фиксации
+        await removeStaleTempFiles(this.dbPath);
+
+        const files = await fs.readdir(this.dbPath);
+
+        for (const file of files) {
+            if (!file.startsWith(TRANSACTION_PREFIX) || !file.endsWith('.bson')) continue;
+            const filePath = path.join(this.dbPath, file);
+
+            const pending = await this.readTransactionJournal(filePath);
+            if (!pending) continue;
+
+            const collections = [];
+            for (const entry of pending.collections) {
+                collections.push(await this.createCollection(entry.name));
+            }
+
+            await this.lockManager.withLocks(collections.map(collection => collection.collectionPath), async () => {
+                // Другой процесс успел завершить фиксацию, пока мы ждали блокировки
+                const journal = await this.readTransactionJournal(filePath);
+                if (!journal) return;
+                await this.encryption.assertWriteKey(this.dbPath);
+
+                this.logger.log(`🛠️ Recovering transaction ${journal.id}`);
+                for (const entry of journal.collections) {
+                    const collection = this.collections.get(entry.name);
+                    await collection.applyTransaction(journal.id, entry.docs, entry.ids);
+                    // Индексы могли обновиться лишь частично до сбоя
+                    await this.indexManager.rebuildIndexes(entry.name);
+                }
+
+                await fs.unlink(filePath).catch(() => {});
+            });
+        }
+    }
+
+    // Журнал транзакции или null, если его уже удалили
+    async readTransactionJournal(filePath) {
+        let encryptedJournal;
+        try {
+            encryptedJournal = await fs.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const decryptedJournal = this.encryption.decrypt(encryptedJournal);
+        try {
+            return deserialize(decryptedJournal);
+        } catch (error) {
+            throw new CorruptionError(`Transaction journal ${path.basename(filePath)} is corrupted: ${error.message}`, filePath);
+        }
+    }
+
+    startTTLMonitor() {
+        if (this.ttlTimer || !(this.options.ttlInterval > 0)) return;
+
+        this.ttlTimer = setInterval(() => {
+            // Следующий проход не начинается, пока не закончился предыдущий
+            if (this.ttlSweep) return;
+            this.ttlSweep = this.sweepExpired()
+                .catch(error => this.warn('⚠️ TTL sweep failed:', error.message))
+                .finally(() => { this.ttlSweep = null; });
+        }, this.options.ttlInterval);
+
+        // Таймер не должен удерживать процесс от завершения
+        this.ttlTimer.unref();
+    }
+
+    async stopTTLMonitor() {
+        clearInterval(this.ttlTimer);
+        this.ttlTimer = null;
+        if (this.ttlSweep) {
+            await this.ttlSweep;
+        }
+    }
+
+    // Удаляет документы, у которых дата в поле TTL-индекса старше expireAfterSeconds.
+    // Удаление идет через deleteMany, поэтому остальные индексы обновляются как обычно
+    async sweepExpired() {
+        let expired = 0;
+
+        for (const collection of this.collections.values()) {
+            const indexes = await this.indexManager.getCollectionIndexes(collection.name);
+
+            for (const index of indexes.filter(candidate => this.indexManager.isTTL(candidate))) {
+                const cutoff = new Date(Date.now() - index.options.expireAfterSeconds * 1000);
+                const query = { [index.fields[0]]: { $lte: cutoff } };
+                if (index.options.partialFilterExpression) {
+                    query.$and = [index.options.partialFilterExpression];
+                }
+
+                const deleted = await collection.deleteMany(query);
+                collection.expiredCount += deleted.length;
+                expired += deleted.length;
+            }
+        }
+
+        this.ttlStats.expired += expired;
+        this.ttlStats.lastSweepAt = new Date();
+        return expired;
+    }
+
+    // Перешифровывает все коллекции (данные, журналы, индексы, файлы GridFS) ключом
+    // newKey. oldKey = null зашифровывает открытую базу, newKey = null снимает шифрование.
+    // База остается доступной: запись во время смены идет уже новым ключом, а чтение
+    // принимает оба. Каждый файл заменяется атомарно; после сбоя вызов с теми же
+    // ключами продолжает работу, а до его завершения базу можно открыть с
+    // encryptionKey: newKey и decryptionKeys: [oldKey]. Другие процессы, открывшие
+    // базу, нужно перезапустить с новым ключом
+    async rotateEncryptionKey(oldKey, newKey) {
+        // Файлы коллекции, которую не удалось открыть, остались бы со старым ключом
+        const entries = await fs.readdir(this.dbPath, { withFileTypes: true });
+        const unopened = entries
+            .filter(entry => entry.isDirectory() && !this.collections.has(entry.name))
+            .map(entry => entry.name);
+        if (unopened.length > 0) {
+            throw new BsonDBError(
+                `Cannot rotate the encryption key: collections ${unopened.join(', ')} failed to open`,
+                'ROTATION_INCOMPLETE'
+            );
+        }
+
+        await this.waitForCommits();
+
+        const encryption = new Encryption(newKey, { logger: this.logger });
+        await encryption.startRotation(this.dbPath, oldKey);
+        this.encryption = encryption;
+
+        const report = { collections: 0, rewritten: 0, verified: 0 };
+        for (const collection of this.collections.values()) {
+            await this.lockManager.withLock(collection.collectionPath, async () => {
+                report.rewritten += await collection.reencrypt();
+                report.verified += await collection.verifyEncryption();
+            });
+            report.collections++;
+        }
+
+        await encryption.finishRotation(this.dbPath);
+        this.options.encryptionKey = newKey;
+        this.options.decryptionKeys = [];
+        return report;
+    }
+
+    // Согласованная копия базы в одном файле-архиве (см. Backup): коллекции,
+    // журналы операций, индексы, файлы GridFS и параметры шифрования. Данные
+    // копируются зашифрованными; база остается открытой
+    async backup(targetPath) {
+        return await createBackup(this, targetPath);
+    }
+
+    // Восстанавливает базу из архива backup() и возвращает ее открытой.
+    // options: name - имя базы (по умолчанию имя из архива), until - момент,
+    // до которого воспроизводятся журналы операций, overwrite - заменить
+    // существующую закрытую базу; остальное - параметры Database (dataPath,
+    // encryptionKey - нужен для until у зашифрованной базы)
+    static async restore(archivePath, options = {}) {
+        const { name, until, overwrite, ...databaseOptions } = options;
+        const restored = await restoreBackup(archivePath, options);
+        // Индексы в памяти (indexBackend: 'memory') относились к замененному каталогу
+        MemoryIndexBackend.forget(restored.dbPath);
+
+        const db = new Database(restored.name, databaseOptions);
+        try {
+            await db.init();
+        } catch (error) {
+            // Ключ проверен до замены базы; если открыть все же не удалось
+            // (блокировка, восстановление транзакции), возвращается прежняя база
+            await rollbackRestore(restored);
+            throw error;
+        }
+        try {
+            for (const [collectionName, indexes] of Object.entries(restored.indexes)) {
+                const collection = db.collection(collectionName);
+                if (!collection) continue;
+
+                await db.lockManager.withLock(collection.collectionPath, async () => {
+                    // После отката журналов индексы в архиве новее данных
+                    if (restored.until) {
+                        await db.indexManager.rebuildIndexes(collectionName);
+                    }
+                    // Индексы в памяти (indexBackend: 'memory') в архив попадают только описаниями
+                    for (const index of indexes) {
+                        await db.indexManager.createIndex(collectionName, db.indexManager.getIndexFields(index), index.options);
+                    }
+                });
+            }
+        } catch (error) {
+            await db.close();
+            await rollbackRestore(restored);
+            throw error;
+        }
+        await commitRestore(restored);
+        return db;
+    }
+
     async close() {
+        for (const stream of [...this.changeStreams]) {
+            stream.close();
+        }
+        await this.stopTTLMonitor();
         await this.indexManager.disconnect();
         for (const collection of this.collections.values()) {
             await collection.close();
         }
+        this.documentCache.clear();
         this.isInitialized = false;
     }
 
@@ -99,7 +474,9 @@ class Database {
             database: this.name,
             collections: {},
             totalSize: 0,
-            encryption: this.encryption.isEnabled() ? 'enabled' : 'disabled'
+            encryption: this.encryption.isEnabled() ? 'enabled' : 'disabled',
+            cache: this.documentCache.stats(),
+            ttl: { interval: this.options.ttlInterval, ...this.ttlStats }
         };
 
         for (const [name, collection] of this.collections) {
@@ -113,10 +490,12 @@ class Database {
 
     // Метод для проверки состояния шифрования
     getEncryptionStatus() {
-        return {
-            enabled: this.encryption.isEnabled(),
-            algorithm: this.encryption.isEnabled() ? 'aes-256-cbc' : 'none'
-        };
+        return this.encryption.getStatus();
+    }
+
+    // Предупреждение в logger.warn; у logger только с log() - в console.warn
+    warn(...args) {
+        (typeof this.logger.warn === 'function' ? this.logger : console).warn(...args);
     }
 }
 
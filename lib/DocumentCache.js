@@ -0,0 +1,83 @@
+// Кэш декодированных документов коллекций одной базы.
+// Записи привязаны к "подписи" файлов коллекции (inode, размер, mtime data.bson
+// и журнала операций): запись другого процесса меняет подпись и сбрасывает кэш.
+// При превышении лимита памяти вытесняются давно не читавшиеся коллекции
+class DocumentCache {
+    constructor(maxBytes = 0) {
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    isEnabled() {
+        return this.maxBytes > 0;
+    }
+
+    get(key, signature) {
+        const documents = this.peek(key, signature);
+        if (documents) {
+            this.hits++;
+            // Перемещаем в конец очереди вытеснения
+            const entry = this.entries.get(key);
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        } else {
+            this.misses++;
+        }
+        return documents;
+    }
+
+    peek(key, signature) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.signature !== signature) {
+            this.delete(key);
+            return null;
+        }
+        return entry.documents;
+    }
+
+    set(key, signature, documents, bytes) {
+        this.delete(key);
+
+        // Коллекция больше всего лимита в кэш не помещается
+        if (!this.isEnabled() || bytes > this.maxBytes) return;
+
+        this.entries.set(key, { signature, documents, bytes });
+        this.totalBytes += bytes;
+
+        for (const [oldKey] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) break;
+            this.delete(oldKey);
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.totalBytes -= entry.bytes;
+            this.entries.delete(key);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.totalBytes = 0;
+    }
+
+    stats() {
+        return {
+            enabled: this.isEnabled(),
+            collections: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = DocumentCache;
@@ -0,0 +1,355 @@
+const { ObjectId, deserialize } = require('bson');
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+// Глубокая копия документа. Значения BSON-типов (ObjectId, Long и т.п.)
+// не изменяются на месте, поэтому копируются по ссылке
+function cloneDocument(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneDocument);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = cloneDocument(item);
+        }
+        return copy;
+    }
+    return value;
+}
+
+function isObjectId(value) {
+    return value instanceof ObjectId ||
+        (value !== null && typeof value === 'object' && ['ObjectID', 'ObjectId'].includes(value._bsontype));
+}
+
+// Значения по пути с точками. Массивы на промежуточных шагах раскрываются
+// (items.sku берет sku каждого элемента), числовой шаг выбирает позицию
+// (items.0.sku). Отсутствующее поле дает undefined. Массив в конце пути
+// возвращается целиком - раскрывать его или нет, решает оператор
+function getPathValues(doc, path) {
+    const values = [];
+    collectPathValues(doc, path.split('.'), values);
+    return values;
+}
+
+function collectPathValues(value, parts, values) {
+    if (parts.length === 0) {
+        values.push(value);
+        return;
+    }
+
+    const [head, ...rest] = parts;
+
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(head)) {
+            collectPathValues(value[Number(head)], rest, values);
+            return;
+        }
+        for (const element of value) {
+            if (isPlainObject(element)) {
+                collectPathValues(element[head], rest, values);
+            }
+        }
+        return;
+    }
+
+    if (isPlainObject(value)) {
+        collectPathValues(value[head], rest, values);
+        return;
+    }
+
+    values.push(undefined);
+}
+
+// Значения для сравнения: массивы в конце пути раскрываются в элементы
+function expandValues(values) {
+    const expanded = [];
+    for (const value of values) {
+        if (Array.isArray(value)) {
+            expanded.push(...value);
+        } else {
+            expanded.push(value);
+        }
+    }
+    return expanded;
+}
+
+// Сравнение по значению: ObjectId и Date равны, если совпадает их содержимое
+function valuesEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || a === undefined || b === undefined) return false;
+
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (isObjectId(a) || isObjectId(b)) {
+        return isObjectId(a) && isObjectId(b) && a.equals(b);
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) &&
+            a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+    }
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return a.equals(b);
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const aKeys = Object.keys(a);
+        const bKeys = Object.keys(b);
+        return aKeys.length === bKeys.length &&
+            aKeys.every((key, i) => key === bKeys[i] && valuesEqual(a[key], b[key]));
+    }
+    if (a._bsontype && a._bsontype === b._bsontype && typeof a.equals === 'function') {
+        return a.equals(b);
+    }
+    return false;
+}
+
+// Порядок типов при сравнении разнотипных значений (как в MongoDB)
+function typeOrder(value) {
+    if (value === undefined || value === null) return 1;
+    if (typeof value === 'number' || ['Long', 'Double', 'Int32', 'Decimal128'].includes(value._bsontype)) return 2;
+    if (typeof value === 'string') return 3;
+    if (isPlainObject(value)) return 4;
+    if (Array.isArray(value)) return 5;
+    if (Buffer.isBuffer(value) || value._bsontype === 'Binary') return 6;
+    if (isObjectId(value)) return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    if (value instanceof RegExp) return 11;
+    return 12;
+}
+
+function toNumber(value) {
+    return typeof value === 'number' ? value : Number(value.toString());
+}
+
+function compareValues(a, b) {
+    const aType = typeOrder(a);
+    const bType = typeOrder(b);
+    if (aType !== bType) return aType < bType ? -1 : 1;
+
+    let diff;
+    switch (aType) {
+        case 1:
+            return 0;
+        case 2:
+            diff = toNumber(a) - toNumber(b);
+            break;
+        case 4: {
+            const aEntries = Object.entries(a);
+            const bEntries = Object.entries(b);
+            for (let i = 0; i < Math.min(aEntries.length, bEntries.length); i++) {
+                const keyDiff = compareValues(aEntries[i][0], bEntries[i][0]);
+                if (keyDiff !== 0) return keyDiff;
+                const valueDiff = compareValues(aEntries[i][1], bEntries[i][1]);
+                if (valueDiff !== 0) return valueDiff;
+            }
+            diff = aEntries.length - bEntries.length;
+            break;
+        }
+        case 5:
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const itemDiff = compareValues(a[i], b[i]);
+                if (itemDiff !== 0) return itemDiff;
+            }
+            diff = a.length - b.length;
+            break;
+        case 6:
+            diff = Buffer.compare(Buffer.from(a.buffer || a), Buffer.from(b.buffer || b));
+            break;
+        case 7:
+            diff = a.toHexString() < b.toHexString() ? -1 : a.toHexString() > b.toHexString() ? 1 : 0;
+            break;
+        case 8:
+            diff = Number(a) - Number(b);
+            break;
+        case 9:
+            diff = a.getTime() - b.getTime();
+            break;
+        default:
+            diff = String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+    }
+
+    return diff < 0 ? -1 : diff > 0 ? 1 : 0;
+}
+
+// Значения сравнимы операторами $gt/$lt только внутри одного типа
+function isSameTypeClass(a, b) {
+    return typeOrder(a) === typeOrder(b);
+}
+
+// Точное значение по пути без раскрытия массивов (для операторов обновления)
+function getValueAtPath(doc, segments) {
+    let current = doc;
+    for (const segment of segments) {
+        if (Array.isArray(current) && /^\d+$/.test(segment)) {
+            current = current[Number(segment)];
+        } else if (isPlainObject(current)) {
+            current = current[segment];
+        } else {
+            return undefined;
+        }
+    }
+    return current;
+}
+
+// Устанавливает значение по пути, создавая недостающие вложенные документы.
+// Возвращает false, если путь проходит через скалярное значение
+function setValueAtPath(doc, segments, value) {
+    let current = doc;
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const isLast = i === segments.length - 1;
+
+        if (Array.isArray(current)) {
+            if (!/^\d+$/.test(segment)) return false;
+            const index = Number(segment);
+            while (current.length < index) {
+                current.push(null);
+            }
+            if (isLast) {
+                current[index] = value;
+                return true;
+            }
+            if (current[index] === undefined || current[index] === null) {
+                current[index] = {};
+            }
+            current = current[index];
+        } else if (isPlainObject(current)) {
+            if (isLast) {
+                current[segment] = value;
+                return true;
+            }
+            if (current[segment] === undefined || current[segment] === null) {
+                current[segment] = {};
+            }
+            current = current[segment];
+        } else {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Удаляет поле по пути; элемент массива, как и в MongoDB, заменяется на null
+function unsetValueAtPath(doc, segments) {
+    const parent = getValueAtPath(doc, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+
+    if (Array.isArray(parent) && /^\d+$/.test(last)) {
+        if (Number(last) < parent.length) {
+            parent[Number(last)] = null;
+        }
+    } else if (isPlainObject(parent)) {
+        delete parent[last];
+    }
+}
+
+// Копирует путь из source в target для проекций; через массивы документов путь
+// проходит поэлементно ('items.sku' оставляет в каждом элементе только sku)
+function includePath(source, target, segments) {
+    const [head, ...rest] = segments;
+    if (!isPlainObject(source) || !(head in source)) return;
+
+    const value = source[head];
+    if (rest.length === 0) {
+        target[head] = value;
+    } else if (Array.isArray(value)) {
+        const existing = Array.isArray(target[head]) ? target[head] : [];
+        target[head] = value
+            .map((item, index) => {
+                if (!isPlainObject(item)) return undefined;
+                const projected = isPlainObject(existing[index]) ? existing[index] : {};
+                includePath(item, projected, rest);
+                return projected;
+            })
+            .filter(item => item !== undefined);
+    } else if (isPlainObject(value)) {
+        const projected = isPlainObject(target[head]) ? target[head] : {};
+        includePath(value, projected, rest);
+        target[head] = projected;
+    }
+}
+
+// Размеры значений BSON по типу элемента (см. bsonspec.org); null - размер
+// записан в самом значении или тип не поддерживается
+const RAW_VALUE_SIZES = {
+    0x01: 8, 0x06: 0, 0x07: 12, 0x08: 1, 0x09: 8, 0x0A: 0, 0x10: 4,
+    0x11: 8, 0x12: 8, 0x13: 16, 0x7F: 0, 0xFF: 0
+};
+
+function skipCString(raw, offset) {
+    const end = raw.indexOf(0, offset);
+    return end === -1 ? -1 : end + 1;
+}
+
+// Размер значения элемента BSON, начинающегося с offset, или -1
+function getRawValueSize(raw, type, offset) {
+    if (type in RAW_VALUE_SIZES) return RAW_VALUE_SIZES[type];
+    switch (type) {
+        case 0x02: case 0x0D: case 0x0E: return 4 + raw.readInt32LE(offset);
+        case 0x03: case 0x04: case 0x0F: return raw.readInt32LE(offset);
+        case 0x05: return 5 + raw.readInt32LE(offset);
+        case 0x0C: return 4 + raw.readInt32LE(offset) + 12;
+        case 0x0B: {
+            const end = skipCString(raw, skipCString(raw, offset));
+            return end === -1 ? -1 : end - offset;
+        }
+        default: return -1;
+    }
+}
+
+// _id документа в сериализованном виде без разбора остальных полей;
+// undefined, если поля нет или документ не удалось прочитать
+function getRawDocumentId(raw) {
+    let offset = 4;
+    while (offset < raw.length - 1) {
+        const start = offset;
+        const type = raw[offset];
+        const nameEnd = raw.indexOf(0, offset + 1);
+        if (nameEnd === -1) return undefined;
+        const name = raw.toString('utf8', offset + 1, nameEnd);
+        const size = getRawValueSize(raw, type, nameEnd + 1);
+        if (size < 0) return undefined;
+        offset = nameEnd + 1 + size;
+
+        if (name === '_id') {
+            // Отдельный элемент - корректный документ BSON из одного поля
+            const element = raw.subarray(start, offset);
+            const single = Buffer.alloc(element.length + 5);
+            single.writeInt32LE(single.length, 0);
+            element.copy(single, 4);
+            return deserialize(single)._id;
+        }
+    }
+    return undefined;
+}
+
+module.exports = {
+    isPlainObject,
+    isObjectId,
+    cloneDocument,
+    getPathValues,
+    expandValues,
+    valuesEqual,
+    compareValues,
+    typeOrder,
+    toNumber,
+    isSameTypeClass,
+    getValueAtPath,
+    setValueAtPath,
+    unsetValueAtPath,
+    includePath,
+    getRawDocumentId
+};
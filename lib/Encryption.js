@@ -1,138 +1,556 @@
 const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { serialize, deserialize, Binary, EJSON } = require('bson');
+const { writeFileAtomic, writeFileExclusive } = require('./AtomicFile');
+const { BsonDBError, EncryptionError, EncryptionKeyError, IntegrityError } = require('./Errors');
+
+// Зашифрованные данные начинаются с заголовка:
+//   'BSDB' | версия формата (1 байт) | алгоритм (1 байт) | id ключа (8 байт) | IV (12 байт) | тег (16 байт)
+// Магия, версия, алгоритм и id ключа входят в проверку подлинности (AAD).
+// Данные без заголовка - старый формат aes-256-cbc (IV 16 байт + шифротекст),
+// они только читаются и при следующей записи сохраняются в новом формате.
+// Алгоритм 2 - тот же шифр с IV, выведенным из данных (детерминированное
+// шифрование полей документов, см. encryptValue)
+const MAGIC = Buffer.from('BSDB');
+const FORMAT_VERSION = 1;
+const ALGORITHMS = { 1: 'aes-256-gcm', 2: 'aes-256-gcm' };
+const ALGORITHM_ID = 1;
+const DETERMINISTIC_ALGORITHM_ID = 2;
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Общее начало base64 всех зашифрованных строк ('BSD')
+const MAGIC_BASE64 = MAGIC.subarray(0, 3).toString('base64');
+const AAD_LENGTH = MAGIC.length + 2 + KEY_ID_LENGTH;
+const HEADER_LENGTH = AAD_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_IV_LENGTH = 16;
+
+// Соль и параметры KDF базы; файл не шифруется
+const KEY_FILE = '_encryption.bson';
+const SALT_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Выведенные ключи по паролю и соли: scrypt намеренно медленный, а базы
+// открываются заново на каждый запрос рабочих потоков сервера
+const derivedKeys = new Map();
+
+async function deriveKey(secret, salt, params) {
+    const cacheKey = crypto.createHash('sha256')
+        .update(String(secret)).update(salt).update(JSON.stringify(params))
+        .digest('hex');
+    if (!derivedKeys.has(cacheKey)) {
+        const key = await new Promise((resolve, reject) => {
+            crypto.scrypt(String(secret), salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 }, (error, result) => {
+                if (error) reject(error); else resolve(result);
+            });
+        });
+        derivedKeys.set(cacheKey, key);
+    }
+    return derivedKeys.get(cacheKey);
+}
+
+// Id ключа не раскрывает сам ключ и позволяет отличить чужой ключ от поврежденных данных
+function getKeyId(key) {
+    return crypto.createHmac('sha256', key).update('bsondb key id').digest().subarray(0, KEY_ID_LENGTH);
+}
+
+// IV детерминированного режима - HMAC от заголовка и данных на отдельном ключе:
+// одинаковые данные дают одинаковый шифротекст, а IV повторяется только вместе с ними
+function getSyntheticIv(key, aad, data) {
+    const ivKey = crypto.createHmac('sha256', key).update('bsondb deterministic iv').digest();
+    return crypto.createHmac('sha256', ivKey).update(aad).update(data).digest().subarray(0, IV_LENGTH);
+}
+
+function isEncrypted(data) {
+    return Buffer.isBuffer(data) && data.length >= HEADER_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// Открытый BSON-документ: длина в начале совпадает с размером, в конце нулевой байт.
+// У данных старого формата в начале случайный IV, поэтому они так не совпадут
+function isPlainBson(data) {
+    return Buffer.isBuffer(data) && data.length >= 5 &&
+        data.readInt32LE(0) === data.length && data[data.length - 1] === 0;
+}
+
+// Ключ 'default-encryption-key' (значение по умолчанию сервера) означает "без шифрования"
+function normalizeKey(key) {
+    return key && key !== 'default-encryption-key' ? String(key) : null;
+}
 
 class Encryption {
-    constructor(key = null) {
+    // decryptionKeys - дополнительные ключи только для чтения, например старый
+    // ключ, пока смена ключа (Database.rotateEncryptionKey) не завершена
+    constructor(key = null, options = {}) {
         this.enabled = false;
-        this.key = null;
-        this.algorithm = 'aes-256-cbc';
-        this.ivLength = 16;
+        this.secret = normalizeKey(key);
+        this.decryptionSecrets = (options.decryptionKeys || []).map(normalizeKey).filter(Boolean);
+        this.logger = options.logger || console;
+        this.algorithm = ALGORITHMS[ALGORITHM_ID];
+        this.keys = new Map(); // id ключа (hex) -> ключ
+        this.keyId = null; // Ключ записи; null - данные пишутся открытыми
+        this.allowPlaintext = true; // Принимать открытые данные при чтении
+        this.settings = null;
+        this.checkedSettings = null; // Подпись _encryption.bson, сверенного с ключом записи
+        // Ключи старого формата: SHA-256 от пароля без соли
+        this.legacyKeys = [this.secret, ...this.decryptionSecrets]
+            .filter(Boolean)
+            .map(secret => crypto.createHash('sha256').update(secret).digest());
 
-        if (key && key !== 'default-encryption-key') {
+        if (this.secret) {
             this.enabled = true;
-            this.key = crypto.createHash('sha256').update(String(key)).digest();
-            console.log('🔐 Encryption: Enabled');
+            this.allowPlaintext = false;
+            this.logger.log('🔐 Encryption: Enabled');
         } else {
-            console.log('🔓 Encryption: Disabled (no valid key provided)');
+            this.logger.log('🔓 Encryption: Disabled (no valid key provided)');
         }
     }
 
-    encrypt(data) {
-        // Если шифрование отключено, возвращаем данные как есть
-        if (!this.enabled) {
-            return data;
+    // Читает соль базы (создает при первом открытии с ключом) и выводит ключ.
+    // Ключ, не совпадающий с записанным в _encryption.bson, и открытие
+    // зашифрованной базы без ключа - ошибки, а не пустые данные
+    async init(dbPath) {
+        const keyFile = path.join(dbPath, KEY_FILE);
+        let settings = await this.readSettings(keyFile);
+
+        if (!settings && this.enabled) {
+            // Открытая база не становится зашифрованной от одного открытия с ключом
+            if (await this.hasPlaintextData(dbPath)) {
+                throw new EncryptionKeyError(
+                    `Database ${path.basename(dbPath)} is not encrypted; encrypt it with rotateEncryptionKey(null, key)`,
+                    null,
+                    'DATABASE_NOT_ENCRYPTED'
+                );
+            }
+            // Файл с id чужого ключа закрыл бы базу старого формата для верного ключа
+            await this.verifyLegacyKey(dbPath);
+            const salt = crypto.randomBytes(SALT_LENGTH);
+            const keyId = getKeyId(await deriveKey(this.secret, salt, SCRYPT_PARAMS)).toString('hex');
+            const created = await writeFileExclusive(keyFile, this.serializeSettings({
+                salt,
+                params: SCRYPT_PARAMS,
+                keyIds: [keyId],
+                rotation: null
+            }));
+            // Файл мог создать другой процесс - тогда действует его соль
+            settings = created
+                ? { salt, params: SCRYPT_PARAMS, keyIds: [keyId], rotation: null }
+                : await this.readSettings(keyFile);
+        }
+        if (!settings) return;
+
+        if (this.enabled) {
+            this.keyId = await this.addKey(this.secret, settings);
+            if (!settings.keyIds.includes(this.keyId)) {
+                throw new EncryptionKeyError(
+                    `Encryption key does not match database ${path.basename(dbPath)}`,
+                    settings.keyIds[0]
+                );
+            }
+        }
+        // Ключ только для чтения, которым в базе ничего не записано, не нужен
+        for (const secret of this.decryptionSecrets) {
+            const keyId = await this.addKey(secret, settings);
+            if (!settings.keyIds.includes(keyId)) {
+                this.keys.delete(keyId);
+            }
+        }
+        if (!this.enabled && settings.keyIds.length > 0 && this.keys.size === 0) {
+            throw new EncryptionKeyError(
+                `Database ${path.basename(dbPath)} is encrypted; an encryption key is required`,
+                settings.keyIds[0],
+                'ENCRYPTION_KEY_REQUIRED'
+            );
+        }
+
+        // Незавершенная смена ключа между открытыми и зашифрованными данными:
+        // часть файлов еще (или уже) не зашифрована
+        if (settings.rotation && (settings.rotation.from === null || settings.rotation.to === null)) {
+            this.allowPlaintext = true;
         }
+        this.settings = settings;
+    }
+
+    // Данные старого формата (aes-256-cbc, без _encryption.bson) должны
+    // расшифровываться ключом; проверяется первый найденный файл данных коллекции
+    async verifyLegacyKey(dbPath) {
+        const entries = await fs.readdir(dbPath, { withFileTypes: true });
+        for (const entry of entries.filter(item => item.isDirectory())) {
+            let data;
+            try {
+                data = await fs.readFile(path.join(dbPath, entry.name, 'data.bson'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            if (isEncrypted(data) || data.length === 0) continue;
 
+            try {
+                deserialize(this.decryptLegacy(data));
+            } catch (error) {
+                throw new EncryptionKeyError(
+                    `Encryption key does not match database ${path.basename(dbPath)} (collection ${entry.name})`
+                );
+            }
+            return;
+        }
+    }
+
+    // Есть ли в каталоге базы открытые файлы данных коллекций. Проверяются только
+    // длина в начале и последний байт, файл целиком не читается
+    async hasPlaintextData(dbPath) {
+        const entries = await fs.readdir(dbPath, { withFileTypes: true });
+        for (const entry of entries.filter(item => item.isDirectory())) {
+            let handle;
+            try {
+                handle = await fs.open(path.join(dbPath, entry.name, 'data.bson'), 'r');
+                const { size } = await handle.stat();
+                const head = Buffer.alloc(4);
+                const tail = Buffer.alloc(1);
+                await handle.read(head, 0, 4, 0);
+                await handle.read(tail, 0, 1, Math.max(size - 1, 0));
+                if (size >= 5 && head.readInt32LE(0) === size && tail[0] === 0) return true;
+            } catch (error) {
+                // Нет файла данных - нечего проверять
+            } finally {
+                if (handle) await handle.close();
+            }
+        }
+        return false;
+    }
+
+    async addKey(secret, settings) {
+        const key = await deriveKey(secret, settings.salt, settings.params);
+        const keyId = getKeyId(key).toString('hex');
+        this.keys.set(keyId, key);
+        return keyId;
+    }
+
+    // Начинает перешифровку ключом этого экземпляра (null - без шифрования).
+    // oldKey проверяется по _encryption.bson; оба ключа записываются в файл, чтобы
+    // прерванную смену можно было продолжить повторным вызовом с теми же ключами
+    async startRotation(dbPath, oldKey) {
+        const keyFile = path.join(dbPath, KEY_FILE);
+        const oldSecret = normalizeKey(oldKey);
+        let settings = await this.readSettings(keyFile);
+
+        if (!settings) {
+            settings = { salt: crypto.randomBytes(SALT_LENGTH), params: SCRYPT_PARAMS, keyIds: [], rotation: null };
+        }
+
+        const from = oldSecret ? await this.addKey(oldSecret, settings) : null;
+        const to = this.secret ? await this.addKey(this.secret, settings) : null;
+
+        const resuming = settings.rotation && settings.rotation.from === from && settings.rotation.to === to;
+        if (settings.rotation && !resuming) {
+            throw new BsonDBError(
+                `Another key rotation of database ${path.basename(dbPath)} is in progress; finish it with the same keys first`,
+                'ROTATION_IN_PROGRESS'
+            );
+        }
+        // Базу без _encryption.bson (открытую или старого формата) принимаем с любым oldKey:
+        // неподходящий ключ обнаружится при чтении файлов
+        const known = settings.keyIds.length === 0 || (from !== null && settings.keyIds.includes(from));
+        if (!resuming && !known) {
+            throw new EncryptionKeyError(
+                `Old encryption key does not match database ${path.basename(dbPath)}`,
+                settings.keyIds[0]
+            );
+        }
+
+        settings.keyIds = [from, to].filter((keyId, index, all) => keyId !== null && all.indexOf(keyId) === index);
+        settings.rotation = { from, to };
+        await writeFileAtomic(keyFile, this.serializeSettings(settings));
+
+        if (oldSecret) {
+            this.legacyKeys.push(crypto.createHash('sha256').update(oldSecret).digest());
+        }
+        this.keyId = to;
+        this.allowPlaintext = from === null || to === null;
+        this.settings = settings;
+    }
+
+    // Завершает перешифровку: остается только новый ключ (или файл удаляется,
+    // если шифрование снято)
+    async finishRotation(dbPath) {
+        const keyFile = path.join(dbPath, KEY_FILE);
+        if (this.keyId === null) {
+            await fs.unlink(keyFile).catch(() => {});
+            this.settings = null;
+        } else {
+            this.settings = { ...this.settings, keyIds: [this.keyId], rotation: null };
+            await writeFileAtomic(keyFile, this.serializeSettings(this.settings));
+        }
+
+        for (const keyId of [...this.keys.keys()]) {
+            if (keyId !== this.keyId) this.keys.delete(keyId);
+        }
+        this.legacyKeys = [];
+        this.allowPlaintext = this.keyId === null;
+    }
+
+    serializeSettings({ salt, params, keyIds, rotation }) {
+        return serialize({
+            version: FORMAT_VERSION,
+            kdf: 'scrypt',
+            params,
+            salt: new Binary(salt),
+            keyIds,
+            rotation
+        });
+    }
+
+    // Проверка перед записью, под блокировкой коллекции: ключ записи должен быть
+    // ключом записи из _encryption.bson. Если ключ сменил другой экземпляр базы
+    // (Database.rotateEncryptionKey), запись старым ключом испортила бы базу -
+    // она отклоняется, экземпляр нужно открыть заново с новым ключом
+    async assertWriteKey(dbPath) {
+        if (!(await this.isWriteKey(dbPath))) {
+            throw new EncryptionKeyError(
+                `Encryption key of database ${path.basename(dbPath)} was changed by another instance; ` +
+                'reopen the database with the new key',
+                null,
+                'ENCRYPTION_KEY_CHANGED'
+            );
+        }
+    }
+
+    // Совпадает ли ключ записи с записанным в _encryption.bson (во время смены
+    // ключа - с новым ключом). Файл перечитывается, только если изменился
+    async isWriteKey(dbPath) {
+        const keyFile = path.join(dbPath, KEY_FILE);
+        let stat = null;
         try {
-            // Генерируем случайный IV
-            const iv = crypto.randomBytes(this.ivLength);
-            
-            // Создаем cipher
-            const cipher = crypto.createCipheriv(this.algorithm, this.key, iv);
-            
-            // Шифруем данные
-            let encrypted = cipher.update(data);
-            encrypted = Buffer.concat([encrypted, cipher.final()]);
-            
-            // Возвращаем IV + encrypted data
-            return Buffer.concat([iv, encrypted]);
+            stat = await fs.stat(keyFile);
         } catch (error) {
-            console.error('❌ Encryption failed:', error.message);
-            // В случае ошибки возвращаем незашифрованные данные
-            return data;
+            if (error.code !== 'ENOENT') throw error;
         }
+        const signature = stat ? `${stat.ino}-${stat.size}-${stat.mtimeMs}` : 'none';
+        if (signature === this.checkedSettings) return true;
+
+        const settings = stat ? await this.readSettings(keyFile) : null;
+        let writeKeyId = null;
+        if (settings) {
+            writeKeyId = settings.rotation ? settings.rotation.to : settings.keyIds[0] || null;
+        }
+        if (writeKeyId !== this.keyId) return false;
+
+        this.checkedSettings = signature;
+        return true;
     }
 
-    decrypt(encryptedData) {
-        // Если шифрование отключено, возвращаем данные как есть
-        if (!this.enabled) {
-            return encryptedData;
+    // Данные уже в том виде, в котором их запишет encrypt(): зашифрованы ключом
+    // записи или открыты, если шифрование снимается
+    isCurrent(data) {
+        return this.keyId === null
+            ? isPlainBson(data)
+            : isEncrypted(data) && this.readKeyId(data) === this.keyId;
+    }
+
+    async readSettings(keyFile) {
+        let data;
+        try {
+            data = await fs.readFile(keyFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
         }
 
         try {
-            // Проверяем, что данные достаточно длинные для IV
-            if (!encryptedData || encryptedData.length < this.ivLength) {
-                console.warn('⚠️ Invalid encrypted data length, returning as-is');
-                return encryptedData;
+            const settings = deserialize(data, { promoteBuffers: true });
+            if (settings.kdf !== 'scrypt' || !Buffer.isBuffer(settings.salt)) {
+                throw new Error(`unsupported key derivation ${settings.kdf}`);
             }
-
-            // Извлекаем IV (первые 16 байт)
-            const iv = encryptedData.slice(0, this.ivLength);
-            
-            // Извлекаем зашифрованные данные (остальные байты)
-            const encrypted = encryptedData.slice(this.ivLength);
-            
-            // Создаем decipher
-            const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
-            
-            // Дешифруем данные
-            let decrypted = decipher.update(encrypted);
-            decrypted = Buffer.concat([decrypted, decipher.final()]);
-            
-            return decrypted;
+            return {
+                salt: settings.salt,
+                params: settings.params,
+                keyIds: settings.keyIds || [],
+                rotation: settings.rotation || null
+            };
         } catch (error) {
-            console.error('❌ Decryption failed:', error.message);
-            // В случае ошибки возвращаем данные как есть
-            return encryptedData;
+            throw new BsonDBError(`Encryption settings file ${keyFile} is unreadable: ${error.message}`, 'DATA_CORRUPTED');
         }
     }
 
-    encryptText(text) {
+    // options.deterministic - IV из данных вместо случайного (см. getSyntheticIv)
+    encrypt(data, options = {}) {
+        // Если шифрование отключено (или снимается), возвращаем данные как есть
         if (!this.enabled) {
-            return text;
+            return data;
+        }
+        if (!this.keyId) {
+            throw new EncryptionError('Encryption is not initialized');
+        }
+
+        const aad = Buffer.alloc(AAD_LENGTH);
+        MAGIC.copy(aad, 0);
+        aad.writeUInt8(FORMAT_VERSION, MAGIC.length);
+        aad.writeUInt8(options.deterministic ? DETERMINISTIC_ALGORITHM_ID : ALGORITHM_ID, MAGIC.length + 1);
+        Buffer.from(this.keyId, 'hex').copy(aad, MAGIC.length + 2);
+
+        const key = this.keys.get(this.keyId);
+        const iv = options.deterministic ? getSyntheticIv(key, aad, data) : crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+        cipher.setAAD(aad);
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+        return Buffer.concat([aad, iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    decrypt(encryptedData) {
+        if (!isEncrypted(encryptedData)) {
+            // База без шифрования
+            if (this.keys.size === 0 && this.legacyKeys.length === 0) {
+                return encryptedData;
+            }
+            if (this.allowPlaintext && isPlainBson(encryptedData)) {
+                return encryptedData;
+            }
+            return this.decryptLegacy(encryptedData);
+        }
+        if (this.keys.size === 0) {
+            throw new EncryptionKeyError(
+                'Data is encrypted; an encryption key is required',
+                this.readKeyId(encryptedData),
+                'ENCRYPTION_KEY_REQUIRED'
+            );
+        }
+
+        const version = encryptedData.readUInt8(MAGIC.length);
+        const algorithm = ALGORITHMS[encryptedData.readUInt8(MAGIC.length + 1)];
+        if (version !== FORMAT_VERSION || !algorithm) {
+            throw new EncryptionError(`Unsupported encrypted data format ${version}`, 'UNSUPPORTED_FORMAT');
         }
 
+        const keyId = this.readKeyId(encryptedData);
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new EncryptionKeyError(`Data was encrypted with another key (${keyId})`, keyId);
+        }
+
+        const aad = encryptedData.subarray(0, AAD_LENGTH);
+        const iv = encryptedData.subarray(AAD_LENGTH, AAD_LENGTH + IV_LENGTH);
+        const tag = encryptedData.subarray(AAD_LENGTH + IV_LENGTH, HEADER_LENGTH);
+
         try {
-            const buffer = Buffer.from(text, 'utf8');
-            const encrypted = this.encrypt(buffer);
-            return encrypted.toString('base64');
+            const decipher = crypto.createDecipheriv(algorithm, key, iv);
+            decipher.setAAD(aad);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(encryptedData.subarray(HEADER_LENGTH)), decipher.final()]);
         } catch (error) {
-            console.error('❌ Text encryption failed:', error.message);
+            throw new IntegrityError('Encrypted data failed the integrity check: it was damaged or modified');
+        }
+    }
+
+    // Старый формат без проверки подлинности: неверный ключ обычно дает ошибку
+    // выравнивания, а неудачно совпавшее выравнивание - мусор, который не разберет BSON
+    decryptLegacy(encryptedData) {
+        if (!encryptedData || encryptedData.length < LEGACY_IV_LENGTH * 2) {
+            throw new EncryptionKeyError('Data is not encrypted or was encrypted with another key');
+        }
+
+        const iv = encryptedData.subarray(0, LEGACY_IV_LENGTH);
+        for (const legacyKey of this.legacyKeys) {
+            try {
+                const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, legacyKey, iv);
+                return Buffer.concat([decipher.update(encryptedData.subarray(LEGACY_IV_LENGTH)), decipher.final()]);
+            } catch (error) {
+                // Пробуем следующий ключ
+            }
+        }
+        throw new EncryptionKeyError('Data is not encrypted or was encrypted with another key');
+    }
+
+    readKeyId(encryptedData) {
+        return encryptedData.subarray(MAGIC.length + 2, AAD_LENGTH).toString('hex');
+    }
+
+    encryptText(text, options = {}) {
+        if (!this.enabled) {
             return text;
         }
+        return this.encrypt(Buffer.from(text, 'utf8'), options).toString('base64');
     }
 
+    // Пока шифрование снимается, старый ключ остается для чтения
     decryptText(encryptedText) {
-        if (!this.enabled) {
+        if (!this.enabled && this.keys.size === 0) {
             return encryptedText;
         }
+        return this.decrypt(Buffer.from(encryptedText, 'base64')).toString('utf8');
+    }
 
-        try {
-            const buffer = Buffer.from(encryptedText, 'base64');
-            const decrypted = this.decrypt(buffer);
-            return decrypted.toString('utf8');
-        } catch (error) {
-            console.error('❌ Text decryption failed:', error.message);
-            return encryptedText;
+    // Шифрование полей документов (encrypt: true в схеме Model): значение любого
+    // типа BSON хранится строкой base64. В детерминированном режиме одинаковые
+    // значения дают одинаковые строки, поэтому по полю работают запросы на
+    // равенство и индексы
+    encryptValue(value, options = {}) {
+        if (!this.enabled || !this.keyId) {
+            throw new EncryptionKeyError(
+                'Field-level encryption requires a database encryption key',
+                null,
+                'ENCRYPTION_KEY_REQUIRED'
+            );
         }
+        return this.encryptText(EJSON.stringify({ value }, { relaxed: false }), options);
+    }
+
+    decryptValue(encryptedValue) {
+        // Числа возвращаются обычными числами JS, как из deserialize
+        return EJSON.parse(this.decryptText(encryptedValue), { relaxed: true }).value;
+    }
+
+    isEncryptedValue(value) {
+        return typeof value === 'string' && value.startsWith(MAGIC_BASE64) &&
+            isEncrypted(Buffer.from(value, 'base64'));
+    }
+
+    // Значение поля в том виде, в котором его запишет encryptValue: при смене ключа
+    // перешифровывается в том же режиме, при снятии шифрования возвращается открытым
+    reencryptValue(encryptedValue) {
+        const data = Buffer.from(encryptedValue, 'base64');
+        if (this.isCurrent(data)) {
+            return encryptedValue;
+        }
+
+        const value = this.decryptValue(encryptedValue);
+        if (this.keyId === null) {
+            return value;
+        }
+        return this.encryptValue(value, {
+            deterministic: data.readUInt8(MAGIC.length + 1) === DETERMINISTIC_ALGORITHM_ID
+        });
     }
 
     // Метод для проверки работы шифрования
     test() {
         if (!this.enabled) {
-            console.log('🔓 Encryption test: Disabled');
+            this.logger.log('🔓 Encryption test: Disabled');
             return true;
         }
 
-        try {
-            const testData = 'Hello, BsonDB Encryption Test!';
-            const encrypted = this.encryptText(testData);
-            const decrypted = this.decryptText(encrypted);
-            
-            if (decrypted !== testData) {
-                throw new Error('Encryption/decryption mismatch');
-            }
-            
-            console.log('✅ Encryption test passed');
-            return true;
-        } catch (error) {
-            console.error('❌ Encryption test failed:', error.message);
-            return false;
+        const testData = 'Hello, BsonDB Encryption Test!';
+        if (this.decryptText(this.encryptText(testData)) !== testData) {
+            throw new EncryptionError('Encryption/decryption mismatch');
         }
+
+        this.logger.log('✅ Encryption test passed');
+        return true;
     }
 
     isEnabled() {
         return this.enabled;
     }
+
+    getStatus() {
+        return this.enabled
+            ? { enabled: true, algorithm: this.algorithm, kdf: 'scrypt', keyId: this.keyId }
+            : { enabled: false, algorithm: 'none' };
+    }
 }
 
-module.exports = Encryption;
\ No newline at end of file
+module.exports = Encryption;
+module.exports.isEncrypted = isEncrypted;
+module.exports.KEY_FILE = KEY_FILE;
@@ -0,0 +1,117 @@
+class BsonDBError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// Файл коллекции не читается: данные нельзя перезаписывать, пока файл не восстановлен
+class CorruptionError extends BsonDBError {
+    constructor(message, filePath) {
+        super(message, 'DATA_CORRUPTED');
+        this.filePath = filePath;
+    }
+}
+
+// Некорректный запрос: неизвестный оператор или неверный аргумент оператора
+class QueryError extends BsonDBError {
+    constructor(message) {
+        super(message, 'BAD_QUERY');
+    }
+}
+
+// Некорректное обновление: неизвестный оператор, конфликт путей, изменение _id
+class UpdateError extends BsonDBError {
+    constructor(message) {
+        super(message, 'BAD_UPDATE');
+    }
+}
+
+// Запись нарушает уникальный индекс; keyValue - значения полей индекса
+class DuplicateKeyError extends BsonDBError {
+    constructor(message, index, keyValue) {
+        super(message, 'DUPLICATE_KEY');
+        this.index = index;
+        this.keyValue = keyValue;
+    }
+}
+
+class TransactionError extends BsonDBError {
+    constructor(message) {
+        super(message, 'TRANSACTION_ERROR');
+    }
+}
+
+// Документ, измененный в транзакции, был изменен другой записью до ее фиксации
+class WriteConflictError extends TransactionError {
+    constructor(message) {
+        super(message);
+        this.code = 'WRITE_CONFLICT';
+    }
+}
+
+// Документ изменен после чтения: его версия (поле versionKey коллекции)
+// не совпадает с ожидаемой в ifVersion
+class VersionConflictError extends BsonDBError {
+    constructor(message, expectedVersion, actualVersion) {
+        super(message, 'VERSION_CONFLICT');
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+    }
+}
+
+// Данные нельзя зашифровать или расшифровать. Такие ошибки не подменяются
+// открытыми или пустыми данными
+class EncryptionError extends BsonDBError {
+    constructor(message, code = 'ENCRYPTION_ERROR') {
+        super(message, code);
+    }
+}
+
+// Ключ не подходит к данным или не задан для зашифрованной базы;
+// keyId - идентификатор ключа, которым зашифрованы данные
+class EncryptionKeyError extends EncryptionError {
+    constructor(message, keyId = null, code = 'WRONG_ENCRYPTION_KEY') {
+        super(message, code);
+        this.keyId = keyId;
+    }
+}
+
+// Ключ подходит, но проверка подлинности не прошла: данные повреждены или изменены
+class IntegrityError extends EncryptionError {
+    constructor(message) {
+        super(message, 'INTEGRITY_CHECK_FAILED');
+    }
+}
+
+// Документ импорта не разобран или не прошел проверку схемы Model;
+// line - строка исходного файла (для массива JSON - номер документа)
+class ImportError extends BsonDBError {
+    constructor(message, line = null) {
+        super(message, 'IMPORT_FAILED');
+        this.line = line;
+    }
+}
+
+class LockTimeoutError extends BsonDBError {
+    constructor(message) {
+        super(message, 'LOCK_TIMEOUT');
+    }
+}
+
+module.exports = {
+    BsonDBError,
+    CorruptionError,
+    QueryError,
+    UpdateError,
+    DuplicateKeyError,
+    TransactionError,
+    WriteConflictError,
+    VersionConflictError,
+    EncryptionError,
+    EncryptionKeyError,
+    IntegrityError,
+    ImportError,
+    LockTimeoutError
+};
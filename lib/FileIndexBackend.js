@@ -0,0 +1,337 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { serialize, deserialize } = require('bson');
+const IndexBackend = require('./IndexBackend');
+const { writeFileAtomic } = require('./AtomicFile');
+const { CorruptionError, EncryptionKeyError } = require('./Errors');
+
+const INDEX_FILE_PREFIX = '_index_';
+const CATALOG_FILE = '_indexes.bson';
+const LOG_FILE = 'oplog.bson';
+// Попытки прочитать файл индекса и журнал согласованно, пока их сворачивает другой процесс
+const MAX_READ_ATTEMPTS = 5;
+
+// Файл записан другим ключом (в заголовке чужой id ключа) - это касается всей
+// базы, а не одного индекса. Мусор без заголовка тоже дает EncryptionKeyError,
+// но без id ключа - такой файл считается поврежденным
+function isForeignKeyError(error) {
+    return error instanceof EncryptionKeyError && Boolean(error.keyId);
+}
+
+function describeStat(stat) {
+    return `${stat.ino}-${stat.size}-${stat.mtimeMs}`;
+}
+
+// Индексы в файлах _index_<имя>.bson внутри каталога коллекции
+// (шифруются вместе с данными). Запись документа не переписывает файлы индексов:
+// изменения записей идут в журнал операций коллекции (oplog.bson) и сворачиваются
+// в файлы при сжатии журнала. Файл индекса хранит logOffset - размер журнала,
+// изменения до которого в нем уже учтены
+class FileIndexBackend extends IndexBackend {
+    constructor(database, indexManager) {
+        super(database);
+        this.indexManager = indexManager;
+        // Прочитанные индексы по пути файла: { signature, metadata, entries, logOffset }.
+        // Файл перечитывается, только если его заменили; записи журнала после
+        // logOffset дочитываются при каждом обращении
+        this.states = new Map();
+        // Коллекции, каталог которых уже сверен с файлами индексов (см. listIndexes)
+        this.checkedCatalogs = new Set();
+    }
+
+    logsChanges() {
+        return true;
+    }
+
+    async listIndexes(collectionName) {
+        const indexes = [];
+        const collectionPath = path.join(this.database.dbPath, collectionName);
+
+        let files;
+        try {
+            files = await fs.readdir(collectionPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return indexes;
+            throw error;
+        }
+
+        let repaired = false;
+        const indexFiles = files.filter(f => f.startsWith(INDEX_FILE_PREFIX) && f.endsWith('.bson'));
+        for (const file of indexFiles) {
+            const indexName = file.slice(INDEX_FILE_PREFIX.length, -'.bson'.length);
+            let state;
+            try {
+                state = await this.loadIndexFile(collectionName, indexName);
+            } catch (error) {
+                if (isForeignKeyError(error)) throw error;
+                this.database.warn(`⚠️ Index file ${file} of ${collectionName} is unreadable:`, error.message);
+                indexes.push(await this.repairIndexFile(collectionName, file));
+                repaired = true;
+                continue;
+            }
+            if (state && state.metadata.collection === collectionName) {
+                indexes.push(state.metadata);
+            }
+        }
+
+        // Каталог баз, созданных до его появления, заполняется по читаемым индексам
+        if (repaired || !this.checkedCatalogs.has(collectionName)) {
+            const catalog = await this.readCatalog(collectionName);
+            if (indexes.some(index => !catalog.some(known => known.name === index.name))) {
+                await this.writeCatalog(collectionName, [
+                    ...catalog.filter(known => !indexes.some(index => index.name === known.name)),
+                    ...indexes
+                ]);
+            }
+            this.checkedCatalogs.add(collectionName);
+        }
+
+        return indexes;
+    }
+
+    // Поврежденный индекс не используется: запросы выполняются полным просмотром.
+    // Ошибки журнала операций относятся к данным коллекции и пробрасываются
+    async readIndex(collectionName, indexName) {
+        return await this.readIndexFile(collectionName, indexName, true);
+    }
+
+    // { metadata, entries } с учетом журнала операций, null если файла нет.
+    // Ошибки чтения и разбора пробрасываются; lenient - вместо ошибок файла
+    // индекса вернуть null. entries общие с кэшем - только для чтения
+    async readIndexFile(collectionName, indexName, lenient = false) {
+        const filePath = this.getIndexFilePath(collectionName, indexName);
+        for (let attempt = 1; ; attempt++) {
+            let state;
+            try {
+                state = await this.loadIndexFile(collectionName, indexName);
+            } catch (error) {
+                if (lenient) return null;
+                throw error;
+            }
+            if (!state) return null;
+
+            const tail = await this.readLogTail(collectionName, state.logOffset);
+            // Журнал свернули и очистили между чтениями - файл индекса уже заменен новым
+            if (await this.getFileSignature(filePath) !== state.signature && attempt < MAX_READ_ATTEMPTS) {
+                continue;
+            }
+
+            for (const record of tail.records) {
+                const changes = (record.indexChanges || []).find(change => change.name === indexName);
+                if (!changes) continue;
+                this.applyChanges(state.entries, changes);
+                if (changes.multikey) state.metadata.multikey = true;
+            }
+            state.logOffset = tail.end;
+            return { metadata: state.metadata, entries: state.entries };
+        }
+    }
+
+    // Файл индекса без изменений из журнала, из кэша, если файл не менялся
+    async loadIndexFile(collectionName, indexName) {
+        const filePath = this.getIndexFilePath(collectionName, indexName);
+        let handle;
+        try {
+            handle = await fs.open(filePath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.states.delete(filePath);
+                return null;
+            }
+            throw error;
+        }
+
+        try {
+            const signature = describeStat(await handle.stat());
+            const cached = this.states.get(filePath);
+            if (cached && cached.signature === signature) return cached;
+
+            const decryptedData = this.database.encryption.decrypt(await handle.readFile());
+            let indexData;
+            try {
+                indexData = deserialize(decryptedData);
+            } catch (parseError) {
+                throw new CorruptionError(`Index file ${filePath} is corrupted: ${parseError.message}`, filePath);
+            }
+            if (!indexData.metadata || !indexData.entries) {
+                throw new CorruptionError(`Index file ${filePath} has no metadata or entries`, filePath);
+            }
+
+            const state = {
+                signature,
+                metadata: indexData.metadata,
+                entries: indexData.entries,
+                logOffset: indexData.logOffset || 0
+            };
+            this.states.set(filePath, state);
+            return state;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Записи журнала операций коллекции начиная с байта offset: { records, end }.
+    // Журнал короче offset заменен целиком (восстановление из резервной копии) -
+    // он читается с начала: повторное применение уже учтенных изменений безопасно,
+    // так как итог для пары (ключ, id) задает последнее изменение
+    async readLogTail(collectionName, offset) {
+        const logFile = path.join(this.database.dbPath, collectionName, LOG_FILE);
+        let handle;
+        try {
+            handle = await fs.open(logFile, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return { records: [], end: 0 };
+            throw error;
+        }
+
+        let buffer;
+        let start;
+        try {
+            const { size } = await handle.stat();
+            start = size < offset ? 0 : offset;
+            buffer = Buffer.alloc(size - start);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+            buffer = buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+
+        const records = [];
+        let position = 0;
+        while (position + 4 <= buffer.length) {
+            const length = buffer.readUInt32LE(position);
+            // Недописанная запись в конце журнала - еще пишется или след прерванной операции
+            if (position + 4 + length > buffer.length) break;
+            const decrypted = this.database.encryption.decrypt(buffer.subarray(position + 4, position + 4 + length));
+            try {
+                records.push(deserialize(decrypted));
+            } catch (parseError) {
+                throw new CorruptionError(
+                    `Operation log of collection ${collectionName} is corrupted: ${parseError.message}`,
+                    logFile
+                );
+            }
+            position += 4 + length;
+        }
+        return { records, end: start + position };
+    }
+
+    async writeIndex(collectionName, metadata, entries) {
+        // Изменения, уже записанные в журнал, в entries учтены
+        const logStat = await this.statFile(path.join(this.database.dbPath, collectionName, LOG_FILE));
+        await this.writeIndexFile(collectionName, metadata, entries, logStat ? logStat.size : 0);
+
+        const catalog = await this.readCatalog(collectionName);
+        await this.writeCatalog(collectionName, [...catalog.filter(index => index.name !== metadata.name), metadata]);
+    }
+
+    async writeIndexFile(collectionName, metadata, entries, logOffset) {
+        const filePath = this.getIndexFilePath(collectionName, metadata.name);
+        // Шифруем данные индекса если включено шифрование
+        const encryptedIndex = this.database.encryption.encrypt(
+            serialize({ metadata, entries, logOffset })
+        );
+        await writeFileAtomic(filePath, encryptedIndex);
+
+        const signature = await this.getFileSignature(filePath);
+        this.states.set(filePath, { signature, metadata, entries, logOffset });
+    }
+
+    // Изменения записей уже в журнале операций (см. Collection.appendLog)
+    async updateEntries(collectionName, indexName, changes) {}
+
+    // Файлы индексов переписываются с учетом журнала; после этого журнал очищается
+    async compact(collectionName) {
+        for (const metadata of await this.listIndexes(collectionName)) {
+            const indexData = await this.readIndexFile(collectionName, metadata.name);
+            if (indexData) {
+                await this.writeIndexFile(collectionName, indexData.metadata, indexData.entries, 0);
+            }
+        }
+    }
+
+    async dropIndex(collectionName, indexName) {
+        const catalog = await this.readCatalog(collectionName);
+        if (catalog.some(index => index.name === indexName)) {
+            await this.writeCatalog(collectionName, catalog.filter(index => index.name !== indexName));
+        }
+        try {
+            await fs.unlink(this.getIndexFilePath(collectionName, indexName));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.states.delete(this.getIndexFilePath(collectionName, indexName));
+    }
+
+    // Пересоздает поврежденный индекс по описанию из каталога, с теми же полями,
+    // типом и параметрами (unique, sparse, ...). Без описания индекс нельзя
+    // восстановить без потери ограничений - это ошибка
+    async repairIndexFile(collectionName, fileName) {
+        const filePath = path.join(this.database.dbPath, collectionName, fileName);
+        const indexName = fileName.slice(INDEX_FILE_PREFIX.length, -'.bson'.length);
+
+        const metadata = (await this.readCatalog(collectionName)).find(index => index.name === indexName);
+        if (!metadata) {
+            throw new CorruptionError(
+                `Index file ${fileName} of ${collectionName} is damaged and its definition is unknown; ` +
+                'delete the file and recreate the index',
+                filePath
+            );
+        }
+
+        this.database.logger.log(`🛠️ Rebuilding index ${collectionName}.${indexName} from its stored definition`);
+        await fs.unlink(filePath).catch(() => {});
+        return await this.indexManager.createIndex(
+            collectionName,
+            this.indexManager.getIndexFields(metadata),
+            metadata.options
+        );
+    }
+
+    // Каталог _indexes.bson - описания индексов коллекции без записей, по которым
+    // пересоздаются поврежденные файлы индексов. Поврежденный каталог считается
+    // пустым и заполняется заново по читаемым индексам (см. listIndexes)
+    async readCatalog(collectionName) {
+        const filePath = this.getCatalogPath(collectionName);
+        try {
+            const decryptedData = this.database.encryption.decrypt(await fs.readFile(filePath));
+            return deserialize(decryptedData).indexes || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            if (isForeignKeyError(error)) throw error;
+            this.database.warn(`⚠️ Index catalog ${filePath} is unreadable:`, error.message);
+            return [];
+        }
+    }
+
+    async writeCatalog(collectionName, indexes) {
+        await writeFileAtomic(
+            this.getCatalogPath(collectionName),
+            this.database.encryption.encrypt(serialize({ indexes }))
+        );
+    }
+
+    async getFileSignature(filePath) {
+        const stat = await this.statFile(filePath);
+        return stat ? describeStat(stat) : null;
+    }
+
+    async statFile(filePath) {
+        try {
+            return await fs.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    getCatalogPath(collectionName) {
+        return path.join(this.database.dbPath, collectionName, CATALOG_FILE);
+    }
+
+    getIndexFilePath(collectionName, indexName) {
+        return path.join(this.database.dbPath, collectionName, `${INDEX_FILE_PREFIX}${indexName}.bson`);
+    }
+}
+
+module.exports = FileIndexBackend;
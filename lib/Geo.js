@@ -0,0 +1,305 @@
+const { QueryError } = require('./Errors');
+const { isPlainObject } = require('./DocumentUtils');
+
+// Геометрия на сфере для индекса 2dsphere и операторов $near, $geoWithin,
+// $geoIntersects. Точки - GeoJSON { type: 'Point', coordinates: [lng, lat] }
+// или пары [lng, lat]; расстояния в метрах, радиус $centerSphere - в радианах
+
+const EARTH_RADIUS = 6378100;
+
+// Точность geohash в ключах индекса (~1 м); запросы читают более короткие
+// префиксы, покрывающие область поиска
+const GEOHASH_PRECISION = 10;
+const MAX_COVERING_CELLS = 32;
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function isCoordinatePair(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        value.every(item => typeof item === 'number' && Number.isFinite(item)) &&
+        Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+// [lng, lat] или null, если значение не точка
+function toPoint(value) {
+    if (isPlainObject(value) && value.type === 'Point') {
+        return isCoordinatePair(value.coordinates) ? value.coordinates : null;
+    }
+    return isCoordinatePair(value) ? value : null;
+}
+
+// Точки из значений поля; поле может хранить массив точек
+function getPoints(values) {
+    const points = [];
+    for (const value of values) {
+        const point = toPoint(value);
+        if (point) {
+            points.push(point);
+        } else if (Array.isArray(value)) {
+            value.map(toPoint).filter(Boolean).forEach(item => points.push(item));
+        }
+    }
+    return points;
+}
+
+function requirePoint(value, operator) {
+    const point = toPoint(value);
+    if (!point) {
+        throw new QueryError(`${operator} requires a GeoJSON Point or [lng, lat] pair`);
+    }
+    return point;
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Расстояние по большому кругу (формула гаверсинусов), м
+function distance([lng1, lat1], [lng2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function onSegment([x, y], [x1, y1], [x2, y2]) {
+    const cross = (x - x1) * (y2 - y1) - (y - y1) * (x2 - x1);
+    return Math.abs(cross) < 1e-12 &&
+        x >= Math.min(x1, x2) && x <= Math.max(x1, x2) &&
+        y >= Math.min(y1, y2) && y <= Math.max(y1, y2);
+}
+
+// Точка внутри кольца или на его границе (координаты считаются плоскими)
+function inRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if (onSegment(point, ring[j], ring[i])) return true;
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function ringBounds(ring) {
+    const lngs = ring.map(([lng]) => lng);
+    const lats = ring.map(([, lat]) => lat);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+function parseRing(ring, operator) {
+    if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isCoordinatePair)) {
+        throw new QueryError(`${operator} requires at least 3 [lng, lat] points`);
+    }
+    return ring;
+}
+
+// Многоугольник GeoJSON: внешнее кольцо и дыры
+function polygonShape(coordinates, operator) {
+    if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        throw new QueryError(`${operator} requires Polygon coordinates`);
+    }
+    const [outer, ...holes] = coordinates.map(ring => parseRing(ring, operator));
+    return {
+        bounds: ringBounds(outer),
+        contains: point => inRing(point, outer) && !holes.some(hole => inRing(point, hole))
+    };
+}
+
+function unionShape(shapes) {
+    return {
+        bounds: [
+            Math.min(...shapes.map(shape => shape.bounds[0])),
+            Math.min(...shapes.map(shape => shape.bounds[1])),
+            Math.max(...shapes.map(shape => shape.bounds[2])),
+            Math.max(...shapes.map(shape => shape.bounds[3]))
+        ],
+        contains: point => shapes.some(shape => shape.contains(point))
+    };
+}
+
+function geometryShape(geometry, operator, allowPoint) {
+    if (!isPlainObject(geometry)) {
+        throw new QueryError(`${operator} requires a GeoJSON $geometry`);
+    }
+    switch (geometry.type) {
+        case 'Polygon':
+            return polygonShape(geometry.coordinates, operator);
+        case 'MultiPolygon':
+            if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+                throw new QueryError(`${operator} requires MultiPolygon coordinates`);
+            }
+            return unionShape(geometry.coordinates.map(polygon => polygonShape(polygon, operator)));
+        case 'Point':
+            if (allowPoint) {
+                const [lng, lat] = requirePoint(geometry, operator);
+                return {
+                    bounds: [lng, lat, lng, lat],
+                    contains: ([x, y]) => x === lng && y === lat
+                };
+            }
+        // fall through
+        default:
+            throw new QueryError(`${operator} does not support $geometry type ${geometry.type}`);
+    }
+}
+
+function circleShape(center, radius) {
+    const [lng, lat] = center;
+    const latDelta = toDegrees(radius / EARTH_RADIUS);
+    const minLat = Math.max(lat - latDelta, -90);
+    const maxLat = Math.min(lat + latDelta, 90);
+    // У полюсов и при переходе через 180-й меридиан круг покрывает все долготы
+    const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+    const lngDelta = cosLat > 1e-9 ? latDelta / cosLat : 180;
+    const crossesAntimeridian = lng - lngDelta < -180 || lng + lngDelta > 180;
+
+    return {
+        bounds: crossesAntimeridian || lngDelta >= 180
+            ? [-180, minLat, 180, maxLat]
+            : [lng - lngDelta, minLat, lng + lngDelta, maxLat],
+        contains: point => distance(center, point) <= radius
+    };
+}
+
+// Область $geoWithin: { $centerSphere: [[lng, lat], радианы] }, { $box: [[lng, lat], [lng, lat]] },
+// { $polygon: [[lng, lat], ...] } или { $geometry: Polygon | MultiPolygon }
+function parseWithin(spec) {
+    if (!isPlainObject(spec) || Object.keys(spec).length !== 1) {
+        throw new QueryError('$geoWithin requires one of $centerSphere, $box, $polygon or $geometry');
+    }
+
+    const [[shape, value]] = Object.entries(spec);
+    switch (shape) {
+        case '$centerSphere': {
+            if (!Array.isArray(value) || value.length !== 2 || typeof value[1] !== 'number' || value[1] < 0) {
+                throw new QueryError('$centerSphere requires [[lng, lat], radius in radians]');
+            }
+            return circleShape(requirePoint(value[0], '$centerSphere'), value[1] * EARTH_RADIUS);
+        }
+        case '$box': {
+            if (!Array.isArray(value) || value.length !== 2 || !value.every(isCoordinatePair)) {
+                throw new QueryError('$box requires [[lng, lat], [lng, lat]] corners');
+            }
+            const bounds = [
+                Math.min(value[0][0], value[1][0]), Math.min(value[0][1], value[1][1]),
+                Math.max(value[0][0], value[1][0]), Math.max(value[0][1], value[1][1])
+            ];
+            return {
+                bounds,
+                contains: ([lng, lat]) => lng >= bounds[0] && lng <= bounds[2] && lat >= bounds[1] && lat <= bounds[3]
+            };
+        }
+        case '$polygon': {
+            const ring = parseRing(value, '$polygon');
+            return { bounds: ringBounds(ring), contains: point => inRing(point, ring) };
+        }
+        case '$geometry':
+            return geometryShape(value, '$geoWithin', false);
+        default:
+            throw new QueryError(`Unknown $geoWithin shape: ${shape}`);
+    }
+}
+
+// Для точек пересечение с фигурой - это попадание в нее или совпадение с точкой
+function parseIntersects(spec) {
+    if (!isPlainObject(spec) || !('$geometry' in spec)) {
+        throw new QueryError('$geoIntersects requires a $geometry');
+    }
+    return geometryShape(spec.$geometry, '$geoIntersects', true);
+}
+
+// $near: { $geometry: Point, $maxDistance, $minDistance } или пара [lng, lat]
+// с $maxDistance/$minDistance рядом в условии поля (в метрах)
+function parseNear(condition) {
+    const near = condition.$near;
+    const options = isPlainObject(near) ? near : condition;
+    const point = requirePoint(isPlainObject(near) ? near.$geometry : near, '$near');
+
+    for (const bound of ['$maxDistance', '$minDistance']) {
+        if (options[bound] !== undefined && (typeof options[bound] !== 'number' || options[bound] < 0)) {
+            throw new QueryError(`${bound} requires a non-negative number of meters`);
+        }
+    }
+
+    const maxDistance = options.$maxDistance;
+    return {
+        point,
+        minDistance: options.$minDistance || 0,
+        maxDistance,
+        bounds: maxDistance !== undefined ? circleShape(point, maxDistance).bounds : null
+    };
+}
+
+function encodeGeohash([lng, lat], precision = GEOHASH_PRECISION) {
+    let hash = '';
+    let minLng = -180, maxLng = 180, minLat = -90, maxLat = 90;
+    let bits = 0;
+    let value = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        if (evenBit) {
+            const middle = (minLng + maxLng) / 2;
+            value = value * 2 + (lng >= middle ? 1 : 0);
+            if (lng >= middle) minLng = middle; else maxLng = middle;
+        } else {
+            const middle = (minLat + maxLat) / 2;
+            value = value * 2 + (lat >= middle ? 1 : 0);
+            if (lat >= middle) minLat = middle; else maxLat = middle;
+        }
+        evenBit = !evenBit;
+
+        if (++bits === 5) {
+            hash += GEOHASH_ALPHABET[value];
+            bits = 0;
+            value = 0;
+        }
+    }
+    return hash;
+}
+
+// Размер ячейки geohash заданной длины в градусах: [долгота, широта]
+function cellSize(precision) {
+    const bits = precision * 5;
+    return [360 / 2 ** Math.ceil(bits / 2), 180 / 2 ** Math.floor(bits / 2)];
+}
+
+// Префиксы geohash, ячейки которых покрывают прямоугольник [minLng, minLat, maxLng, maxLat].
+// Берется самая мелкая сетка, в которой ячеек не больше MAX_COVERING_CELLS
+function coveringCells([minLng, minLat, maxLng, maxLat]) {
+    let precision = 1;
+    for (let candidate = GEOHASH_PRECISION; candidate > 1; candidate--) {
+        const [width, height] = cellSize(candidate);
+        const cells = (Math.floor(maxLng / width) - Math.floor(minLng / width) + 1) *
+            (Math.floor(maxLat / height) - Math.floor(minLat / height) + 1);
+        if (cells <= MAX_COVERING_CELLS) {
+            precision = candidate;
+            break;
+        }
+    }
+
+    const [width, height] = cellSize(precision);
+    const cells = new Set();
+    for (let lat = minLat; ; lat = Math.min(lat + height, maxLat)) {
+        for (let lng = minLng; ; lng = Math.min(lng + width, maxLng)) {
+            cells.add(encodeGeohash([lng, lat], precision));
+            if (lng >= maxLng) break;
+        }
+        if (lat >= maxLat) break;
+    }
+    return [...cells].sort();
+}
+
+module.exports = {
+    toPoint,
+    getPoints,
+    distance,
+    parseWithin,
+    parseIntersects,
+    parseNear,
+    encodeGeohash,
+    coveringCells
+};
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const { EJSON, ObjectId } = require('bson');
+const { BsonDBError, ImportError } = require('./Errors');
+const { isObjectId, getValueAtPath, setValueAtPath } = require('./DocumentUtils');
+
+// Экспорт и импорт коллекций (Collection.exportTo/importFrom, bsondb export/import).
+// Форматы:
+//   ejson  - массив Extended JSON: ObjectId, Date и другие типы BSON сохраняются
+//   ndjson - документ Extended JSON на строку; читается потоком, для больших файлов
+//   csv    - первая строка - заголовок, поля через точку - вложенные; значения
+//            читаются строками, другие типы задаются подсказками types
+const FORMATS = ['ejson', 'ndjson', 'csv'];
+const EXTENSIONS = {
+    '.json': 'ejson',
+    '.ejson': 'ejson',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+    '.csv': 'csv'
+};
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Подсказки типов CSV; ошибка преобразования отклоняет строку файла
+const CSV_TYPES = {
+    string: text => text,
+    number: (text) => {
+        const value = Number(text);
+        if (text.trim() === '' || !Number.isFinite(value)) throw new Error(`"${text}" is not a number`);
+        return value;
+    },
+    boolean: (text) => {
+        const normalized = text.trim().toLowerCase();
+        if (['true', '1', 'yes'].includes(normalized)) return true;
+        if (['false', '0', 'no'].includes(normalized)) return false;
+        throw new Error(`"${text}" is not a boolean`);
+    },
+    date: (text) => {
+        const value = new Date(/^-?\d+$/.test(text) ? Number(text) : text);
+        if (isNaN(value.getTime())) throw new Error(`"${text}" is not a date`);
+        return value;
+    },
+    objectId: (text) => {
+        if (!/^[0-9a-fA-F]{24}$/.test(text)) throw new Error(`"${text}" is not an ObjectId`);
+        return new ObjectId(text);
+    },
+    json: text => EJSON.parse(text, { relaxed: true })
+};
+
+function getFormat(location, format) {
+    const resolved = format || (typeof location === 'string' ? EXTENSIONS[path.extname(location).toLowerCase()] : null);
+    if (!FORMATS.includes(resolved)) {
+        throw new BsonDBError(
+            format
+                ? `Unknown format ${format}; expected ${FORMATS.join(', ')}`
+                : `Cannot detect the format of ${location}; pass format: ${FORMATS.join(', ')}`,
+            'BAD_OPTIONS'
+        );
+    }
+    return resolved;
+}
+
+function getTypes(types = {}) {
+    for (const [field, type] of Object.entries(types)) {
+        if (!CSV_TYPES[type]) {
+            throw new BsonDBError(
+                `Unknown type ${type} for ${field}; expected ${Object.keys(CSV_TYPES).join(', ')}`,
+                'BAD_OPTIONS'
+            );
+        }
+    }
+    return types;
+}
+
+// Файл пишется через дескриптор, поток - с учетом backpressure; чужой поток не закрывается
+async function openWriter(target) {
+    if (typeof target === 'string') {
+        const handle = await fs.promises.open(target, 'w');
+        return {
+            write: chunk => handle.write(chunk),
+            close: () => handle.close()
+        };
+    }
+    return {
+        write: async (chunk) => {
+            if (!target.write(chunk)) await once(target, 'drain');
+        },
+        close: async () => {}
+    };
+}
+
+function openReader(source) {
+    const stream = typeof source === 'string' ? fs.createReadStream(source) : source;
+    if (typeof stream.setEncoding === 'function') stream.setEncoding('utf8');
+    return stream;
+}
+
+function formatCsvValue(value) {
+    if (value === undefined || value === null) return '';
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (isObjectId(value)) {
+        text = value.toHexString();
+    } else if (typeof value === 'object') {
+        text = EJSON.stringify(value, { relaxed: true });
+    } else {
+        text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Поля верхнего уровня всех документов в порядке появления
+async function collectFields(documents) {
+    const fields = new Set();
+    for await (const doc of documents) {
+        Object.keys(doc).forEach(field => fields.add(field));
+    }
+    return [...fields];
+}
+
+// options: format, query, sort, fields (колонки CSV; для JSON - проекция),
+// relaxed: false - канонический Extended JSON с типами чисел.
+// Документы пишутся по одному по мере чтения курсора; колонки CSV без fields
+// собираются отдельным проходом по запросу
+async function exportCollection(collection, target, options = {}) {
+    const format = getFormat(target, options.format);
+    const query = options.query || {};
+    const findOptions = {};
+    if (options.sort) findOptions.sort = options.sort;
+    if (options.fields && format !== 'csv') {
+        findOptions.projection = Object.fromEntries(options.fields.map(field => [field, 1]));
+    }
+
+    const fields = format === 'csv' ? options.fields || await collectFields(collection.find(query)) : null;
+    const stringify = doc => EJSON.stringify(doc, { relaxed: options.relaxed !== false });
+    const writer = await openWriter(target);
+    let exported = 0;
+
+    try {
+        if (format === 'csv') {
+            await writer.write(fields.map(formatCsvValue).join(',') + '\n');
+            for await (const doc of collection.find(query, findOptions)) {
+                const row = fields.map(field => formatCsvValue(getValueAtPath(doc, field.split('.'))));
+                await writer.write(row.join(',') + '\n');
+                exported++;
+            }
+        } else if (format === 'ndjson') {
+            for await (const doc of collection.find(query, findOptions)) {
+                await writer.write(stringify(doc) + '\n');
+                exported++;
+            }
+        } else {
+            await writer.write('[');
+            for await (const doc of collection.find(query, findOptions)) {
+                await writer.write((exported > 0 ? ',\n' : '\n') + stringify(doc));
+                exported++;
+            }
+            await writer.write(exported > 0 ? '\n]\n' : ']\n');
+        }
+    } finally {
+        await writer.close();
+    }
+
+    return { format, exported };
+}
+
+// Строки CSV по RFC 4180: поля в кавычках могут содержать запятые, переводы
+// строк и удвоенные кавычки. line - строка файла, с которой начинается запись
+async function* parseCsvRows(stream) {
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for await (const chunk of stream) {
+        for (const char of chunk) {
+            if (quoted) {
+                if (char === '"') {
+                    quoted = false;
+                    afterQuote = true;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+            if (afterQuote && char === '"') {
+                field += '"';
+                quoted = true;
+                afterQuote = false;
+                continue;
+            }
+            afterQuote = false;
+
+            if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(field);
+                field = '';
+            } else if (char === '\n') {
+                values.push(field);
+                yield { line: rowLine, values };
+                values = [];
+                field = '';
+                rowLine = ++line;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+
+    if (quoted) {
+        yield { line: rowLine, error: 'unterminated quoted field' };
+    } else if (field !== '' || values.length > 0) {
+        values.push(field);
+        yield { line: rowLine, values };
+    }
+}
+
+function csvRowToDocument(header, values, fields, types) {
+    const doc = {};
+    header.forEach((field, index) => {
+        const text = values[index];
+        if ((fields && !fields.includes(field)) || text === undefined || text === '') return;
+
+        let value;
+        try {
+            value = CSV_TYPES[types[field] || 'string'](text);
+        } catch (error) {
+            throw new Error(`${field}: ${error.message}`);
+        }
+        if (!setValueAtPath(doc, field.split('.'), value)) {
+            throw new Error(`${field}: conflicts with another column`);
+        }
+    });
+    return doc;
+}
+
+// Документы источника: { line, document } или { line, error } для строк,
+// которые не удалось разобрать
+async function* readDocuments(stream, format, options) {
+    if (format === 'ejson') {
+        let text = '';
+        for await (const chunk of stream) {
+            text += chunk;
+        }
+
+        let parsed;
+        try {
+            parsed = EJSON.parse(text, { relaxed: true });
+        } catch (error) {
+            yield { line: 1, error: `invalid Extended JSON: ${error.message}` };
+            return;
+        }
+        const documents = Array.isArray(parsed) ? parsed : [parsed];
+        for (let i = 0; i < documents.length; i++) {
+            const document = documents[i];
+            yield document && typeof document === 'object' && !Array.isArray(document)
+                ? { line: i + 1, document }
+                : { line: i + 1, error: 'not a document' };
+        }
+        return;
+    }
+
+    if (format === 'ndjson') {
+        let line = 0;
+        // Остановка импорта на ошибке прерывает чтение: readline закрывается явно
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        try {
+            for await (const text of rl) {
+                line++;
+                if (text.trim() === '') continue;
+
+                let document;
+                try {
+                    document = EJSON.parse(text, { relaxed: true });
+                } catch (error) {
+                    yield { line, error: `invalid Extended JSON: ${error.message}` };
+                    continue;
+                }
+                yield document && typeof document === 'object' && !Array.isArray(document)
+                    ? { line, document }
+                    : { line, error: 'not a document' };
+            }
+        } finally {
+            rl.close();
+        }
+        return;
+    }
+
+    const types = getTypes(options.types);
+    const hasHeader = options.headerLine !== false;
+    if (!hasHeader && !options.fields) {
+        throw new BsonDBError('CSV without a header line requires fields', 'BAD_OPTIONS');
+    }
+    let header = hasHeader ? null : options.fields;
+    const fields = hasHeader ? options.fields || null : null;
+
+    for await (const row of parseCsvRows(stream)) {
+        if (row.error) {
+            yield row;
+            return;
+        }
+        if (row.values.length === 1 && row.values[0] === '') continue;
+        if (!header) {
+            header = row.values.map(name => name.replace(/^\uFEFF/, '').trim());
+            continue;
+        }
+
+        let result;
+        try {
+            result = { line: row.line, document: csvRowToDocument(header, row.values, fields, types) };
+        } catch (error) {
+            result = { line: row.line, error: error.message };
+        }
+        yield result;
+    }
+}
+
+// options: format, batchSize, upsertKey - поле или поля, по которым найденный
+// документ заменяется, а не вставляется повторно; model - Model для проверки
+// схемы (и шифрования полей, если модель подключена к этой коллекции);
+// dryRun - только проверить; stopOnError: false - пропускать ошибочные строки.
+// CSV: fields, headerLine, types. Возвращает отчет с ошибками по строкам
+async function importCollection(collection, source, options = {}) {
+    const format = getFormat(source, options.format);
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const upsertKeys = options.upsertKey ? [].concat(options.upsertKey) : null;
+    const model = options.model || null;
+    const dryRun = Boolean(options.dryRun);
+    const stopOnError = options.stopOnError !== false;
+    if (format === 'csv') getTypes(options.types);
+    if (model && model.encryptedFields.size > 0 && model.collection !== collection) {
+        throw new BsonDBError(`Model ${model.name} with encrypted fields must be connected to collection ${collection.name}`, 'BAD_OPTIONS');
+    }
+
+    const report = { format, dryRun, processed: 0, valid: 0, inserted: 0, updated: 0, invalid: 0, errors: [] };
+    let batch = [];
+
+    const flush = async () => {
+        const documents = model && model.encryptedFields.size > 0 ? batch.map(doc => model.encryptFields(doc)) : batch;
+        batch = [];
+        if (dryRun || documents.length === 0) return;
+
+        if (!upsertKeys) {
+            await collection.insertMany(documents);
+            report.inserted += documents.length;
+            return;
+        }
+
+        // Существующие документы ищутся одним проходом на пачку; повторы ключа
+        // внутри пачки: остается последний документ
+        const { inserted, updated } = await collection.upsertMany(documents, upsertKeys);
+        report.inserted += inserted.length;
+        report.updated += updated.length;
+    };
+
+    let failure = null;
+    const stream = openReader(source);
+    try {
+        for await (const { line, document, error } of readDocuments(stream, format, options)) {
+            report.processed++;
+
+            let message = error;
+            if (!message && model) {
+                try {
+                    await model.validate(document);
+                } catch (validationError) {
+                    message = validationError.message;
+                }
+            }
+            const missingKey = !message && upsertKeys && upsertKeys.find(key => getValueAtPath(document, key.split('.')) === undefined);
+            if (missingKey) {
+                message = `missing upsert key ${missingKey}`;
+            }
+
+            if (message) {
+                report.invalid++;
+                report.errors.push({ line, message });
+                if (stopOnError && !dryRun) {
+                    failure = new ImportError(`Import into ${collection.name} failed at line ${line}: ${message}`, line);
+                    break;
+                }
+                continue;
+            }
+
+            report.valid++;
+            batch.push(document);
+            if (batch.length >= batchSize) {
+                await flush();
+            }
+        }
+
+        // Документы до ошибочной строки записываются, как и в предыдущих пачках
+        await flush();
+    } catch (error) {
+        // Ошибка записи пачки: в отчете - что успели записать до нее
+        if (error instanceof Error && !error.report) error.report = report;
+        throw error;
+    } finally {
+        // Остановка на ошибке не дочитывает файл; чужой поток не закрывается
+        if (typeof source === 'string') stream.destroy();
+    }
+    if (failure) {
+        failure.report = report;
+        throw failure;
+    }
+    return report;
+}
+
+module.exports = {
+    exportCollection,
+    importCollection
+};
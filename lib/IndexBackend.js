@@ -0,0 +1,110 @@
+// Хранилище данных индексов. IndexManager вычисляет ключи документов и план
+// обхода, а бэкенд только хранит для каждого индекса метаданные и записи
+// entries - массив [ключ, id[]], отсортированный по ключу.
+// Реализации: FileIndexBackend, MemoryIndexBackend, RedisIndexBackend
+class IndexBackend {
+    constructor(database) {
+        this.database = database;
+    }
+
+    async connect() {}
+
+    async disconnect() {}
+
+    // Метаданные всех индексов коллекции
+    async listIndexes(collectionName) {
+        throw new Error('listIndexes is not implemented');
+    }
+
+    // { metadata, entries } или null, если индекс не читается
+    async readIndex(collectionName, indexName) {
+        throw new Error('readIndex is not implemented');
+    }
+
+    async writeIndex(collectionName, metadata, entries) {
+        throw new Error('writeIndex is not implemented');
+    }
+
+    // changes: { remove: [[ключ, id]], add: [[ключ, id]], multikey? }; multikey
+    // выставляет признак в метаданных индекса (см. IndexManager.isMultikey)
+    async updateEntries(collectionName, indexName, changes) {
+        throw new Error('updateEntries is not implemented');
+    }
+
+    // true - изменения записей хранятся в журнале операций коллекции вместе с
+    // изменениями документов (см. Collection.appendLog) и сворачиваются в индексы
+    // при сжатии журнала (compact)
+    logsChanges() {
+        return false;
+    }
+
+    // Сворачивает изменения из журнала операций в хранилище; вызывается под
+    // блокировкой коллекции перед очисткой журнала (см. Collection.rewriteData)
+    async compact(collectionName) {}
+
+    async dropIndex(collectionName, indexName) {
+        throw new Error('dropIndex is not implemented');
+    }
+
+    // Записи только для перечисленных ключей: { metadata, entries } или null.
+    // Отсутствующий ключ возвращается с пустым списком id
+    async readKeys(collectionName, indexName, keys) {
+        const indexData = await this.readIndex(collectionName, indexName);
+        if (!indexData) return null;
+
+        return {
+            metadata: indexData.metadata,
+            entries: keys.map((key) => {
+                const entry = indexData.entries[this.findEntry(indexData.entries, key)];
+                return [key, entry && entry[0] === key ? entry[1] : []];
+            })
+        };
+    }
+
+    // Сверка с основным хранилищем при открытии базы
+    async checkConsistency(collectionNames) {
+        return { checked: 0, repaired: [] };
+    }
+
+    // Позиция первой записи с ключом >= key
+    findEntry(entries, key) {
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (entries[middle][0] < key) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    applyChanges(entries, changes) {
+        for (const [key, id] of changes.remove || []) {
+            const position = this.findEntry(entries, key);
+            if (position < entries.length && entries[position][0] === key) {
+                const ids = entries[position][1].filter(existing => existing !== id);
+                if (ids.length === 0) {
+                    entries.splice(position, 1);
+                } else {
+                    entries[position][1] = ids;
+                }
+            }
+        }
+
+        for (const [key, id] of changes.add || []) {
+            const position = this.findEntry(entries, key);
+            if (position < entries.length && entries[position][0] === key) {
+                if (!entries[position][1].includes(id)) {
+                    entries[position][1].push(id);
+                }
+            } else {
+                entries.splice(position, 0, [key, [id]]);
+            }
+        }
+    }
+}
+
+module.exports = IndexBackend;
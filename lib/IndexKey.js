@@ -0,0 +1,148 @@
+const { EJSON, ObjectId } = require('bson');
+const { typeOrder, toNumber } = require('./DocumentUtils');
+
+// Кодирование значений в ключи упорядоченного индекса. Строковое сравнение
+// ключей совпадает с порядком compareValues: сначала тип (null < числа < строки
+// < ... < ObjectId < bool < Date), затем значение. Каждая часть ключа сама
+// определяет свою длину, поэтому ключ составного индекса - просто конкатенация,
+// а ключи с общим префиксом идут в индексе подряд
+
+// Больше любого символа, с которого может начинаться часть ключа:
+// prefix + KEY_END ограничивает сверху все ключи, начинающиеся с prefix
+const KEY_END = '\uffff';
+
+const TERMINATOR = '\u0000';
+const ESCAPED_TERMINATOR = '\u0000\uffff';
+
+function typeTag(type) {
+    return String.fromCharCode(0x30 + type);
+}
+
+// float64 в 16 hex-символов, сравнимых как строки: у положительных чисел
+// инвертируется знаковый бит, у отрицательных - все биты
+function encodeNumber(number) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(number === 0 ? 0 : number);
+    if (buffer[0] & 0x80) {
+        for (let i = 0; i < 8; i++) buffer[i] = ~buffer[i] & 0xff;
+    } else {
+        buffer[0] ^= 0x80;
+    }
+    return buffer.toString('hex');
+}
+
+function decodeNumber(hex) {
+    const buffer = Buffer.from(hex, 'hex');
+    if (buffer[0] & 0x80) {
+        buffer[0] ^= 0x80;
+    } else {
+        for (let i = 0; i < 8; i++) buffer[i] = ~buffer[i] & 0xff;
+    }
+    return buffer.readDoubleBE(0);
+}
+
+function encodeString(value) {
+    return value.split(TERMINATOR).join(ESCAPED_TERMINATOR) + TERMINATOR;
+}
+
+function encodeIndexValue(value) {
+    const type = typeOrder(value);
+    const tag = typeTag(type);
+
+    switch (type) {
+        case 1: return tag;
+        case 2: return tag + encodeNumber(toNumber(value));
+        case 3: return tag + encodeString(value);
+        case 7: return tag + value.toHexString();
+        case 8: return tag + (value ? '1' : '0');
+        case 9: return tag + encodeNumber(value.getTime());
+        // Документы, массивы, бинарные данные и регулярные выражения в индексе
+        // ищутся только на равенство
+        default: return tag + encodeString(EJSON.stringify(value, { relaxed: false }));
+    }
+}
+
+// Начало ключей всех строк, начинающихся с prefix:
+// [encodeStringPrefix(prefix), encodeStringPrefix(prefix) + KEY_END)
+function encodeStringPrefix(prefix) {
+    return typeTag(3) + prefix.split(TERMINATOR).join(ESCAPED_TERMINATOR);
+}
+
+// Типы, для которых порядок ключей совпадает с порядком значений
+function isRangeEncodable(value) {
+    return [2, 3, 7, 8, 9].includes(typeOrder(value));
+}
+
+// Границы всех ключей одного типа: [typeLowerBound, typeUpperBound)
+function typeLowerBound(value) {
+    return typeTag(typeOrder(value));
+}
+
+function typeUpperBound(value) {
+    return typeTag(typeOrder(value) + 1);
+}
+
+function readString(key, position) {
+    let result = '';
+    let i = position;
+    while (i < key.length) {
+        if (key[i] === TERMINATOR) {
+            if (key[i + 1] === KEY_END) {
+                result += TERMINATOR;
+                i += 2;
+                continue;
+            }
+            return { value: result, next: i + 1 };
+        }
+        result += key[i++];
+    }
+    return { value: result, next: i };
+}
+
+// Обратное преобразование ключа в значения полей (для сообщений об ошибках)
+function decodeIndexKey(key) {
+    const values = [];
+    let i = 0;
+
+    while (i < key.length) {
+        const type = key.charCodeAt(i) - 0x30;
+        i++;
+        switch (type) {
+            case 1:
+                values.push(null);
+                break;
+            case 2:
+            case 9: {
+                const number = decodeNumber(key.slice(i, i + 16));
+                values.push(type === 9 ? new Date(number) : number);
+                i += 16;
+                break;
+            }
+            case 7:
+                values.push(new ObjectId(key.slice(i, i + 24)));
+                i += 24;
+                break;
+            case 8:
+                values.push(key[i] === '1');
+                i += 1;
+                break;
+            default: {
+                const { value, next } = readString(key, i);
+                values.push(type === 3 ? value : EJSON.parse(value, { relaxed: false }));
+                i = next;
+            }
+        }
+    }
+
+    return values;
+}
+
+module.exports = {
+    KEY_END,
+    encodeIndexValue,
+    encodeStringPrefix,
+    decodeIndexKey,
+    isRangeEncodable,
+    typeLowerBound,
+    typeUpperBound
+};
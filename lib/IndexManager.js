@@ -1,338 +1,518 @@
-const redis = require('redis');
-const fs = require('fs').promises;
-const path = require('path');
-const { serialize, deserialize } = require('bson');
+const FileIndexBackend = require('./FileIndexBackend');
+const MemoryIndexBackend = require('./MemoryIndexBackend');
+const RedisIndexBackend = require('./RedisIndexBackend');
+const { BsonDBError, DuplicateKeyError } = require('./Errors');
+const { getPathValues, valuesEqual, isPlainObject } = require('./DocumentUtils');
+const { getDocumentTerms } = require('./TextSearch');
+const { getPoints, encodeGeohash } = require('./Geo');
+const {
+    KEY_END,
+    encodeIndexValue,
+    encodeStringPrefix,
+    decodeIndexKey,
+    typeLowerBound,
+    typeUpperBound
+} = require('./IndexKey');
+
+// Версия формата файлов индексов; индексы другой версии перестраиваются.
+// Формат 4: entries - массив [ключ, id[]], отсортированный по ключу (см. IndexKey)
+const INDEX_FORMAT_VERSION = 4;
+
+// Параметры createIndex; тип индекса задается полями ({ title: 'text' }), а не параметром
+const INDEX_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'weights', 'partialFilterExpression'];
+
+// Хранилища индексов, выбираемые параметром базы indexBackend
+const BACKENDS = {
+    file: FileIndexBackend,
+    memory: MemoryIndexBackend,
+    redis: RedisIndexBackend
+};
 
 class IndexManager {
     constructor(database) {
         this.database = database;
-        this.redisClient = null;
-        this.isConnected = false;
+
+        const backendName = database.options.indexBackend || 'file';
+        const Backend = BACKENDS[backendName];
+        if (!Backend) {
+            throw new BsonDBError(
+                `Unknown index backend: ${backendName} (expected ${Object.keys(BACKENDS).join(', ')})`,
+                'BAD_OPTIONS'
+            );
+        }
+        this.backendName = backendName;
+        this.backend = new Backend(database, this);
     }
 
     async connect() {
-        try {
-            this.redisClient = redis.createClient({ url: this.database.options.redisUrl });
-            await this.redisClient.connect();
-            this.isConnected = true;
-        } catch (error) {
-            console.warn('⚠️ Redis connection failed, using file-based indexes only:', error.message);
-            this.isConnected = false;
-        }
+        await this.backend.connect();
     }
 
     async disconnect() {
-        if (this.redisClient && this.isConnected) {
-            await this.redisClient.quit();
-        }
+        await this.backend.disconnect();
+    }
+
+    // Сверка хранилища индексов после загрузки коллекций (для Redis - с файлами)
+    async checkConsistency(collectionNames) {
+        return await this.backend.checkConsistency(collectionNames);
     }
 
     async createIndex(collectionName, fields, options = {}) {
-        const fieldArray = Array.isArray(fields) ? fields : [fields];
-        const indexName = fieldArray.join('_');
-        const indexKey = `index:${this.database.name}:${collectionName}:${indexName}`;
+        const { fieldArray, indexName, type } = this.parseIndexFields(fields);
+        const unknown = Object.keys(options).filter(option => !INDEX_OPTIONS.includes(option));
+        if (unknown.length > 0) {
+            throw new BsonDBError(
+                `Unknown index option(s): ${unknown.join(', ')} (expected ${INDEX_OPTIONS.join(', ')}; ` +
+                'text and 2dsphere indexes are declared by fields, e.g. { title: \'text\' })',
+                'BAD_INDEX_OPTIONS'
+            );
+        }
+        const indexOptions = this.normalizeOptions(fieldArray, options);
+
+        if (type === 'text') {
+            await this.validateTextIndex(collectionName, indexName, indexOptions);
+        } else if (type === '2dsphere' && (indexOptions.unique || indexOptions.expireAfterSeconds !== undefined)) {
+            throw new BsonDBError('2dsphere index cannot be unique or TTL', 'BAD_INDEX_OPTIONS');
+        } else if (indexOptions.weights !== undefined) {
+            throw new BsonDBError('weights are only supported by text indexes', 'BAD_INDEX_OPTIONS');
+        }
+
+        if (indexOptions.expireAfterSeconds !== undefined) {
+            const seconds = indexOptions.expireAfterSeconds;
+            if (fieldArray.length !== 1 || fieldArray[0] === '_id') {
+                throw new BsonDBError('TTL index must be a single-field index on a field other than _id', 'BAD_INDEX_OPTIONS');
+            }
+            if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+                throw new BsonDBError('expireAfterSeconds must be a non-negative number', 'BAD_INDEX_OPTIONS');
+            }
+        }
+
+        // Индекс уже построен - повторное создание не должно сбрасывать его данные
+        const existing = (await this.getCollectionIndexes(collectionName)).find(index => index.name === indexName);
+        if (existing && existing.version === INDEX_FORMAT_VERSION) {
+            if (!this.sameOptions(this.normalizeOptions(existing.fields, existing.options), indexOptions)) {
+                throw new BsonDBError(
+                    `Index ${indexName} already exists on ${collectionName} with different options`,
+                    'INDEX_OPTIONS_CONFLICT'
+                );
+            }
+            return existing;
+        }
 
-        // Save index metadata
         const indexMeta = {
             name: indexName,
             collection: collectionName,
             fields: fieldArray,
-            options: options,
+            options: indexOptions,
+            version: INDEX_FORMAT_VERSION,
             createdAt: new Date()
         };
-
-        // Store in Redis if available
-        if (this.isConnected) {
-            await this.redisClient.hSet(
-                `db:${this.database.name}:indexes`, 
-                indexName, 
-                JSON.stringify(indexMeta)
-            );
+        if (type) {
+            indexMeta.type = type;
         }
 
-        // Store in file
-        const indexFilePath = path.join(
-            this.database.dbPath, 
-            collectionName, 
-            `_index_${indexName}.bson`
-        );
-
-        const indexData = { metadata: indexMeta, data: {} };
-        
-        // Шифруем данные индекса если включено шифрование
-        const encryptedIndex = this.database.encryption.encrypt(
-            serialize(indexData)
-        );
-        await fs.writeFile(indexFilePath, encryptedIndex);
-
-        // Build initial index
+        // Build initial index in memory and write it once
+        const data = new Map();
         const collection = this.database.collection(collectionName);
+        indexMeta.multikey = false;
         if (collection) {
             const documents = await collection.loadData();
             for (const doc of documents) {
-                await this.updateIndex(collectionName, doc);
+                if (!this.shouldIndex(indexMeta, doc)) continue;
+                const keys = this.getIndexKeys(indexMeta, doc);
+                indexMeta.multikey = indexMeta.multikey || keys.length > 1;
+                for (const key of keys) {
+                    if (!data.has(key)) {
+                        data.set(key, []);
+                    }
+                    data.get(key).push(doc._id.toString());
+                }
             }
         }
+        const entries = Array.from(data).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+        // Уникальный индекс нельзя построить поверх повторяющихся значений
+        if (this.isUnique(indexMeta)) {
+            const duplicates = entries
+                .filter(([, ids]) => ids.length > 1)
+                .map(([key, ids]) => ({ key: this.getKeyValue(fieldArray, key), ids }));
+            if (duplicates.length > 0) {
+                const error = new DuplicateKeyError(
+                    `Cannot create unique index ${indexName} on ${collectionName}: ${duplicates.length} duplicate key(s), ` +
+                    `e.g. ${JSON.stringify(duplicates[0].key)}`,
+                    indexName,
+                    duplicates[0].key
+                );
+                error.duplicates = duplicates;
+                throw error;
+            }
+        }
+
+        await this.backend.writeIndex(collectionName, indexMeta, entries);
 
         return indexMeta;
     }
 
-    async updateIndex(collectionName, newDoc, oldDoc = null) {
-        const indexes = await this.getCollectionIndexes(collectionName);
-        
-        for (const index of indexes) {
-            const indexKey = this.getIndexKey(collectionName, index.name);
-            
-            // Remove old document from index
-            if (oldDoc) {
-                const oldKey = this.getDocumentIndexKey(oldDoc, index.fields);
-                if (this.isConnected) {
-                    await this.redisClient.sRem(`${indexKey}:${oldKey}`, oldDoc._id.toString());
-                }
-            }
+    // Поля индекса: 'a', ['a', 'b'], { a: 1, b: -1 }, { title: 'text', body: 'text' }
+    // или { location: '2dsphere' }. Индексы упорядочены и обходятся в обе стороны,
+    // поэтому направление поля не хранится
+    parseIndexFields(fields) {
+        if (!isPlainObject(fields)) {
+            const fieldArray = Array.isArray(fields) ? fields : [fields];
+            return { fieldArray, indexName: fieldArray.join('_'), type: null };
+        }
 
-            // Add new document to index
-            const newKey = this.getDocumentIndexKey(newDoc, index.fields);
-            if (this.isConnected) {
-                await this.redisClient.sAdd(`${indexKey}:${newKey}`, newDoc._id.toString());
+        const kinds = Object.values(fields);
+        const fieldArray = Object.keys(fields);
+        if (fieldArray.length > 0 && kinds.every(kind => kind === 'text')) {
+            return { fieldArray, indexName: `${fieldArray.join('_')}_text`, type: 'text' };
+        }
+        if (kinds.includes('2dsphere')) {
+            if (fieldArray.length !== 1) {
+                throw new BsonDBError('2dsphere index must have exactly one field', 'BAD_INDEX_OPTIONS');
             }
+            return { fieldArray, indexName: `${fieldArray[0]}_2dsphere`, type: '2dsphere' };
+        }
+        if (fieldArray.length === 0 || !kinds.every(kind => kind === 1 || kind === -1)) {
+            throw new BsonDBError('Index fields must be 1 or -1, all "text", or one "2dsphere" field', 'BAD_INDEX_OPTIONS');
+        }
+        return { fieldArray, indexName: fieldArray.join('_'), type: null };
+    }
 
-            // Update file index
-            await this.updateFileIndex(collectionName, index.name, newDoc, oldDoc);
+    // Обратное к parseIndexFields: описание полей для пересоздания индекса
+    getIndexFields(index) {
+        return index.type
+            ? Object.fromEntries(index.fields.map(field => [field, index.type]))
+            : index.fields;
+    }
+
+    // Текстовый индекс в коллекции один; он не бывает уникальным или TTL,
+    // weights задает вес каждого поля в textScore
+    async validateTextIndex(collectionName, indexName, options) {
+        if (options.unique || options.expireAfterSeconds !== undefined) {
+            throw new BsonDBError('Text index cannot be unique or TTL', 'BAD_INDEX_OPTIONS');
+        }
+        if (options.weights !== undefined && (!isPlainObject(options.weights) ||
+            !Object.values(options.weights).every(weight => typeof weight === 'number' && weight > 0))) {
+            throw new BsonDBError('Text index weights must map fields to positive numbers', 'BAD_INDEX_OPTIONS');
+        }
+
+        const existing = await this.getTextIndex(collectionName);
+        if (existing && existing.name !== indexName) {
+            throw new BsonDBError(
+                `Collection ${collectionName} already has text index ${existing.name}`,
+                'INDEX_OPTIONS_CONFLICT'
+            );
         }
     }
 
-    async removeFromIndex(collectionName, doc) {
+    async getGeoIndex(collectionName, field) {
         const indexes = await this.getCollectionIndexes(collectionName);
-        
-        for (const index of indexes) {
-            const indexKey = this.getIndexKey(collectionName, index.name);
-            const docKey = this.getDocumentIndexKey(doc, index.fields);
-            
-            if (this.isConnected) {
-                await this.redisClient.sRem(`${indexKey}:${docKey}`, doc._id.toString());
-            }
+        return indexes.find(index =>
+            index.type === '2dsphere' && index.fields[0] === field && index.version === INDEX_FORMAT_VERSION
+        ) || null;
+    }
+
+    async getTextIndex(collectionName) {
+        const indexes = await this.getCollectionIndexes(collectionName);
+        return indexes.find(index => index.type === 'text' && index.version === INDEX_FORMAT_VERSION) || null;
+    }
 
-            await this.removeFromFileIndex(collectionName, index.name, doc);
+    // Индекс по _id всегда уникален
+    normalizeOptions(fields, options = {}) {
+        const normalized = { ...options };
+        if (fields.length === 1 && fields[0] === '_id') {
+            normalized.unique = true;
         }
+        return normalized;
     }
 
-    async getCollectionIndexes(collectionName) {
-        const indexKey = `db:${this.database.name}:indexes`;
-        const indexes = [];
-
-        // Try Redis first
-        if (this.isConnected) {
-            try {
-                const redisIndexes = await this.redisClient.hGetAll(indexKey);
-                for (const [name, data] of Object.entries(redisIndexes)) {
-                    const indexData = JSON.parse(data);
-                    if (indexData.collection === collectionName) {
-                        indexes.push(indexData);
-                    }
+    sameOptions(a, b) {
+        return Boolean(a.unique) === Boolean(b.unique) &&
+            Boolean(a.sparse) === Boolean(b.sparse) &&
+            a.expireAfterSeconds === b.expireAfterSeconds &&
+            valuesEqual(a.weights, b.weights) &&
+            valuesEqual(a.partialFilterExpression, b.partialFilterExpression);
+    }
+
+    isUnique(index) {
+        return Boolean(this.normalizeOptions(index.fields, index.options).unique);
+    }
+
+    // TTL-индекс: документы удаляются через expireAfterSeconds после даты в поле
+    isTTL(index) {
+        return Boolean(index.options) && index.options.expireAfterSeconds !== undefined;
+    }
+
+    // Разреженный и частичный индексы содержат не все документы
+    isFiltered(index) {
+        const options = index.options || {};
+        return Boolean(options.sparse || options.partialFilterExpression);
+    }
+
+    // Попадает ли документ в индекс: sparse пропускает документы без индексируемых
+    // полей, partialFilterExpression - документы, не подходящие под фильтр
+    shouldIndex(index, doc) {
+        const options = index.options || {};
+        if (options.sparse && index.fields.every(field =>
+            getPathValues(doc, field).every(value => value === undefined)
+        )) {
+            return false;
+        }
+        if (options.partialFilterExpression) {
+            const collection = this.database.collection(index.collection);
+            return Boolean(collection) && collection.matchDocument(doc, options.partialFilterExpression);
+        }
+        return true;
+    }
+
+    // Ключ индекса в виде { поле: значение } для сообщений об ошибках
+    getKeyValue(fields, key) {
+        const values = decodeIndexKey(key);
+        return Object.fromEntries(fields.map((field, position) => [field, values[position]]));
+    }
+
+    // Индексы старого формата могли остаться пустыми после переоткрытия базы,
+    // поэтому планировщик запросов доверяет только индексам текущей версии
+    canServeQueries(index) {
+        return Boolean(index) && index.version === INDEX_FORMAT_VERSION && !this.isFiltered(index) &&
+            !index.type;
+    }
+
+    // id документов по каждому ключу (null если индекс не читается)
+    async lookupKeys(collectionName, indexName, keys) {
+        const indexData = await this.backend.readKeys(collectionName, indexName, keys);
+        if (!indexData || !this.canServeLookups(indexData.metadata)) {
+            return null;
+        }
+        return new Map(indexData.entries);
+    }
+
+    canServeLookups(index) {
+        return Boolean(index) && index.version === INDEX_FORMAT_VERSION;
+    }
+
+    // Возвращает id документов из диапазонов ключей [low, high) в порядке индекса
+    // (null если индекс не читается). Диапазон с полем key - точное значение ключа,
+    // такие запросы без требования порядка читают из хранилища только эти ключи.
+    // direction = -1 - обход индекса в обратном порядке
+    async lookup(collectionName, indexName, ranges, options = {}) {
+        const seen = new Set();
+        const ids = [];
+        let keysExamined = 0;
+        const addIds = (list) => {
+            for (const id of list) {
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    ids.push(id);
                 }
-            } catch (error) {
-                console.warn('⚠️ Error reading indexes from Redis:', error.message);
             }
+        };
+
+        if (!options.ordered && ranges.every(range => range.key !== undefined)) {
+            const indexData = await this.backend.readKeys(collectionName, indexName, ranges.map(range => range.key));
+            if (!indexData || !this.canServeLookups(indexData.metadata)) {
+                return null;
+            }
+            for (const [, list] of indexData.entries) {
+                addIds(list);
+                keysExamined++;
+            }
+            return { ids, keysExamined };
         }
 
-        // Fallback to file indexes
-        if (indexes.length === 0) {
-            const collectionPath = path.join(this.database.dbPath, collectionName);
-            try {
-                const files = await fs.readdir(collectionPath);
-                const indexFiles = files.filter(f => f.startsWith('_index_') && f.endsWith('.bson'));
-                
-                for (const file of indexFiles) {
-                    const filePath = path.join(collectionPath, file);
-                    try {
-                        const encryptedData = await fs.readFile(filePath);
-                        
-                        // Дешифруем данные индекса
-                        const decryptedData = this.database.encryption.decrypt(encryptedData);
-                        
-                        try {
-                            const parsed = deserialize(decryptedData);
-                            
-                            if (parsed.metadata && parsed.metadata.collection === collectionName) {
-                                indexes.push(parsed.metadata);
-                            }
-                        } catch (parseError) {
-                            console.warn(`⚠️ Failed to parse index file ${file}:`, parseError.message);
-                            // Пытаемся восстановить индекс
-                            await this.repairIndexFile(collectionName, file);
-                        }
-                    } catch (fileError) {
-                        console.warn(`⚠️ Error reading index file ${file}:`, fileError.message);
-                    }
-                }
-            } catch (error) {
-                console.warn('⚠️ Error reading file indexes:', error.message);
+        const indexData = await this.backend.readIndex(collectionName, indexName);
+        if (!indexData || !this.canServeLookups(indexData.metadata)) {
+            return null;
+        }
+
+        const entries = indexData.entries;
+        const findEntry = key => this.backend.findEntry(entries, key);
+        const ordered = options.direction === -1 ? ranges.slice().reverse() : ranges;
+        for (const { low, high } of ordered) {
+            const start = findEntry(low);
+            const end = findEntry(high);
+            keysExamined += Math.max(end - start, 0);
+
+            if (options.direction === -1) {
+                for (let i = end - 1; i >= start; i--) addIds(entries[i][1]);
+            } else {
+                for (let i = start; i < end; i++) addIds(entries[i][1]);
             }
         }
 
-        return indexes;
+        return { ids, keysExamined };
     }
 
-    async repairIndexFile(collectionName, fileName) {
-        const filePath = path.join(this.database.dbPath, collectionName, fileName);
-        try {
-            console.log(`🛠️ Repairing index file: ${fileName}`);
-            await fs.unlink(filePath);
-            
-            // Извлекаем имя индекса из имени файла
-            const indexName = fileName.replace('_index_', '').replace('.bson', '');
-            const fields = indexName.split('_');
-            
-            // Пересоздаем индекс
-            await this.createIndex(collectionName, fields);
-            
-        } catch (error) {
-            console.error(`❌ Failed to repair index file ${fileName}:`, error.message);
+    // Диапазоны ключей индекса 2dsphere для ячеек geohash; без ячеек - все точки
+    buildCellRanges(cells) {
+        if (!cells) {
+            return [{ low: typeLowerBound(''), high: typeUpperBound('') }];
         }
+        return cells.map(cell => ({ low: encodeStringPrefix(cell), high: encodeStringPrefix(cell) + KEY_END }));
     }
 
-    async dropIndex(collectionName, fields) {
-        const fieldArray = Array.isArray(fields) ? fields : [fields];
-        const indexName = fieldArray.join('_');
-        const indexKey = `index:${this.database.name}:${collectionName}:${indexName}`;
-
-        // Remove from Redis
-        if (this.isConnected) {
-            await this.redisClient.hDel(`db:${this.database.name}:indexes`, indexName);
-            
-            // Find and remove all index keys
-            const keys = await this.redisClient.keys(`${indexKey}:*`);
-            if (keys.length > 0) {
-                await this.redisClient.del(keys);
-            }
+    // Диапазоны ключей для плана запроса. prefixValues - значения равенства по
+    // первым полям индекса (берется декартово произведение), range - границы
+    // { low, high } по следующему полю, exact - равенство задано по всем полям
+    buildKeyRanges(prefixValues, range = null, exact = false) {
+        let prefixes = [''];
+        for (const values of prefixValues) {
+            prefixes = prefixes.flatMap(prefix => values.map(value => prefix + encodeIndexValue(value)));
         }
 
-        // Remove file index
-        const indexFilePath = path.join(
-            this.database.dbPath, 
-            collectionName, 
-            `_index_${indexName}.bson`
-        );
-        
-        try {
-            await fs.unlink(indexFilePath);
-        } catch (error) {
-            // File might not exist
+        if (!range) {
+            return prefixes.map(prefix => exact
+                ? { low: prefix, high: prefix + KEY_END, key: prefix }
+                : { low: prefix, high: prefix + KEY_END });
         }
 
-        return true;
+        // Без одной из границ диапазон ограничен ключами того же типа
+        const sample = (range.low || range.high).value;
+        return prefixes.map(prefix => ({
+            low: range.low
+                ? prefix + encodeIndexValue(range.low.value) + (range.low.inclusive ? '' : KEY_END)
+                : prefix + typeLowerBound(sample),
+            high: range.high
+                ? prefix + encodeIndexValue(range.high.value) + (range.high.inclusive ? KEY_END : '')
+                : prefix + typeUpperBound(sample)
+        }));
     }
 
-    async dropCollectionIndexes(collectionName) {
+    // Изменения записей индексов коллекции для измененных документов:
+    // changes - [{ oldDoc, newDoc }], oldDoc = null у вставки, newDoc = null у удаления.
+    // Результат - [{ name, remove: [[ключ, id]], add: [[ключ, id]], multikey? }] только для
+    // индексов, которые меняются; ключи, оставшиеся у документа, не трогаются.
+    // multikey - индекс впервые получил документ с несколькими ключами
+    async getIndexChanges(collectionName, changes) {
         const indexes = await this.getCollectionIndexes(collectionName);
-        
+        const result = [];
+
         for (const index of indexes) {
-            await this.dropIndex(collectionName, index.fields);
+            const remove = [];
+            const add = [];
+            let multikey = false;
+            for (const { oldDoc, newDoc } of changes) {
+                const oldKeys = oldDoc ? this.getIndexKeys(index, oldDoc) : [];
+                const newKeys = newDoc && this.shouldIndex(index, newDoc) ? this.getIndexKeys(index, newDoc) : [];
+                const id = (newDoc || oldDoc)._id.toString();
+                multikey = multikey || newKeys.length > 1;
+
+                for (const key of oldKeys) {
+                    if (!newKeys.includes(key)) remove.push([key, id]);
+                }
+                for (const key of newKeys) {
+                    if (!oldKeys.includes(key)) add.push([key, id]);
+                }
+            }
+            if (remove.length > 0 || add.length > 0) {
+                result.push(multikey && !index.multikey
+                    ? { name: index.name, remove, add, multikey }
+                    : { name: index.name, remove, add });
+            }
         }
+        return result;
     }
 
-    getIndexKey(collectionName, indexName) {
-        return `index:${this.database.name}:${collectionName}:${indexName}`;
+    // Применяет изменения из getIndexChanges. Файловый бэкенд хранит их в журнале
+    // операций коллекции, и они записываются вместе с документами (logsChanges)
+    async applyIndexChanges(collectionName, changes) {
+        for (const { name, ...entryChanges } of changes) {
+            await this.backend.updateEntries(collectionName, name, entryChanges);
+        }
     }
 
-    getDocumentIndexKey(doc, fields) {
-        return fields.map(field => {
-            const value = this.getNestedValue(doc, field);
-            return value !== undefined ? String(value) : 'null';
-        }).join('::');
+    logsChanges() {
+        return this.backend.logsChanges();
     }
 
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((acc, part) => acc && acc[part], obj);
+    // Есть ли в индексе документ с несколькими ключами (поле-массив). Индексы,
+    // построенные до появления признака, и нечитаемые индексы считаются multikey
+    async isMultikey(collectionName, index) {
+        const indexData = await this.backend.readIndex(collectionName, index.name);
+        return !indexData || indexData.metadata.multikey !== false;
     }
 
-    async updateFileIndex(collectionName, indexName, newDoc, oldDoc = null) {
-        const indexFilePath = path.join(
-            this.database.dbPath, 
-            collectionName, 
-            `_index_${indexName}.bson`
-        );
+    // Вызывается при сжатии журнала операций коллекции (см. Collection.rewriteData)
+    async compactIndexes(collectionName) {
+        await this.backend.compact(collectionName);
+    }
 
-        try {
-            const encryptedData = await fs.readFile(indexFilePath);
-            const decryptedData = this.database.encryption.decrypt(encryptedData);
-            
-            try {
-                const indexData = deserialize(decryptedData);
+    async getCollectionIndexes(collectionName) {
+        return await this.backend.listIndexes(collectionName);
+    }
 
-                // Remove old document
-                if (oldDoc) {
-                    const oldKey = this.getDocumentIndexKey(oldDoc, indexData.metadata.fields);
-                    if (indexData.data[oldKey]) {
-                        indexData.data[oldKey] = indexData.data[oldKey].filter(
-                            id => id !== oldDoc._id.toString()
-                        );
-                        if (indexData.data[oldKey].length === 0) {
-                            delete indexData.data[oldKey];
-                        }
-                    }
-                }
+    async dropIndex(collectionName, fields) {
+        const { indexName } = this.parseIndexFields(fields);
 
-                // Add new document
-                const newKey = this.getDocumentIndexKey(newDoc, indexData.metadata.fields);
-                if (!indexData.data[newKey]) {
-                    indexData.data[newKey] = [];
-                }
-                if (!indexData.data[newKey].includes(newDoc._id.toString())) {
-                    indexData.data[newKey].push(newDoc._id.toString());
-                }
+        await this.backend.dropIndex(collectionName, indexName);
 
-                // Save updated index
-                const updatedEncrypted = this.database.encryption.encrypt(
-                    serialize(indexData)
-                );
-                await fs.writeFile(indexFilePath, updatedEncrypted);
-            } catch (parseError) {
-                console.warn(`⚠️ Error parsing index file ${indexName}:`, parseError.message);
-                // Восстанавливаем файл индекса
-                await this.repairIndexFile(collectionName, `_index_${indexName}.bson`);
-            }
-        } catch (error) {
-            console.warn(`⚠️ Error updating file index ${indexName}:`, error.message);
-        }
-    }
-
-    async removeFromFileIndex(collectionName, indexName, doc) {
-        const indexFilePath = path.join(
-            this.database.dbPath, 
-            collectionName, 
-            `_index_${indexName}.bson`
-        );
-
-        try {
-            const encryptedData = await fs.readFile(indexFilePath);
-            const decryptedData = this.database.encryption.decrypt(encryptedData);
-            
-            try {
-                const indexData = deserialize(decryptedData);
-
-                const docKey = this.getDocumentIndexKey(doc, indexData.metadata.fields);
-                if (indexData.data[docKey]) {
-                    indexData.data[docKey] = indexData.data[docKey].filter(
-                        id => id !== doc._id.toString()
-                    );
-                    if (indexData.data[docKey].length === 0) {
-                        delete indexData.data[docKey];
-                    }
-                }
+        return true;
+    }
 
-                const updatedEncrypted = this.database.encryption.encrypt(
-                    serialize(indexData)
-                );
-                await fs.writeFile(indexFilePath, updatedEncrypted);
-            } catch (parseError) {
-                console.warn(`⚠️ Error parsing index file during removal:`, parseError.message);
+    async rebuildIndexes(collectionName) {
+        const indexes = await this.getCollectionIndexes(collectionName);
+
+        for (const index of indexes) {
+            await this.dropIndex(collectionName, this.getIndexFields(index));
+            await this.createIndex(collectionName, this.getIndexFields(index), index.options);
+        }
+    }
+
+    // Перестраивает индексы, записанные в старом формате, с сохранением их параметров
+    async upgradeIndexes(collectionName) {
+        const indexes = await this.getCollectionIndexes(collectionName);
+
+        for (const index of indexes) {
+            if (index.version !== INDEX_FORMAT_VERSION) {
+                await this.dropIndex(collectionName, this.getIndexFields(index));
+                await this.createIndex(collectionName, this.getIndexFields(index), index.options);
             }
-        } catch (error) {
-            console.warn(`⚠️ Error removing from file index:`, error.message);
         }
     }
+
+    async dropCollectionIndexes(collectionName) {
+        const indexes = await this.getCollectionIndexes(collectionName);
+        
+        for (const index of indexes) {
+            await this.dropIndex(collectionName, this.getIndexFields(index));
+        }
+    }
+
+    // Ключи документа в индексе: основы слов для текстового индекса, geohash
+    // точек для 2dsphere, значения полей для остальных
+    getIndexKeys(index, doc) {
+        if (index.type === 'text') {
+            return getDocumentTerms(doc, index.fields).map(term => encodeIndexValue(term));
+        }
+        if (index.type === '2dsphere') {
+            const cells = getPoints(getPathValues(doc, index.fields[0])).map(point => encodeGeohash(point));
+            return [...new Set(cells)].map(cell => encodeIndexValue(cell));
+        }
+        return this.getDocumentIndexKeys(doc, index.fields);
+    }
+
+    // Ключи по значениям полей. Для полей-массивов документ попадает в индекс
+    // под каждым элементом (multikey), как и в MongoDB
+    getDocumentIndexKeys(doc, fields) {
+        let keys = [''];
+
+        fields.forEach((field) => {
+            const values = [];
+            for (const value of getPathValues(doc, field)) {
+                if (Array.isArray(value) && value.length > 0) {
+                    values.push(...value);
+                } else {
+                    values.push(value);
+                }
+            }
+
+            const fieldKeys = [...new Set(values.map(value => encodeIndexValue(value)))];
+            keys = keys.flatMap(key => fieldKeys.map(fieldKey => key + fieldKey));
+        });
+
+        return keys;
+    }
 }
 
 module.exports = IndexManager;
\ No newline at end of file
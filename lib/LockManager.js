@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { threadId } = require('worker_threads');
+const { LockTimeoutError } = require('./Errors');
+
+const LOCK_FILE = '.lock';
+// Суффикс временных файлов (см. AtomicFile): отодвинутые блокировки не попадают
+// в резервные копии, а оставшиеся после сбоя удаляются при открытии
+const TEMP_SUFFIX = '.tmp';
+
+// Очереди ожидания внутри потока, общие для всех экземпляров Database,
+// открытых на одном каталоге
+const localQueues = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LockManager {
+    constructor(options = {}) {
+        this.timeout = options.lockTimeout || 10000;
+        this.staleAfter = options.lockStaleAfter || 30000;
+        this.logger = options.logger || console;
+    }
+
+    // Выполняет fn, удерживая блокировку каталога: сначала асинхронный мьютекс
+    // внутри потока, затем файл блокировки, видимый другим потокам и процессам
+    async withLock(dirPath, fn) {
+        const key = path.resolve(dirPath);
+        const releaseLocal = await this.acquireLocal(key);
+
+        try {
+            const releaseFile = await this.acquireFile(path.join(key, LOCK_FILE));
+            try {
+                return await fn();
+            } finally {
+                await releaseFile();
+            }
+        } finally {
+            releaseLocal();
+        }
+    }
+
+    // Блокировки берутся в одном порядке, чтобы два вызова не ждали друг друга
+    async withLocks(dirPaths, fn) {
+        const keys = [...new Set(dirPaths.map(dirPath => path.resolve(dirPath)))].sort();
+
+        const run = (index) => index === keys.length
+            ? fn()
+            : this.withLock(keys[index], () => run(index + 1));
+
+        return await run(0);
+    }
+
+    async acquireLocal(key) {
+        const previous = localQueues.get(key) || Promise.resolve();
+
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        localQueues.set(key, tail);
+
+        await previous;
+
+        return () => {
+            release();
+            if (localQueues.get(key) === tail) {
+                localQueues.delete(key);
+            }
+        };
+    }
+
+    async acquireFile(lockPath) {
+        const deadline = Date.now() + this.timeout;
+        // nonce отличает эту блокировку от любой другой, взятой тем же потоком
+        const owner = JSON.stringify({
+            pid: process.pid,
+            threadId,
+            acquiredAt: Date.now(),
+            nonce: crypto.randomBytes(8).toString('hex')
+        });
+        let delay = 5;
+
+        while (true) {
+            try {
+                const handle = await fs.open(lockPath, 'wx');
+                try {
+                    await handle.writeFile(owner);
+                } finally {
+                    await handle.close();
+                }
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (await this.breakStaleLock(lockPath)) continue;
+
+            if (Date.now() >= deadline) {
+                throw new LockTimeoutError(`Timed out after ${this.timeout}ms waiting for lock ${lockPath}`);
+            }
+            await sleep(delay);
+            delay = Math.min(delay * 2, 100);
+        }
+
+        // Пока блокировка удерживается, обновляем mtime, чтобы ее не сочли брошенной.
+        // Блокировку, которую сочли брошенной и сняли, не трогаем
+        const heartbeat = setInterval(async () => {
+            try {
+                if (await fs.readFile(lockPath, 'utf8') !== owner) return;
+                const now = new Date();
+                await fs.utimes(lockPath, now, now);
+            } catch (error) {
+                // Файла уже нет - обновлять нечего
+            }
+        }, Math.max(this.staleAfter / 3, 10));
+        heartbeat.unref();
+
+        return async () => {
+            clearInterval(heartbeat);
+            await this.removeLock(lockPath, owner);
+        };
+    }
+
+    // Блокировка брошена, если ее владелец-процесс завершился или она давно
+    // не обновлялась (владелец завис или это поток, завершившийся аварийно)
+    async breakStaleLock(lockPath) {
+        let stat;
+        let content;
+        let owner = {};
+        try {
+            stat = await fs.stat(lockPath);
+            content = await fs.readFile(lockPath, 'utf8');
+            owner = JSON.parse(content);
+        } catch (error) {
+            // Файл мог исчезнуть или еще не дописан - просто пробуем снова
+            return error.code === 'ENOENT';
+        }
+
+        const expired = Date.now() - stat.mtimeMs > this.staleAfter;
+        if (!expired && !(owner.pid !== process.pid && !this.isProcessAlive(owner.pid))) {
+            return false;
+        }
+
+        if (await this.removeLock(lockPath, content)) {
+            // Как Database.warn: logger без warn() пишет только log()
+            (typeof this.logger.warn === 'function' ? this.logger : console).warn(`⚠️ Broke stale lock ${lockPath} held by pid ${owner.pid}`);
+        }
+        return true;
+    }
+
+    // Удаляет файл блокировки, только если в нем content. Проверка и удаление
+    // не атомарны, поэтому файл сначала атомарно переносится в сторону: его уже
+    // не заберет другой ожидающий, а чужая блокировка, взятая между чтением и
+    // переносом, возвращается на место
+    async removeLock(lockPath, content) {
+        const asidePath = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+        try {
+            await fs.rename(lockPath, asidePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        if (await fs.readFile(asidePath, 'utf8').catch(() => null) === content) {
+            await fs.unlink(asidePath).catch(() => {});
+            return true;
+        }
+
+        // link не заменяет файл: если блокировку уже взял кто-то третий, его
+        // блокировка остается, а перенесенная считается снятой
+        await fs.link(asidePath, lockPath).catch(() => {});
+        await fs.unlink(asidePath).catch(() => {});
+        return false;
+    }
+
+    isProcessAlive(pid) {
+        if (!pid) return true;
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+module.exports = LockManager;
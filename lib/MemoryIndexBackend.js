@@ -0,0 +1,83 @@
+const path = require('path');
+const IndexBackend = require('./IndexBackend');
+
+// Индексы всех баз потока, ключ - путь к каталогу базы: { indexes, users }.
+// Общие для экземпляров Database, открытых на одном каталоге, как очереди
+// блокировок в LockManager. После закрытия последнего из них индексы удаляются:
+// пока база закрыта, каталог могут заменить (restore) или изменить другим
+// процессом (cli import, rekey), и при следующем открытии индексы строятся заново
+const stores = new Map();
+
+function getStoreEntry(dbPath) {
+    const key = path.resolve(dbPath);
+    if (!stores.has(key)) {
+        stores.set(key, { indexes: new Map(), users: 0 });
+    }
+    return stores.get(key);
+}
+
+// Индексы только в памяти потока: ничего не пишется на диск, после перезапуска
+// процесса индексы (кроме _id) нужно создать заново. Подходит для тестов и
+// временных баз, но не для нескольких потоков или процессов на одних данных
+class MemoryIndexBackend extends IndexBackend {
+    constructor(database) {
+        super(database);
+        this.connected = false;
+    }
+
+    // Каталог базы заменен или изменен в обход открытых экземпляров
+    static forget(dbPath) {
+        stores.delete(path.resolve(dbPath));
+    }
+
+    async connect() {
+        if (this.connected) return;
+        this.connected = true;
+        getStoreEntry(this.database.dbPath).users++;
+    }
+
+    async disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        const entry = getStoreEntry(this.database.dbPath);
+        if (--entry.users <= 0) {
+            MemoryIndexBackend.forget(this.database.dbPath);
+        }
+    }
+
+    getStore() {
+        return getStoreEntry(this.database.dbPath).indexes;
+    }
+
+    getStoreKey(collectionName, indexName) {
+        return `${collectionName}/${indexName}`;
+    }
+
+    async listIndexes(collectionName) {
+        return [...this.getStore().values()]
+            .map(indexData => indexData.metadata)
+            .filter(metadata => metadata.collection === collectionName);
+    }
+
+    async readIndex(collectionName, indexName) {
+        return this.getStore().get(this.getStoreKey(collectionName, indexName)) || null;
+    }
+
+    async writeIndex(collectionName, metadata, entries) {
+        this.getStore().set(this.getStoreKey(collectionName, metadata.name), { metadata, entries });
+    }
+
+    async updateEntries(collectionName, indexName, changes) {
+        const indexData = this.getStore().get(this.getStoreKey(collectionName, indexName));
+        if (indexData) {
+            this.applyChanges(indexData.entries, changes);
+            if (changes.multikey) indexData.metadata.multikey = true;
+        }
+    }
+
+    async dropIndex(collectionName, indexName) {
+        this.getStore().delete(this.getStoreKey(collectionName, indexName));
+    }
+}
+
+module.exports = MemoryIndexBackend;
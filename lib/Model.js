@@ -1,4 +1,10 @@
 const { EventEmitter } = require('events');
+const { isPlainObject } = require('./DocumentUtils');
+const { QueryError, UpdateError, EncryptionKeyError } = require('./Errors');
+
+// Операторы обновления, допустимые для зашифрованных полей: значение
+// можно только заменить целиком или удалить
+const ENCRYPTED_FIELD_UPDATES = ['$set', '$setOnInsert', '$unset'];
 
 class Model extends EventEmitter {
   constructor(name, schema, options = {}) {
@@ -8,12 +14,149 @@ class Model extends EventEmitter {
     this.options = options;
     this.collection = null;
     this.hooks = new Map();
+    // Поля схемы с encrypt: true -> { deterministic }
+    this.encryptedFields = new Map(
+      Object.entries(schema)
+        .filter(([, rules]) => rules && rules.encrypt)
+        .map(([field, rules]) => [field, { deterministic: Boolean(rules.deterministic) }])
+    );
   }
 
   setCollection(collection) {
+    if (this.encryptedFields.size > 0 && !collection.database.encryption.isEnabled()) {
+      throw new EncryptionKeyError(
+        `Model ${this.name} has encrypted fields; open the database with an encryptionKey`,
+        null,
+        'ENCRYPTION_KEY_REQUIRED'
+      );
+    }
     this.collection = collection;
   }
 
+  // Шифрование полей: encrypt: true - случайный IV, по полю нельзя искать;
+  // encrypt: true, deterministic: true - одинаковые значения дают одинаковый
+  // шифротекст, работают запросы на равенство ($eq, $ne, $in, $nin) и индексы.
+  // Ключ - ключ шифрования базы, значения null не шифруются
+  encryptFields(document) {
+    if (this.encryptedFields.size === 0 || !document) return document;
+
+    const encryption = this.collection.database.encryption;
+    const result = { ...document };
+    for (const [field, { deterministic }] of this.encryptedFields) {
+      if (result[field] !== undefined && result[field] !== null) {
+        result[field] = encryption.encryptValue(result[field], { deterministic });
+      }
+    }
+    return result;
+  }
+
+  decryptFields(document) {
+    if (this.encryptedFields.size === 0 || !document) return document;
+
+    const encryption = this.collection.database.encryption;
+    const result = { ...document };
+    for (const field of this.encryptedFields.keys()) {
+      if (encryption.isEncryptedValue(result[field])) {
+        result[field] = encryption.decryptValue(result[field]);
+      }
+    }
+    return result;
+  }
+
+  // Поле схемы с шифрованием, которому принадлежит путь (само поле или вложенный путь)
+  getEncryptedField(path) {
+    const [field] = path.split('.');
+    return this.encryptedFields.has(field) ? field : null;
+  }
+
+  encryptQuery(query) {
+    if (this.encryptedFields.size === 0 || !isPlainObject(query)) return query;
+
+    const result = {};
+    for (const [key, condition] of Object.entries(query)) {
+      if (['$and', '$or', '$nor'].includes(key) && Array.isArray(condition)) {
+        result[key] = condition.map(part => this.encryptQuery(part));
+        continue;
+      }
+
+      const field = this.getEncryptedField(key);
+      if (!field) {
+        result[key] = condition;
+      } else if (key !== field) {
+        throw new QueryError(`Cannot query ${key}: field ${field} is encrypted`);
+      } else {
+        result[key] = this.encryptCondition(field, condition);
+      }
+    }
+    return result;
+  }
+
+  encryptCondition(field, condition) {
+    if (!this.encryptedFields.get(field).deterministic) {
+      throw new QueryError(`Field ${field} is encrypted and cannot be queried; use deterministic: true for equality queries`);
+    }
+
+    const encryption = this.collection.database.encryption;
+    const encrypt = (value) => {
+      if (value instanceof RegExp) {
+        throw new QueryError(`Encrypted field ${field} supports only equality queries`);
+      }
+      return value === null || value === undefined
+        ? value
+        : encryption.encryptValue(value, { deterministic: true });
+    };
+
+    const isOperatorObject = isPlainObject(condition) && Object.keys(condition).length > 0 &&
+      Object.keys(condition).every(key => key.startsWith('$'));
+    if (!isOperatorObject) {
+      return encrypt(condition);
+    }
+
+    const result = {};
+    for (const [operator, value] of Object.entries(condition)) {
+      switch (operator) {
+        case '$eq':
+        case '$ne':
+          result[operator] = encrypt(value);
+          break;
+        case '$in':
+        case '$nin':
+          if (!Array.isArray(value)) {
+            throw new QueryError(`${operator} requires an array`);
+          }
+          result[operator] = value.map(encrypt);
+          break;
+        case '$exists':
+          result[operator] = value;
+          break;
+        default:
+          throw new QueryError(`Encrypted field ${field} supports only equality queries, got ${operator}`);
+      }
+    }
+    return result;
+  }
+
+  encryptUpdate(update) {
+    if (this.encryptedFields.size === 0) return update;
+    if (this.collection.isReplacement(update)) {
+      return this.encryptFields(update);
+    }
+
+    const result = { ...update };
+    for (const [operator, fields] of Object.entries(update)) {
+      for (const path of Object.keys(fields || {})) {
+        const field = this.getEncryptedField(path);
+        if (field && (path !== field || !ENCRYPTED_FIELD_UPDATES.includes(operator))) {
+          throw new UpdateError(`Cannot apply ${operator} to ${path}: field ${field} is encrypted and can only be set or unset as a whole`);
+        }
+      }
+      if (operator === '$set' || operator === '$setOnInsert') {
+        result[operator] = this.encryptFields(fields);
+      }
+    }
+    return result;
+  }
+
   async validate(document) {
     const errors = [];
     
@@ -118,7 +261,7 @@ class Model extends EventEmitter {
     this.on(method, fn);
   }
 
-  async create(data) {
+  async create(data, options = {}) {
     if (!this.collection) {
       throw new Error('Model not connected to collection');
     }
@@ -139,9 +282,10 @@ class Model extends EventEmitter {
       validatedDocs.push(processedDoc);
     }
 
+    const encryptedDocs = validatedDocs.map(doc => this.encryptFields(doc));
     const result = Array.isArray(data) 
-      ? await this.collection.insertMany(validatedDocs)
-      : await this.collection.insertOne(validatedDocs[0]);
+      ? (await this.collection.insertMany(encryptedDocs, options)).map(doc => this.decryptFields(doc))
+      : this.decryptFields(await this.collection.insertOne(encryptedDocs[0], options));
 
     this.emit('save', result);
     return result;
@@ -152,7 +296,8 @@ class Model extends EventEmitter {
       throw new Error('Model not connected to collection');
     }
 
-    const results = await this.collection.find(query, options);
+    const results = (await this.collection.find(this.encryptQuery(query), options))
+      .map(doc => this.decryptFields(doc));
     const processedResults = await this.applyHooks('find', results);
     
     this.emit('find', processedResults);
@@ -164,7 +309,7 @@ class Model extends EventEmitter {
       throw new Error('Model not connected to collection');
     }
 
-    const result = await this.collection.findOne(query, options);
+    const result = this.decryptFields(await this.collection.findOne(this.encryptQuery(query), options));
     if (result) {
       const processedResult = await this.applyHooks('findOne', result);
       this.emit('findOne', processedResult);
@@ -183,7 +328,12 @@ class Model extends EventEmitter {
     }
 
     const processedUpdate = await this.applyHooks('update', update);
-    const result = await this.collection.updateOne(query, processedUpdate, options);
+    const versioned = this.applyVersionCheck(query, processedUpdate, options);
+    const result = this.decryptFields(await this.collection.updateOne(
+      this.encryptQuery(versioned.query),
+      this.encryptUpdate(versioned.update),
+      versioned.options
+    ));
     
     if (result) {
       this.emit('update', result);
@@ -191,13 +341,49 @@ class Model extends EventEmitter {
     return result;
   }
 
-  async updateMany(query, update) {
+  // В коллекции с versionKey версия документа из условия или из обновления
+  // (например, документ, прочитанный и отправленный обратно целиком) становится
+  // ifVersion: если документ успели изменить после чтения, updateOne бросает
+  // VersionConflictError вместо того, чтобы перезаписать чужие изменения
+  applyVersionCheck(query, update, options) {
+    const versionKey = this.collection.getVersionKey();
+    if (!versionKey || options.ifVersion !== undefined || options.expectedVersion !== undefined) {
+      return { query, update, options };
+    }
+
+    let version;
+    const take = (source) => {
+      if (!source || typeof source[versionKey] !== 'number') return source;
+      const { [versionKey]: value, ...rest } = source;
+      version = value;
+      return rest;
+    };
+
+    const versionedQuery = take(query);
+    let versionedUpdate = update;
+    if (this.collection.isReplacement(update)) {
+      versionedUpdate = take(update);
+    } else if (update.$set) {
+      versionedUpdate = { ...update, $set: take(update.$set) };
+    }
+
+    if (version === undefined) {
+      return { query, update, options };
+    }
+    return { query: versionedQuery, update: versionedUpdate, options: { ...options, ifVersion: version } };
+  }
+
+  async updateMany(query, update, options = {}) {
     if (!this.collection) {
       throw new Error('Model not connected to collection');
     }
 
     const processedUpdate = await this.applyHooks('update', update);
-    const results = await this.collection.updateMany(query, processedUpdate);
+    const results = (await this.collection.updateMany(
+      this.encryptQuery(query),
+      this.encryptUpdate(processedUpdate),
+      options
+    )).map(doc => this.decryptFields(doc));
     
     if (results.length > 0) {
       this.emit('update', results);
@@ -205,35 +391,47 @@ class Model extends EventEmitter {
     return results;
   }
 
-  async deleteOne(query) {
+  async deleteOne(query, options = {}) {
     if (!this.collection) {
       throw new Error('Model not connected to collection');
     }
 
-    const result = await this.collection.deleteOne(query);
+    const result = this.decryptFields(await this.collection.deleteOne(this.encryptQuery(query), options));
     if (result) {
       this.emit('delete', result);
     }
     return result;
   }
 
-  async deleteMany(query) {
+  async deleteMany(query, options = {}) {
     if (!this.collection) {
       throw new Error('Model not connected to collection');
     }
 
-    const results = await this.collection.deleteMany(query);
+    const results = (await this.collection.deleteMany(this.encryptQuery(query), options))
+      .map(doc => this.decryptFields(doc));
     if (results.length > 0) {
       this.emit('delete', results);
     }
     return results;
   }
 
-  async count(query = {}) {
+  async count(query = {}, options = {}) {
     if (!this.collection) {
       throw new Error('Model not connected to collection');
     }
-    return await this.collection.count(query);
+    return await this.collection.count(this.encryptQuery(query), options);
+  }
+
+  // Конвейер видит зашифрованные поля в том виде, в котором они хранятся
+  async aggregate(pipeline, options = {}) {
+    if (!this.collection) {
+      throw new Error('Model not connected to collection');
+    }
+
+    const results = await this.collection.aggregate(pipeline, options);
+    this.emit('aggregate', results);
+    return results;
   }
 
   async createIndex(fields, options = {}) {
@@ -0,0 +1,133 @@
+const { QueryError } = require('./Errors');
+const { isTextScoreMeta } = require('./TextSearch');
+const {
+    isPlainObject,
+    cloneDocument,
+    getValueAtPath,
+    setValueAtPath,
+    unsetValueAtPath,
+    includePath
+} = require('./DocumentUtils');
+
+// Проекция результатов find/findOne: { name: 1, _id: 0 }, { items: 0 },
+// { comments: { $slice: -5 } }, { items: { $elemMatch: { qty: { $gt: 1 } } } },
+// { score: { $meta: 'textScore' } }
+class Projection {
+    constructor(spec, collection) {
+        if (!isPlainObject(spec)) {
+            throw new QueryError('Projection must be an object');
+        }
+
+        this.collection = collection;
+        this.includeId = !(spec._id === 0 || spec._id === false);
+        this.included = [];
+        this.excluded = [];
+        this.slices = [];
+        this.elemMatches = [];
+        this.metaFields = [];
+
+        for (const [field, value] of Object.entries(spec)) {
+            if (field === '_id' && (typeof value === 'boolean' || value === 0 || value === 1)) continue;
+
+            if (value === 1 || value === true) {
+                this.included.push(field);
+            } else if (value === 0 || value === false) {
+                this.excluded.push(field);
+            } else if (isTextScoreMeta(value)) {
+                this.metaFields.push(field);
+            } else if (isPlainObject(value) && Object.keys(value).length === 1 && '$slice' in value) {
+                this.slices.push({ field, ...this.parseSlice(field, value.$slice) });
+            } else if (isPlainObject(value) && Object.keys(value).length === 1 && '$elemMatch' in value) {
+                if (field.includes('.') || !isPlainObject(value.$elemMatch)) {
+                    throw new QueryError(`$elemMatch projection on '${field}' requires a top-level field and an object`);
+                }
+                this.elemMatches.push({ field, condition: value.$elemMatch });
+            } else {
+                throw new QueryError(`Unsupported projection for '${field}'`);
+            }
+        }
+
+        // $elemMatch, как и включение полей, возвращает только перечисленные поля
+        this.inclusive = this.included.length > 0 || this.elemMatches.length > 0;
+
+        if (this.inclusive && this.excluded.length > 0) {
+            throw new QueryError('Projection cannot mix inclusion and exclusion');
+        }
+    }
+
+    parseSlice(field, slice) {
+        if (Number.isInteger(slice)) {
+            return slice < 0 ? { skip: slice, limit: null } : { skip: 0, limit: slice };
+        }
+        if (Array.isArray(slice) && slice.length === 2 && Number.isInteger(slice[0]) && Number.isInteger(slice[1]) && slice[1] > 0) {
+            return { skip: slice[0], limit: slice[1] };
+        }
+        throw new QueryError(`$slice projection on '${field}' requires a count or [skip, limit]`);
+    }
+
+    // Возвращает новый документ, не разделяющий значений с исходным.
+    // meta - значения для полей { $meta: ... }, например { textScore }
+    apply(doc, meta = {}) {
+        if (!doc) return doc;
+        if (this.metaFields.length > 0 && meta.textScore === undefined) {
+            throw new QueryError('$meta textScore projection requires a $text query');
+        }
+
+        let result;
+        if (this.inclusive) {
+            result = {};
+            if (this.includeId && doc._id !== undefined) {
+                result._id = doc._id;
+            }
+            for (const field of this.included) {
+                includePath(doc, result, field.split('.'));
+            }
+            for (const { field } of this.slices) {
+                includePath(doc, result, field.split('.'));
+            }
+            result = cloneDocument(result);
+        } else {
+            result = cloneDocument(doc);
+            for (const field of this.excluded) {
+                unsetValueAtPath(result, field.split('.'));
+            }
+            if (!this.includeId) {
+                delete result._id;
+            }
+        }
+
+        for (const { field, skip, limit } of this.slices) {
+            const segments = field.split('.');
+            const array = getValueAtPath(result, segments);
+            if (!Array.isArray(array)) continue;
+
+            const start = skip < 0 ? Math.max(array.length + skip, 0) : skip;
+            setValueAtPath(result, segments, array.slice(start, limit === null ? undefined : start + limit));
+        }
+
+        for (const { field, condition } of this.elemMatches) {
+            const array = doc[field];
+            if (!Array.isArray(array)) continue;
+
+            const match = array.find(item => this.matchElement(item, condition));
+            if (match !== undefined) {
+                result[field] = [cloneDocument(match)];
+            }
+        }
+
+        for (const field of this.metaFields) {
+            setValueAtPath(result, field.split('.'), meta.textScore);
+        }
+
+        return result;
+    }
+
+    matchElement(item, condition) {
+        if (this.collection.isOperatorObject(condition)) {
+            return this.collection.matchField([item], condition);
+        }
+        return isPlainObject(item) && this.collection.matchDocument(item, condition);
+    }
+}
+
+module.exports = Projection;
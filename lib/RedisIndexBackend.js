@@ -0,0 +1,245 @@
+const { EJSON } = require('bson');
+const FileIndexBackend = require('./FileIndexBackend');
+
+// Файловые индексы с копией в Redis для поиска по точным ключам.
+// Источник истины - файлы: запись сначала идет в файл, затем в Redis, а при
+// открытии базы копия в Redis сверяется с файлами и перестраивается при
+// расхождении. Если Redis недоступен или упал, индексы работают как файловые.
+// Копия индекса используется, только пока в Redis есть его метаданные: процесс,
+// который перестал писать в Redis, удаляет их (см. disable и forgetIndex).
+//
+// Раскладка в Redis:
+//   db:<база>:indexes                 - hash <коллекция>:<индекс> -> метаданные (EJSON)
+//   index:<база>:<коллекция>:<индекс>  - set ключей индекса
+//   index:<база>:<коллекция>:<индекс>:<ключ> - set id документов
+class RedisIndexBackend extends FileIndexBackend {
+    constructor(database, indexManager) {
+        super(database, indexManager);
+        this.client = null;
+        this.ownsClient = false;
+        this.available = false;
+        // Копия отключена после ошибки (см. disable), а не из-за отсутствия Redis
+        this.disabled = false;
+    }
+
+    async connect() {
+        try {
+            if (this.database.options.redisClient) {
+                // Клиент с API node-redis, например заглушка в тестах
+                this.client = this.database.options.redisClient;
+            } else {
+                // redis подключается только для этого бэкенда
+                const redis = require('redis');
+                this.client = redis.createClient({ url: this.database.options.redisUrl });
+                this.ownsClient = true;
+            }
+            if (!this.client.isOpen) {
+                await this.client.connect();
+            }
+            this.available = true;
+        } catch (error) {
+            this.database.warn('⚠️ Redis connection failed, using file-based indexes only:', error.message);
+            this.available = false;
+        }
+    }
+
+    async disconnect() {
+        if (this.client && this.ownsClient && this.client.isOpen) {
+            await this.client.quit();
+        }
+        this.available = false;
+    }
+
+    // Ошибка Redis отключает копию в этом процессе до следующего открытия базы,
+    // где она будет сверена с файлами. Другие процессы и рабочие потоки читали бы
+    // копию без изменений этого процесса, поэтому метаданные индексов базы
+    // удаляются: без них чтение идет из файлов
+    disable(error) {
+        this.database.warn('⚠️ Redis index error, using file-based indexes only:', error.message);
+        this.available = false;
+        this.disabled = true;
+        this.invalidate(() => this.client.del(this.getMetaKey()));
+    }
+
+    // Изменение индекса не попало в Redis: копию этого индекса больше не читать.
+    // Метаданные могли вернуть другие процессы, пока этот не пишет в Redis
+    forgetIndex(collectionName, indexName) {
+        if (!this.disabled) return;
+        // Redis, скорее всего, все еще недоступен - ошибки не повторяем при каждой записи
+        this.invalidate(() => this.client.hDel(this.getMetaKey(), this.getMetaField(collectionName, indexName)), true);
+    }
+
+    // Без ожидания: недоступный Redis не должен задерживать запись
+    invalidate(command, quiet = false) {
+        if (!this.client) return;
+        Promise.resolve().then(command).catch(error => {
+            if (!quiet) this.database.warn('⚠️ Failed to invalidate Redis indexes:', error.message);
+        });
+    }
+
+    async readKeys(collectionName, indexName, keys) {
+        if (this.available) {
+            try {
+                const metadata = await this.client.hGet(this.getMetaKey(), this.getMetaField(collectionName, indexName));
+                if (metadata) {
+                    const indexKey = this.getIndexKey(collectionName, indexName);
+                    const entries = [];
+                    for (const key of keys) {
+                        entries.push([key, await this.client.sMembers(`${indexKey}:${key}`)]);
+                    }
+                    return { metadata: EJSON.parse(metadata), entries };
+                }
+            } catch (error) {
+                this.disable(error);
+            }
+        }
+
+        return await super.readKeys(collectionName, indexName, keys);
+    }
+
+    async writeIndex(collectionName, metadata, entries) {
+        await super.writeIndex(collectionName, metadata, entries);
+
+        if (this.available) {
+            try {
+                await this.mirrorIndex(collectionName, metadata, entries);
+            } catch (error) {
+                this.disable(error);
+            }
+        } else {
+            this.forgetIndex(collectionName, metadata.name);
+        }
+    }
+
+    async updateEntries(collectionName, indexName, changes) {
+        await super.updateEntries(collectionName, indexName, changes);
+
+        if (!this.available) {
+            this.forgetIndex(collectionName, indexName);
+            return;
+        }
+        const indexKey = this.getIndexKey(collectionName, indexName);
+        try {
+            for (const [key, id] of changes.remove || []) {
+                await this.client.sRem(`${indexKey}:${key}`, id);
+                if (await this.client.sCard(`${indexKey}:${key}`) === 0) {
+                    await this.client.sRem(indexKey, key);
+                }
+            }
+            for (const [key, id] of changes.add || []) {
+                await this.client.sAdd(`${indexKey}:${key}`, id);
+                await this.client.sAdd(indexKey, key);
+            }
+        } catch (error) {
+            this.disable(error);
+        }
+    }
+
+    async dropIndex(collectionName, indexName) {
+        await super.dropIndex(collectionName, indexName);
+
+        if (this.available) {
+            try {
+                await this.clearIndex(collectionName, indexName);
+            } catch (error) {
+                this.disable(error);
+            }
+        } else {
+            this.forgetIndex(collectionName, indexName);
+        }
+    }
+
+    // Сравнивает копию в Redis с файлами и перестраивает расходящиеся индексы;
+    // индексы, которых нет в файлах, удаляются из Redis
+    async checkConsistency(collectionNames) {
+        const report = { checked: 0, repaired: [] };
+        if (!this.available) return report;
+
+        try {
+            const known = new Set();
+            for (const collectionName of collectionNames) {
+                for (const metadata of await this.listIndexes(collectionName)) {
+                    known.add(this.getMetaField(collectionName, metadata.name));
+                    const indexData = await this.readIndex(collectionName, metadata.name);
+                    if (!indexData) continue;
+
+                    report.checked++;
+                    if (!(await this.isMirrored(collectionName, indexData))) {
+                        this.database.warn(`⚠️ Redis index ${collectionName}.${metadata.name} differs from file, rebuilding`);
+                        await this.mirrorIndex(collectionName, indexData.metadata, indexData.entries);
+                        report.repaired.push(`${collectionName}.${metadata.name}`);
+                    }
+                }
+            }
+
+            const stored = await this.client.hGetAll(this.getMetaKey());
+            for (const [field, value] of Object.entries(stored)) {
+                if (known.has(field)) continue;
+                const metadata = EJSON.parse(value);
+                await this.clearIndex(metadata.collection, metadata.name);
+                report.repaired.push(`${metadata.collection}.${metadata.name}`);
+            }
+        } catch (error) {
+            this.disable(error);
+        }
+
+        return report;
+    }
+
+    async isMirrored(collectionName, indexData) {
+        const { metadata, entries } = indexData;
+        const stored = await this.client.hGet(this.getMetaKey(), this.getMetaField(collectionName, metadata.name));
+        if (stored !== EJSON.stringify(metadata, { relaxed: false })) return false;
+
+        const indexKey = this.getIndexKey(collectionName, metadata.name);
+        const keys = await this.client.sMembers(indexKey);
+        if (keys.length !== entries.length) return false;
+
+        for (const [key, ids] of entries) {
+            const members = await this.client.sMembers(`${indexKey}:${key}`);
+            const expected = new Set(ids);
+            if (members.length !== expected.size || !members.every(id => expected.has(id))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    async mirrorIndex(collectionName, metadata, entries) {
+        await this.clearIndex(collectionName, metadata.name);
+
+        const indexKey = this.getIndexKey(collectionName, metadata.name);
+        for (const [key, ids] of entries) {
+            await this.client.sAdd(`${indexKey}:${key}`, ids);
+        }
+        if (entries.length > 0) {
+            await this.client.sAdd(indexKey, entries.map(([key]) => key));
+        }
+        await this.client.hSet(
+            this.getMetaKey(),
+            this.getMetaField(collectionName, metadata.name),
+            EJSON.stringify(metadata, { relaxed: false })
+        );
+    }
+
+    async clearIndex(collectionName, indexName) {
+        const indexKey = this.getIndexKey(collectionName, indexName);
+        const keys = await this.client.sMembers(indexKey);
+        await this.client.del([indexKey, ...keys.map(key => `${indexKey}:${key}`)]);
+        await this.client.hDel(this.getMetaKey(), this.getMetaField(collectionName, indexName));
+    }
+
+    getMetaKey() {
+        return `db:${this.database.name}:indexes`;
+    }
+
+    getMetaField(collectionName, indexName) {
+        return `${collectionName}:${indexName}`;
+    }
+
+    getIndexKey(collectionName, indexName) {
+        return `index:${this.database.name}:${collectionName}:${indexName}`;
+    }
+}
+
+module.exports = RedisIndexBackend;
@@ -1,7 +1,12 @@
 const express = require('express');
 const path = require('path');
+const { EJSON } = require('bson');
 const Database = require('./Database');
 const WorkerManager = require('./WorkerManager');
+const { BsonDBError } = require('./Errors');
+
+// Период комментария-пинга в потоке событий, чтобы прокси не закрывали соединение, мс
+const SSE_HEARTBEAT_INTERVAL = 15000;
 
 class Server {
   constructor(options) {
@@ -14,6 +19,14 @@ class Server {
       encryptionKey: 'default-encryption-key',
       ...options
     };
+    // Индексы в памяти видны только своему потоку: рабочие потоки и основной
+    // поток не видели бы индексов друг друга
+    if (this.options.indexBackend === 'memory' && this.options.threadCount > 1) {
+      throw new BsonDBError(
+        'The memory index backend keeps indexes inside one thread; run with a single thread (--thread 1) or use the file or redis backend',
+        'BAD_OPTIONS'
+      );
+    }
     this.app = express();
     this.server = null;
     this.workerManager = new WorkerManager(this.options);
@@ -29,6 +42,7 @@ class Server {
     this.app.post('/api/db/:dbName/connect', this.connectDatabase.bind(this));
     this.app.post('/api/db/:dbName/disconnect', this.disconnectDatabase.bind(this));
     this.app.get('/api/db/:dbName/stats', this.getDatabaseStats.bind(this));
+    this.app.get('/api/db/:dbName/watch', this.watchChanges.bind(this));
 
     // Collection endpoints
     this.app.post('/api/db/:dbName/collection/:collectionName', this.createCollection.bind(this));
@@ -40,6 +54,8 @@ class Server {
     this.app.get('/api/db/:dbName/collection/:collectionName/findOne', this.findOneDocument.bind(this));
     this.app.put('/api/db/:dbName/collection/:collectionName/update', this.updateDocuments.bind(this));
     this.app.delete('/api/db/:dbName/collection/:collectionName/delete', this.deleteDocuments.bind(this));
+    this.app.post('/api/db/:dbName/collection/:collectionName/aggregate', this.aggregateDocuments.bind(this));
+    this.app.get('/api/db/:dbName/collection/:collectionName/watch', this.watchChanges.bind(this));
 
     // Index endpoints
     this.app.post('/api/db/:dbName/collection/:collectionName/index', this.createIndex.bind(this));
@@ -78,6 +94,10 @@ class Server {
   }
 
   async findDocuments(req, res) {
+    if (req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson') {
+      return await this.streamDocuments(req, res);
+    }
+
     try {
       const { dbName, collectionName } = req.params;
       
@@ -85,7 +105,7 @@ class Server {
         dbName,
         collectionName,
         query: req.body.query,
-        options: req.body.options,
+        findOptions: this.getFindOptions(req.body),
         options: this.options
       });
 
@@ -95,6 +115,82 @@ class Server {
     }
   }
 
+  // Accept: application/x-ndjson - один документ на строку, по мере чтения курсора.
+  // Ошибка после начала ответа передается последней строкой { "error": ... }.
+  // Следующие документы читаются, когда клиент принял предыдущие; отключение
+  // клиента прекращает задачу
+  async streamDocuments(req, res) {
+    const { dbName, collectionName } = req.params;
+    const controller = new AbortController();
+    // Отключение клиента видно по 'close' ответа до его завершения; 'close' запроса
+    // приходит уже после чтения тела
+    const onClose = () => {
+      if (!res.writableFinished) {
+        controller.abort(new BsonDBError('Client closed the connection', 'STREAM_CANCELLED'));
+      }
+    };
+    res.once('close', onClose);
+
+    try {
+      await this.workerManager.streamTask('find', {
+        dbName,
+        collectionName,
+        query: req.body.query,
+        findOptions: this.getFindOptions(req.body),
+        options: this.options
+      }, async (documents) => {
+        if (!res.headersSent) {
+          res.status(200).type('application/x-ndjson');
+        }
+        const chunk = documents.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+        if (!res.write(chunk)) {
+          await this.waitForDrain(res, controller.signal);
+        }
+      }, controller.signal);
+
+      if (!res.headersSent) {
+        res.status(200).type('application/x-ndjson');
+      }
+      res.end();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        res.destroy();
+      } else if (res.headersSent) {
+        res.end(JSON.stringify({ error: error.message }) + '\n');
+      } else {
+        res.status(500).json({ error: error.message });
+      }
+    } finally {
+      res.off('close', onClose);
+    }
+  }
+
+  // Ждет 'drain' ответа; отмена (клиент отключился) прерывает ожидание
+  waitForDrain(res, signal) {
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        res.off('drain', onDrain);
+        reject(signal.reason);
+      };
+      if (signal.aborted) return reject(signal.reason);
+      res.once('drain', onDrain);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Параметры find из тела запроса: { options: { sort, limit, ... }, projection }
+  getFindOptions(body) {
+    const findOptions = { ...(body.options || {}) };
+    if (body.projection) {
+      findOptions.projection = body.projection;
+    }
+    return findOptions;
+  }
+
   async updateDocuments(req, res) {
     try {
       const { dbName, collectionName } = req.params;
@@ -104,12 +200,21 @@ class Server {
         collectionName,
         query: req.body.query,
         update: req.body.update,
-        options: req.body.options,
+        updateOptions: req.body.options,
         options: this.options
       });
 
       res.json({ status: 'updated', result });
     } catch (error) {
+      // Документ изменен после чтения клиентом (ifVersion)
+      if (error.code === 'VERSION_CONFLICT') {
+        return res.status(409).json({
+          error: error.message,
+          code: error.code,
+          expectedVersion: error.expectedVersion,
+          actualVersion: error.actualVersion
+        });
+      }
       res.status(500).json({ error: error.message });
     }
   }
@@ -132,6 +237,23 @@ class Server {
     }
   }
 
+  async aggregateDocuments(req, res) {
+    try {
+      const { dbName, collectionName } = req.params;
+
+      const results = await this.workerManager.executeTask('aggregate', {
+        dbName,
+        collectionName,
+        pipeline: req.body.pipeline,
+        options: this.options
+      });
+
+      res.json({ results, count: results.length });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   // Остальные методы остаются без изменений...
   async connectDatabase(req, res) {
     try {
@@ -184,6 +306,58 @@ class Server {
     }
   }
 
+  // Server-Sent Events: событие изменения с id = resume token, event = operationType
+  // и data = EJSON. Фильтр передается в ?filter= (EJSON); переподключившийся клиент
+  // присылает Last-Event-ID и получает пропущенные события
+  async watchChanges(req, res) {
+    let stream;
+    try {
+      const { dbName, collectionName } = req.params;
+      const db = this.databases.get(dbName);
+
+      if (!db) {
+        return res.status(404).json({ error: 'Database not found' });
+      }
+
+      const filter = req.query.filter ? EJSON.parse(req.query.filter) : {};
+      const options = {
+        resumeAfter: req.get('Last-Event-ID') || req.query.resumeAfter,
+        fullDocument: req.query.fullDocument
+      };
+
+      if (collectionName) {
+        const collection = db.collection(collectionName);
+        if (!collection) {
+          return res.status(404).json({ error: 'Collection not found' });
+        }
+        stream = collection.watch(filter, options);
+      } else {
+        stream = db.watch(filter, options);
+      }
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    stream.on('change', (change) => {
+      res.write(`id: ${change._id._data}\nevent: ${change.operationType}\ndata: ${EJSON.stringify(change)}\n\n`);
+    });
+    stream.once('close', () => {
+      clearInterval(heartbeat);
+      res.end();
+    });
+    req.on('close', () => stream.close());
+  }
+
   async createCollection(req, res) {
     try {
       const { dbName, collectionName } = req.params;
@@ -231,7 +405,7 @@ class Server {
       }
 
       const { query } = req.body;
-      const result = await collection.findOne(query || {});
+      const result = await collection.findOne(query || {}, this.getFindOptions(req.body));
       
       res.json({ result });
     } catch (error) {
@@ -352,6 +526,13 @@ class Server {
   }
 
   async stop() {
+    // Открытые потоки событий иначе не дают серверу закрыться
+    for (const db of this.databases.values()) {
+      for (const stream of [...db.changeStreams]) {
+        stream.close();
+      }
+    }
+
     if (this.server) {
       await new Promise((resolve) => {
         this.server.close(resolve);
@@ -0,0 +1,148 @@
+const { ObjectId, serialize } = require('bson');
+const { TransactionError, WriteConflictError } = require('./Errors');
+
+class Session {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.options = {
+            maxCommitRetries: 3,
+            ...options
+        };
+        this.id = new ObjectId();
+        this.transaction = null;
+        this.hasEnded = false;
+    }
+
+    inTransaction() {
+        return this.transaction !== null;
+    }
+
+    startTransaction() {
+        if (this.hasEnded) {
+            throw new TransactionError('Cannot start a transaction on an ended session');
+        }
+        if (this.transaction) {
+            throw new TransactionError('Transaction already in progress');
+        }
+
+        this.transaction = {
+            id: new ObjectId().toHexString(),
+            collections: new Map()
+        };
+    }
+
+    async commitTransaction() {
+        if (!this.transaction) {
+            throw new TransactionError('No transaction in progress');
+        }
+
+        const transaction = this.transaction;
+        this.transaction = null;
+        await this.database.commitTransaction(transaction);
+    }
+
+    async abortTransaction() {
+        if (!this.transaction) {
+            throw new TransactionError('No transaction in progress');
+        }
+
+        // Изменения транзакции существуют только в памяти сессии
+        this.transaction = null;
+    }
+
+    // Выполняет fn в транзакции: фиксирует при успехе, откатывает при ошибке.
+    // При конфликте записи с другой транзакцией fn выполняется заново
+    async withTransaction(fn) {
+        for (let attempt = 0; ; attempt++) {
+            this.startTransaction();
+
+            let result;
+            try {
+                result = await fn(this);
+            } catch (error) {
+                if (this.transaction) {
+                    await this.abortTransaction();
+                }
+                throw error;
+            }
+
+            try {
+                if (this.transaction) {
+                    await this.commitTransaction();
+                }
+                return result;
+            } catch (error) {
+                if (!(error instanceof WriteConflictError) || attempt >= this.options.maxCommitRetries) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    endSession() {
+        this.transaction = null;
+        this.hasEnded = true;
+    }
+
+    getStaged(collection) {
+        if (!this.transaction) return null;
+        return this.transaction.collections.get(collection.name) || null;
+    }
+
+    // Накладывает неподтвержденные изменения транзакции на зафиксированные документы
+    applyStaged(collection, documents) {
+        const staged = this.getStaged(collection);
+        if (!staged) return documents;
+
+        const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+        for (const [id, doc] of staged.docs) {
+            if (doc) {
+                byId.set(id, doc);
+            } else {
+                byId.delete(id);
+            }
+        }
+        return Array.from(byId.values());
+    }
+
+    stage(collection, { inserts = [], updates = [], deletes = [] }) {
+        if (!this.transaction) {
+            throw new TransactionError('No transaction in progress');
+        }
+        if (collection.database !== this.database) {
+            throw new TransactionError('Session belongs to another database');
+        }
+
+        let staged = this.transaction.collections.get(collection.name);
+        if (!staged) {
+            staged = { collection, docs: new Map(), base: new Map() };
+            this.transaction.collections.set(collection.name, staged);
+        }
+
+        // base хранит состояние документа до первого изменения в транзакции,
+        // по нему при фиксации обнаруживаются конфликты с другими записями
+        const touch = (id, committedDoc) => {
+            if (!staged.base.has(id)) {
+                staged.base.set(id, committedDoc ? serialize(committedDoc) : null);
+            }
+        };
+
+        for (const doc of inserts) {
+            const id = doc._id.toString();
+            touch(id, null);
+            staged.docs.set(id, doc);
+        }
+        for (const { oldDoc, newDoc } of updates) {
+            const id = newDoc._id.toString();
+            touch(id, oldDoc);
+            staged.docs.set(id, newDoc);
+        }
+        for (const doc of deletes) {
+            const id = doc._id.toString();
+            touch(id, doc);
+            staged.docs.set(id, null);
+        }
+    }
+}
+
+module.exports = Session;
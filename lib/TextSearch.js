@@ -0,0 +1,190 @@
+const { getPathValues, expandValues, isPlainObject } = require('./DocumentUtils');
+const { QueryError } = require('./Errors');
+
+// Полнотекстовый поиск: разбиение на слова, стоп-слова и упрощенный стемминг.
+// Язык определяется по каждому слову: кириллица - русский, остальное - английский.
+// Один и тот же разбор применяется к документам при построении текстового
+// индекса и к строке $search, поэтому точность стемминга важна меньше, чем
+// его согласованность
+
+const STOP_WORDS = new Set([
+    // English
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'had', 'has',
+    'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or',
+    'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+    // Русский
+    'а', 'без', 'бы', 'был', 'была', 'были', 'было', 'быть', 'в', 'вам', 'вас', 'во', 'вот', 'все',
+    'всех', 'вы', 'где', 'да', 'для', 'до', 'его', 'ее', 'ей', 'если', 'есть', 'еще', 'же', 'за',
+    'и', 'из', 'или', 'им', 'их', 'к', 'как', 'ко', 'когда', 'кто', 'ли', 'мы', 'на', 'над', 'нас',
+    'не', 'него', 'нее', 'нет', 'ни', 'но', 'о', 'об', 'он', 'она', 'они', 'оно', 'от', 'по', 'под',
+    'при', 'про', 'с', 'со', 'так', 'также', 'то', 'тоже', 'только', 'у', 'уже', 'что', 'чтобы',
+    'это', 'этот', 'эта', 'эти', 'я'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const CYRILLIC_PATTERN = /[\u0400-\u04ff]/;
+
+// Окончания русских слов, от длинных к коротким
+const RUSSIAN_ENDINGS = [
+    'иями', 'ями', 'ами', 'ими', 'ыми', 'ого', 'его', 'ому', 'ему', 'ешь', 'ишь', 'ете', 'ите',
+    'ала', 'ила', 'ыла', 'ять', 'ать', 'ить', 'еть', 'уть', 'ией', 'иях', 'иям', 'ием',
+    'ая', 'яя', 'ое', 'ее', 'ие', 'ые', 'ой', 'ей', 'ий', 'ый', 'ом', 'ем', 'им', 'ым',
+    'ах', 'ях', 'ам', 'ям', 'ов', 'ев', 'ую', 'юю', 'ою', 'ею', 'их', 'ых',
+    'ия', 'ья', 'ию', 'ью', 'ии', 'ут', 'ют', 'ат', 'ят', 'ет', 'ит',
+    'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й'
+].sort((a, b) => b.length - a.length);
+
+const RUSSIAN_VOWELS = /[аеиоуыэюя]/;
+const ENGLISH_VOWELS = /[aeiouy]/;
+
+function normalizeText(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/ё/g, 'е');
+}
+
+// Окончание снимается, только если основа сохраняет гласную и хотя бы 2 буквы
+function stemRussian(word) {
+    const firstVowel = word.search(RUSSIAN_VOWELS);
+    if (firstVowel === -1) return word;
+
+    let stem = word;
+    for (const reflexive of ['ся', 'сь']) {
+        if (stem.endsWith(reflexive) && stem.length - 2 > firstVowel) {
+            stem = stem.slice(0, -2);
+            break;
+        }
+    }
+
+    for (const ending of RUSSIAN_ENDINGS) {
+        if (stem.endsWith(ending) && stem.length - ending.length > firstVowel && stem.length - ending.length >= 2) {
+            stem = stem.slice(0, -ending.length);
+            break;
+        }
+    }
+
+    if (stem.endsWith('нн')) stem = stem.slice(0, -1);
+    return stem;
+}
+
+function stemEnglish(word) {
+    if (word.length <= 3) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+    else if (stem.endsWith('ies')) stem = stem.slice(0, -3) + 'i';
+    else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+
+    for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly']) {
+        const base = stem.slice(0, -suffix.length);
+        if (stem.endsWith(suffix) && base.length >= 3 && ENGLISH_VOWELS.test(base)) {
+            stem = base;
+            // running -> runn -> run
+            if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+            break;
+        }
+    }
+
+    if (stem.endsWith('y') && stem.length > 3 && !ENGLISH_VOWELS.test(stem[stem.length - 2])) {
+        stem = stem.slice(0, -1) + 'i';
+    }
+    return stem;
+}
+
+function stem(word) {
+    return CYRILLIC_PATTERN.test(word) ? stemRussian(word) : stemEnglish(word);
+}
+
+// Основы значимых слов текста в порядке появления (с повторами)
+function getTerms(text) {
+    const words = normalizeText(text).match(WORD_PATTERN) || [];
+    return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+// Строка $search: слова через пробел (достаточно любого), "фразы" (нужны все)
+// и -слова (документы с ними исключаются)
+function parseSearch(search) {
+    if (typeof search !== 'string') {
+        throw new QueryError('$text requires a $search string');
+    }
+
+    const phrases = [];
+    const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+        const normalized = normalizeText(phrase).replace(/\s+/g, ' ').trim();
+        if (normalized) phrases.push(normalized);
+        return ` ${phrase} `;
+    });
+
+    const terms = new Set();
+    const negated = new Set();
+    for (const token of rest.split(/\s+/)) {
+        if (!token) continue;
+        const target = token.startsWith('-') ? negated : terms;
+        for (const term of getTerms(token.startsWith('-') ? token.slice(1) : token)) {
+            target.add(term);
+        }
+    }
+    for (const term of negated) {
+        terms.delete(term);
+    }
+
+    return { terms: [...terms], negated: [...negated], phrases };
+}
+
+function getFieldStrings(doc, field) {
+    return expandValues(getPathValues(doc, field)).filter(value => typeof value === 'string');
+}
+
+// Основы всех индексируемых полей документа (ключи текстового индекса)
+function getDocumentTerms(doc, fields) {
+    const terms = new Set();
+    for (const field of fields) {
+        for (const text of getFieldStrings(doc, field)) {
+            getTerms(text).forEach(term => terms.add(term));
+        }
+    }
+    return [...terms];
+}
+
+// Релевантность документа: для каждого поля и найденного слова
+// weight * (0.5 + 0.5 * вхождений / слов в поле). 0 - документ не подходит
+function scoreDocument(doc, fields, weights, search) {
+    if (search.terms.length === 0) return 0;
+
+    let score = 0;
+    const texts = [];
+    for (const field of fields) {
+        const weight = weights && weights[field] !== undefined ? weights[field] : 1;
+        for (const text of getFieldStrings(doc, field)) {
+            texts.push(normalizeText(text).replace(/\s+/g, ' '));
+
+            const terms = getTerms(text);
+            if (search.negated.some(term => terms.includes(term))) return 0;
+
+            for (const term of search.terms) {
+                const count = terms.filter(candidate => candidate === term).length;
+                if (count > 0) {
+                    score += weight * (0.5 + 0.5 * count / terms.length);
+                }
+            }
+        }
+    }
+
+    if (!search.phrases.every(phrase => texts.some(text => text.includes(phrase)))) {
+        return 0;
+    }
+    return score;
+}
+
+function isTextScoreMeta(value) {
+    return isPlainObject(value) && value.$meta === 'textScore';
+}
+
+module.exports = {
+    normalizeText,
+    stem,
+    getTerms,
+    parseSearch,
+    getDocumentTerms,
+    scoreDocument,
+    isTextScoreMeta
+};
@@ -1,10 +1,18 @@
 const { parentPort, workerData } = require('worker_threads');
 const Database = require('./Database');
+const { forwardChangesTo } = require('./ChangeStream');
+const { BsonDBError } = require('./Errors');
+
+const STREAM_BATCH_SIZE = 100;
+// Сколько частей потока может ждать подтверждения (ack) главного потока
+const STREAM_WINDOW = 2;
 
 class WorkerThread {
   constructor(options) {
     this.options = options;
     this.databases = new Map();
+    // Потоковые задачи по id: { unacked, cancelled, wake }
+    this.streams = new Map();
   }
 
   async handleMessage(message) {
@@ -20,21 +28,32 @@ class WorkerThread {
           result = await this.insertDocuments(data.dbName, data.collectionName, data.documents, data.options);
           break;
         case 'find':
-          result = await this.findDocuments(data.dbName, data.collectionName, data.query, data.options);
+          result = message.stream
+            ? await this.streamDocuments(id, data.dbName, data.collectionName, data.query, data.findOptions, data.options)
+            : await this.findDocuments(data.dbName, data.collectionName, data.query, data.findOptions, data.options);
           break;
         case 'update':
-          result = await this.updateDocuments(data.dbName, data.collectionName, data.query, data.update, data.options);
+          result = await this.updateDocuments(data.dbName, data.collectionName, data.query, data.update, data.updateOptions, data.options);
           break;
         case 'delete':
           result = await this.deleteDocuments(data.dbName, data.collectionName, data.query, data.multi, data.options);
           break;
+        case 'aggregate':
+          result = await this.aggregateDocuments(data.dbName, data.collectionName, data.pipeline, data.options);
+          break;
         default:
           throw new Error(`Unknown message type: ${type}`);
       }
 
       parentPort.postMessage({ type: 'response', id, result });
     } catch (error) {
-      parentPort.postMessage({ type: 'error', id, error: error.message });
+      // name, code и поля типизированных ошибок (см. Errors) нужны вызывающему,
+      // например для ответа 409 на VersionConflictError
+      parentPort.postMessage({
+        type: 'error',
+        id: message.id,
+        error: { ...error, name: error.name, message: error.message }
+      });
     }
   }
 
@@ -76,7 +95,7 @@ class WorkerThread {
     }
   }
 
-  async findDocuments(dbName, collectionName, query, options) {
+  async findDocuments(dbName, collectionName, query, findOptions, options) {
     let db = this.databases.get(dbName);
     let shouldClose = false;
 
@@ -93,7 +112,7 @@ class WorkerThread {
         throw new Error('Collection not found');
       }
 
-      const results = await collection.find(query || {}, options || {});
+      const results = await collection.find(query || {}, findOptions || {});
       return results;
     } finally {
       if (shouldClose && db) {
@@ -102,7 +121,81 @@ class WorkerThread {
     }
   }
 
-  async updateDocuments(dbName, collectionName, query, update, options) {
+  // Отправляет результаты курсора родителю частями, не собирая их в один массив.
+  // Чтение курсора ждет, пока родитель не подтвердит запись предыдущих частей,
+  // и прекращается по cancel (клиент отключился)
+  async streamDocuments(id, dbName, collectionName, query, findOptions, options) {
+    const stream = { unacked: 0, cancelled: false, wake: null };
+    this.streams.set(id, stream);
+    let db = this.databases.get(dbName);
+    let shouldClose = false;
+
+    try {
+      if (!db) {
+        // Create temporary connection
+        db = new Database(dbName, { ...this.options, ...options });
+        await db.init();
+        shouldClose = true;
+      }
+
+      const collection = db.collection(collectionName);
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      let batch = [];
+      let count = 0;
+      for await (const doc of collection.find(query || {}, findOptions || {})) {
+        batch.push(doc);
+        count++;
+        if (batch.length >= STREAM_BATCH_SIZE) {
+          await this.sendBatch(id, stream, batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await this.sendBatch(id, stream, batch);
+      }
+      return { count };
+    } finally {
+      this.streams.delete(id);
+      if (shouldClose && db) {
+        await db.close();
+      }
+    }
+  }
+
+  async sendBatch(id, stream, documents) {
+    parentPort.postMessage({ type: 'batch', id, documents });
+    stream.unacked++;
+    while (stream.unacked >= STREAM_WINDOW && !stream.cancelled) {
+      await new Promise(resolve => {
+        stream.wake = resolve;
+      });
+    }
+    if (stream.cancelled) {
+      throw new BsonDBError('Stream cancelled', 'STREAM_CANCELLED');
+    }
+  }
+
+  // ack - родитель записал очередную часть; cancel - результат больше не нужен
+  handleStreamControl(message) {
+    const stream = this.streams.get(message.id);
+    if (!stream) return;
+
+    if (message.type === 'ack') {
+      stream.unacked--;
+    } else {
+      stream.cancelled = true;
+    }
+    if (stream.wake) {
+      const wake = stream.wake;
+      stream.wake = null;
+      wake();
+    }
+  }
+
+  async updateDocuments(dbName, collectionName, query, update, updateOptions, options) {
     let db = this.databases.get(dbName);
     let shouldClose = false;
 
@@ -119,9 +212,9 @@ class WorkerThread {
         throw new Error('Collection not found');
       }
 
-      const result = options && options.multi
-        ? await collection.updateMany(query, update)
-        : await collection.updateOne(query, update, options);
+      const result = updateOptions && updateOptions.multi
+        ? await collection.updateMany(query, update, updateOptions)
+        : await collection.updateOne(query, update, updateOptions || {});
 
       return result;
     } finally {
@@ -159,13 +252,45 @@ class WorkerThread {
       }
     }
   }
+
+  async aggregateDocuments(dbName, collectionName, pipeline, options) {
+    let db = this.databases.get(dbName);
+    let shouldClose = false;
+
+    if (!db) {
+      // Create temporary connection
+      db = new Database(dbName, { ...this.options, ...options });
+      await db.init();
+      shouldClose = true;
+    }
+
+    try {
+      const collection = db.collection(collectionName);
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      return await collection.aggregate(pipeline || []);
+    } finally {
+      if (shouldClose && db) {
+        await db.close();
+      }
+    }
+  }
 }
 
 // Initialize worker
 const worker = new WorkerThread(workerData);
 
+// Изменения, сделанные в этом потоке, видны потокам изменений главного потока
+forwardChangesTo(parentPort);
+
 parentPort.on('message', (message) => {
-  worker.handleMessage(message);
+  if (message.type === 'ack' || message.type === 'cancel') {
+    worker.handleStreamControl(message);
+  } else {
+    worker.handleMessage(message);
+  }
 });
 
 // Signal that worker is ready
@@ -1,5 +1,8 @@
 const { Worker } = require('worker_threads');
 const path = require('path');
+const { publishForwardedChange } = require('./ChangeStream');
+
+const STREAM_BATCH_SIZE = 100;
 
 class WorkerManager {
   constructor(options) {
@@ -29,6 +32,13 @@ class WorkerManager {
         if (message.type === 'ready') {
           this.workers.set(workerId, worker);
           resolve(worker);
+        } else if (message.type === 'change') {
+          publishForwardedChange(message);
+        } else if (message.type === 'batch') {
+          const task = this.pendingTasks.get(message.id);
+          if (task && task.onBatch) {
+            task.onBatch(message.documents);
+          }
         } else if (message.type === 'response' || message.type === 'error') {
           const task = this.pendingTasks.get(message.id);
           if (task) {
@@ -36,7 +46,7 @@ class WorkerManager {
             if (message.type === 'response') {
               task.resolve(message.result);
             } else {
-              task.reject(new Error(message.error));
+              task.reject(Object.assign(new Error(message.error.message), message.error));
             }
           }
         }
@@ -76,6 +86,95 @@ class WorkerManager {
     });
   }
 
+  // Потоковая задача: onBatch получает документы частями по STREAM_BATCH_SIZE.
+  // Поток читает следующие части, только когда onBatch записал предыдущие (ack).
+  // signal (AbortSignal) прекращает задачу с ошибкой signal.reason
+  async streamTask(type, data, onBatch, signal = null) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    if (this.options.threadCount <= 1 || this.workers.size === 0) {
+      return await this.streamDirect(type, data, onBatch, signal);
+    }
+
+    const taskId = this.taskId++;
+    const worker = this.workers.get(taskId % this.workers.size);
+
+    if (!worker) {
+      return await this.streamDirect(type, data, onBatch, signal);
+    }
+
+    return await new Promise((resolve, reject) => {
+      // Части пишутся по очереди, ответ отдается после последней из них
+      let written = Promise.resolve();
+      let settled = false;
+      const onAbort = () => cancel(signal.reason);
+      const settle = () => {
+        if (settled) return false;
+        settled = true;
+        this.pendingTasks.delete(taskId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        return true;
+      };
+      const cancel = (error) => {
+        if (!settle()) return;
+        worker.postMessage({ type: 'cancel', id: taskId });
+        reject(error);
+      };
+
+      this.pendingTasks.set(taskId, {
+        resolve: (result) => {
+          written.then(() => settle() && resolve(result));
+        },
+        reject: (error) => {
+          if (settle()) reject(error);
+        },
+        onBatch: (documents) => {
+          written = written
+            .then(() => settled || onBatch(documents))
+            .then(() => settled || worker.postMessage({ type: 'ack', id: taskId }), cancel);
+        }
+      });
+      if (signal) signal.addEventListener('abort', onAbort);
+      worker.postMessage({ type, data, id: taskId, stream: true });
+    });
+  }
+
+  async streamDirect(type, data, onBatch, signal = null) {
+    if (type !== 'find') {
+      throw new Error(`Task type cannot be streamed: ${type}`);
+    }
+
+    const Database = require('./Database');
+    const db = new Database(data.dbName, data.options);
+    await db.init();
+
+    try {
+      const collection = db.collection(data.collectionName);
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      let batch = [];
+      let count = 0;
+      for await (const doc of collection.find(data.query || {}, data.findOptions || {})) {
+        batch.push(doc);
+        count++;
+        if (batch.length >= STREAM_BATCH_SIZE) {
+          if (signal && signal.aborted) throw signal.reason;
+          await onBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await onBatch(batch);
+      }
+      return { count };
+    } finally {
+      await db.close();
+    }
+  }
+
   async executeDirect(type, data) {
     // Direct execution for single-threaded mode
     const db = require('./Database');
@@ -97,18 +196,20 @@ class WorkerManager {
         const findDb = new db(data.dbName, data.options);
         await findDb.init();
         const findCollection = findDb.collection(data.collectionName);
-        const findResults = await findCollection.find(data.query || {}, data.options || {});
+        const findResults = await findCollection.find(data.query || {}, data.findOptions || {});
         await findDb.close();
         return findResults;
       case 'update':
         const updateDb = new db(data.dbName, data.options);
         await updateDb.init();
         const updateCollection = updateDb.collection(data.collectionName);
-        const updateResult = data.options && data.options.multi
-          ? await updateCollection.updateMany(data.query, data.update)
-          : await updateCollection.updateOne(data.query, data.update, data.options);
-        await updateDb.close();
-        return updateResult;
+        try {
+          return data.updateOptions && data.updateOptions.multi
+            ? await updateCollection.updateMany(data.query, data.update, data.updateOptions)
+            : await updateCollection.updateOne(data.query, data.update, data.updateOptions || {});
+        } finally {
+          await updateDb.close();
+        }
       case 'delete':
         const deleteDb = new db(data.dbName, data.options);
         await deleteDb.init();
@@ -118,6 +219,17 @@ class WorkerManager {
           : await deleteCollection.deleteOne(data.query);
         await deleteDb.close();
         return deleteResult;
+      case 'aggregate':
+        const aggregateDb = new db(data.dbName, data.options);
+        await aggregateDb.init();
+        const aggregateCollection = aggregateDb.collection(data.collectionName);
+        if (!aggregateCollection) {
+          await aggregateDb.close();
+          throw new Error('Collection not found');
+        }
+        const aggregateResults = await aggregateCollection.aggregate(data.pipeline || []);
+        await aggregateDb.close();
+        return aggregateResults;
       default:
         throw new Error(`Unknown task type: ${type}`);
     }
@@ -1,6 +1,61 @@
 const bsondb = require('../index');
+const Server = require('../lib/Server');
+const WorkerManager = require('../lib/WorkerManager');
+const LockManager = require('../lib/LockManager');
 const fs = require('fs').promises;
 const path = require('path');
+const assert = require('assert');
+const crypto = require('crypto');
+const { ObjectId, serialize, EJSON } = require('bson');
+
+// Заглушка клиента node-redis в памяти для бэкенда индексов 'redis'
+function createRedisMock() {
+  const hashes = new Map();
+  const sets = new Map();
+  const toArray = value => (Array.isArray(value) ? value : [value]);
+
+  return {
+    hashes,
+    sets,
+    isOpen: false,
+    async connect() { this.isOpen = true; },
+    async quit() { this.isOpen = false; },
+    async hSet(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, value);
+    },
+    async hGet(key, field) {
+      return hashes.has(key) ? hashes.get(key).get(field) : undefined;
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+    async hDel(key, field) {
+      if (hashes.has(key)) hashes.get(key).delete(field);
+    },
+    async sAdd(key, members) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      toArray(members).forEach(member => sets.get(key).add(member));
+    },
+    async sRem(key, members) {
+      if (!sets.has(key)) return;
+      toArray(members).forEach(member => sets.get(key).delete(member));
+      if (sets.get(key).size === 0) sets.delete(key);
+    },
+    async sMembers(key) {
+      return [...(sets.get(key) || [])];
+    },
+    async sCard(key) {
+      return sets.has(key) ? sets.get(key).size : 0;
+    },
+    async del(keys) {
+      toArray(keys).forEach(key => {
+        sets.delete(key);
+        hashes.delete(key);
+      });
+    }
+  };
+}
 
 async function runTests() {
   console.log('Starting BsonDB tests...\n');
@@ -112,13 +167,1216 @@ async function runTests() {
     const modelUsers = await User.find({ age: { $gt: 20 } });
     console.log(`✓ Model found ${modelUsers.length} users`);
 
-    // Test 11: Database stats
-    console.log('11. Testing database statistics...');
+    // Test 11: Index-backed queries
+    console.log('11. Testing index-backed queries...');
+    const emailPlan = await usersCollection.find({ email: 'model@example.com' }, { explain: true });
+    assert.strictEqual(emailPlan.strategy, 'IXSCAN');
+    assert.strictEqual(emailPlan.index, 'email');
+    assert.strictEqual(emailPlan.docsExamined, 1);
+    assert.strictEqual(emailPlan.nReturned, 1);
+
+    const prefixPlan = await usersCollection.find({ name: { $in: ['Jane Smith', 'Model User'] } }, { explain: true });
+    assert.strictEqual(prefixPlan.index, 'name_age');
+    assert.strictEqual(prefixPlan.nReturned, 2);
+
+    const scanPlan = await usersCollection.find({ age: { $gt: 20 } }, { explain: true });
+    assert.strictEqual(scanPlan.strategy, 'COLLSCAN');
+    assert.strictEqual(await usersCollection.count({ email: 'jane@example.com' }), 1);
+    console.log(`✓ Query planner used index ${emailPlan.index}, examined ${emailPlan.docsExamined} document(s)`);
+
+    // Test 12: Operation log replay and compaction
+    console.log('12. Testing operation log...');
+    const logDbOptions = { dataPath: './test-data', compactionThreshold: 3 };
+    const logDb = new bsondb.Database('logdb', logDbOptions);
+    await logDb.init();
+    const events = await logDb.createCollection('events');
+    for (let i = 0; i < 4; i++) {
+      await events.insertOne({ n: i });
+    }
+    await events.updateOne({ n: 3 }, { $set: { seen: true } });
+    await events.deleteOne({ n: 0 });
+    assert.strictEqual(events.logRecordCount, 0);
+    await logDb.close();
+
+    const reopenedLogDb = new bsondb.Database('logdb', logDbOptions);
+    await reopenedLogDb.init();
+    const reopenedEvents = reopenedLogDb.collection('events');
+    assert.strictEqual(await reopenedEvents.count(), 3);
+    assert.strictEqual((await reopenedEvents.findOne({ n: 3 })).seen, true);
+    // Поиск по индексу разбирает только найденные документы, включая измененные в журнале
+    const lastEvent = await reopenedEvents.findOne({ n: 3 });
+    await reopenedEvents.updateOne({ _id: lastEvent._id }, { $set: { seen: false } });
+    const eventsById = await reopenedEvents.loadDocumentsById([lastEvent._id.toString()]);
+    assert.deepStrictEqual(eventsById.map(doc => [doc.n, doc.seen]), [[3, false]]);
+    const idPlan = await reopenedEvents.find({ _id: lastEvent._id }, { explain: true });
+    assert.strictEqual(idPlan.strategy, 'IXSCAN');
+    assert.strictEqual(idPlan.docsExamined, 1);
+
+    // Изменения индексов пишутся в журнал, а не в файлы индексов, и сворачиваются при сжатии
+    await reopenedEvents.createIndex('n');
+    const nIndexFile = path.join(reopenedEvents.collectionPath, '_index_n.bson');
+    const nIndexData = await fs.readFile(nIndexFile);
+    await reopenedEvents.insertOne({ n: 7 });
+    assert.ok((await fs.readFile(nIndexFile)).equals(nIndexData));
+    const otherLogDb = new bsondb.Database('logdb', logDbOptions);
+    await otherLogDb.init();
+    const nPlan = await otherLogDb.collection('events').find({ n: 7 }, { explain: true });
+    assert.strictEqual(nPlan.index, 'n');
+    assert.strictEqual(nPlan.nReturned, 1);
+    await reopenedEvents.compact();
+    assert.ok(!(await fs.readFile(nIndexFile)).equals(nIndexData));
+    assert.strictEqual((await otherLogDb.collection('events').find({ n: { $gte: 3 } }).toArray()).length, 2);
+    await otherLogDb.close();
+    console.log('✓ Operation log replayed and compacted');
+
+    // Поврежденный файл коллекции должен давать ошибку, а не пустую коллекцию
+    await fs.writeFile(reopenedEvents.dataFile, Buffer.from('not a bson document'));
+    await assert.rejects(() => reopenedEvents.find().toArray(), bsondb.CorruptionError);
+    await assert.rejects(() => reopenedEvents.compact(), bsondb.CorruptionError);
+    const damaged = await fs.readFile(reopenedEvents.dataFile, 'utf8');
+    assert.strictEqual(damaged, 'not a bson document');
+    await reopenedLogDb.close();
+    console.log('✓ Corrupted data file detected and left untouched');
+
+    // Test 13: Multi-document transactions
+    console.log('13. Testing transactions...');
+    const shopDb = new bsondb.Database('shopdb', { dataPath: './test-data' });
+    await shopDb.init();
+    const orders = await shopDb.createCollection('orders');
+    const products = await shopDb.createCollection('products');
+    await products.insertOne({ sku: 'A1', stock: 5 });
+
+    const session = shopDb.startSession();
+    await session.withTransaction(async () => {
+      await orders.insertOne({ sku: 'A1', qty: 2 }, { session });
+      await products.updateOne({ sku: 'A1' }, { $inc: { stock: -2 } }, { session });
+      assert.strictEqual(await orders.count({}, { session }), 1);
+      assert.strictEqual(await orders.count(), 0);
+    });
+    assert.strictEqual(await orders.count(), 1);
+    assert.strictEqual((await products.findOne({ sku: 'A1' })).stock, 3);
+
+    await assert.rejects(() => session.withTransaction(async () => {
+      await orders.insertOne({ sku: 'A1', qty: 1 }, { session });
+      throw new Error('payment declined');
+    }), /payment declined/);
+    assert.strictEqual(await orders.count(), 1);
+
+    // Сбой посреди фиксации: журнал транзакции доприменяется при следующем открытии
+    products.applyTransaction = async () => { throw new Error('simulated crash'); };
+    await assert.rejects(() => session.withTransaction(async () => {
+      await orders.insertOne({ sku: 'A1', qty: 3 }, { session });
+      await products.updateOne({ sku: 'A1' }, { $inc: { stock: -3 } }, { session });
+    }), /simulated crash/);
+    session.endSession();
+    await shopDb.close();
+
+    const recoveredShopDb = new bsondb.Database('shopdb', { dataPath: './test-data' });
+    await recoveredShopDb.init();
+    assert.strictEqual(await recoveredShopDb.collection('orders').count(), 2);
+    assert.strictEqual((await recoveredShopDb.collection('products').findOne({ sku: 'A1' })).stock, 0);
+
+    // Журнал еще фиксируемой транзакции не доприменяется: восстановление ждет ее блокировок
+    const recoveredProducts = recoveredShopDb.collection('products');
+    const applyProducts = recoveredProducts.applyTransaction.bind(recoveredProducts);
+    let finishCommit;
+    const commitPaused = new Promise(resolve => { finishCommit = resolve; });
+    recoveredProducts.applyTransaction = async (...args) => {
+      await commitPaused;
+      return await applyProducts(...args);
+    };
+    const waitingShopDb = new bsondb.Database('shopdb', { dataPath: './test-data' });
+    await waitingShopDb.init();
+    const productRecords = (await recoveredProducts.readLog()).length;
+    const liveSession = recoveredShopDb.startSession();
+    const liveCommit = liveSession.withTransaction(async () => {
+      await recoveredProducts.updateOne({ sku: 'A1' }, { $set: { stock: 10 } }, { session: liveSession });
+    });
+    while (!(await fs.readdir(recoveredShopDb.dbPath)).some(file => file.startsWith('_txn_'))) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    let recovered = false;
+    const recovery = waitingShopDb.recoverTransactions().then(() => { recovered = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(recovered, false);
+    finishCommit();
+    await liveCommit;
+    await recovery;
+    assert.strictEqual((await waitingShopDb.collection('products').findOne({ sku: 'A1' })).stock, 10);
+    assert.strictEqual((await recoveredProducts.readLog()).length, productRecords + 1);
+    liveSession.endSession();
+    await waitingShopDb.close();
+    await recoveredShopDb.close();
+    console.log('✓ Transactions committed, rolled back and recovered');
+
+    // Test 14: Concurrent writes are serialized
+    console.log('14. Testing concurrent writes...');
+    const counterDbA = new bsondb.Database('counterdb', { dataPath: './test-data' });
+    const counterDbB = new bsondb.Database('counterdb', { dataPath: './test-data' });
+    await counterDbA.init();
+    const countersA = await counterDbA.createCollection('counters');
+    await countersA.insertOne({ name: 'hits', value: 0 });
+    await counterDbB.init();
+    const countersB = counterDbB.collection('counters');
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      (i % 2 ? countersA : countersB).updateOne({ name: 'hits' }, { $inc: { value: 1 } })
+    ));
+    assert.strictEqual((await countersA.findOne({ name: 'hits' })).value, 20);
+    await counterDbA.close();
+    await counterDbB.close();
+
+    // Брошенную блокировку снимает один ожидающий: опоздавший не удаляет новую
+    const lockManager = new LockManager({ lockStaleAfter: 1000 });
+    const lockPath = path.join('./test-data', 'counterdb', 'counters', '.lock');
+    const deadOwner = JSON.stringify({ pid: 2147483647, threadId: 0, acquiredAt: 0 });
+    await fs.writeFile(lockPath, deadOwner);
+    const releaseLock = await lockManager.acquireFile(lockPath);
+    const freshOwner = await fs.readFile(lockPath, 'utf8');
+    assert.notStrictEqual(freshOwner, deadOwner);
+    assert.strictEqual(await lockManager.removeLock(lockPath, deadOwner), false);
+    assert.strictEqual(await fs.readFile(lockPath, 'utf8'), freshOwner);
+    await releaseLock();
+    assert.ok(!(await fs.readdir(path.dirname(lockPath))).some(file => file.startsWith('.lock')));
+    console.log('✓ No concurrent update was lost');
+
+    // Test 15: Document cache
+    console.log('15. Testing document cache...');
+    const cachedDb = new bsondb.Database('cachedb', { dataPath: './test-data', cacheSize: 1024 * 1024 });
+    await cachedDb.init();
+    const metrics = await cachedDb.createCollection('metrics');
+    await metrics.insertMany([{ name: 'cpu', points: [1] }, { name: 'ram', points: [2] }]);
+    await metrics.find();
+    const cachedCpu = await metrics.findOne({ name: 'cpu' });
+    cachedCpu.points.push(99);
+    assert.deepStrictEqual((await metrics.findOne({ name: 'cpu' })).points, [1]);
+    assert.ok(cachedDb.documentCache.stats().hits > 0);
+
+    // Запись из другого экземпляра базы сбрасывает кэш
+    const writerDb = new bsondb.Database('cachedb', { dataPath: './test-data' });
+    await writerDb.init();
+    await writerDb.collection('metrics').updateOne({ name: 'ram' }, { $push: { points: 3 } });
+    assert.deepStrictEqual((await metrics.findOne({ name: 'ram' })).points, [2, 3]);
+    await writerDb.close();
+    await cachedDb.close();
+    console.log('✓ Cache served reads and picked up external writes');
+
+    // Test 16: Dot-notation and array-aware queries
+    console.log('16. Testing nested and array queries...');
+    const customers = await db.createCollection('customers');
+    const [, oslo] = await customers.insertMany([
+      { name: 'A', address: { city: 'Riga', zip: 1001 }, tags: ['admin', 'vip'], items: [{ sku: 'x1', qty: 2 }] },
+      { name: 'B', address: { city: 'Oslo', zip: 2002 }, tags: ['user'], items: [{ sku: 'y2', qty: 5 }, { sku: 'x1', qty: 1 }] }
+    ]);
+    assert.strictEqual((await customers.findOne({ 'address.city': 'Riga' })).name, 'A');
+    assert.strictEqual((await customers.findOne({ tags: 'admin' })).name, 'A');
+    assert.strictEqual(await customers.count({ 'items.sku': 'x1' }), 2);
+    assert.strictEqual((await customers.findOne({ 'items.0.sku': 'y2' })).name, 'B');
+    assert.strictEqual(await customers.count({ 'items.qty': { $gte: 5 } }), 1);
+    assert.strictEqual((await customers.findOne({ _id: new ObjectId(oslo._id.toHexString()) })).name, 'B');
+    const byZip = await customers.find({}, { sort: { 'address.zip': -1 } });
+    assert.deepStrictEqual(byZip.map(c => c.name), ['B', 'A']);
+    await customers.createIndex('tags');
+    const tagPlan = await customers.find({ tags: 'vip' }, { explain: true });
+    assert.strictEqual(tagPlan.index, 'tags');
+    assert.strictEqual(tagPlan.nReturned, 1);
+    console.log('✓ Nested paths, arrays and ObjectId equality matched');
+
+    // Test 17: Extended query operators
+    console.log('17. Testing query operators...');
+    assert.strictEqual(await customers.count({ 'address.zip': { $exists: true } }), 2);
+    assert.strictEqual(await customers.count({ phone: { $exists: false } }), 2);
+    assert.strictEqual(await customers.count({ 'address.zip': { $type: 'number' } }), 2);
+    assert.strictEqual(await customers.count({ tags: { $all: ['admin', 'vip'] } }), 1);
+    assert.strictEqual(await customers.count({ items: { $elemMatch: { sku: 'x1', qty: { $lt: 2 } } } }), 1);
+    assert.strictEqual(await customers.count({ items: { $size: 2 } }), 1);
+    assert.strictEqual(await customers.count({ name: { $not: { $regex: '^a$', $options: 'i' } } }), 1);
+    assert.strictEqual(await customers.count({ $nor: [{ name: 'A' }, { name: 'C' }] }), 1);
+    assert.strictEqual(await customers.count({ 'address.zip': { $mod: [1000, 2] } }), 1);
+    await assert.rejects(() => customers.find({ name: { $exist: true } }).toArray(), bsondb.QueryError);
+    console.log('✓ Extended query operators matched; unknown operators rejected');
+
+    // Test 18: Update operators and positional array updates
+    console.log('18. Testing update operators...');
+    const riga = await customers.updateOne({ name: 'A' }, {
+      $set: { 'address.zip': 1002 },
+      $max: { score: 7 },
+      $addToSet: { tags: { $each: ['vip', 'new'] } },
+      $push: { items: { $each: [{ sku: 'z3', qty: 9 }], $sort: { qty: -1 }, $slice: 2 } },
+      $rename: { name: 'title' },
+      $currentDate: { updatedAt: true }
+    });
+    assert.strictEqual(riga.address.zip, 1002);
+    assert.strictEqual(riga.title, 'A');
+    assert.strictEqual(riga.name, undefined);
+    assert.deepStrictEqual(riga.tags, ['admin', 'vip', 'new']);
+    assert.deepStrictEqual(riga.items.map(item => item.sku), ['z3', 'x1']);
+    assert.ok(riga.updatedAt instanceof Date);
+    const positional = await customers.updateOne({ name: 'B', 'items.sku': 'x1' }, { $inc: { 'items.$.qty': 10 } });
+    assert.deepStrictEqual(positional.items.map(item => item.qty), [5, 11]);
+    const filtered = await customers.updateOne(
+      { name: 'B' },
+      { $mul: { 'items.$[big].qty': 2 }, $pull: { tags: 'user' } },
+      { arrayFilters: [{ 'big.qty': { $gt: 10 } }] }
+    );
+    assert.deepStrictEqual(filtered.items.map(item => item.qty), [5, 22]);
+    assert.deepStrictEqual(filtered.tags, []);
+    await customers.updateOne({ name: 'B' }, { $pop: { items: -1 } });
+    const allItems = await customers.updateOne({ name: 'B' }, { $set: { 'items.$[].checked': true } });
+    assert.deepStrictEqual(allItems.items, [{ sku: 'x1', qty: 22, checked: true }]);
+    const upserted = await customers.updateOne(
+      { name: 'C', 'address.city': 'Kyiv' },
+      { $setOnInsert: { tags: [] }, $inc: { visits: 1 } },
+      { upsert: true }
+    );
+    assert.deepStrictEqual([upserted.address.city, upserted.visits, upserted.tags.length], ['Kyiv', 1, 0]);
+    await assert.rejects(() => customers.updateOne({ name: 'B' }, { $rename: { tags: 'labels' }, $set: { 'tags.0': 'x' } }), bsondb.UpdateError);
+    await assert.rejects(() => customers.updateOne({ name: 'B' }, { $setField: { a: 1 } }), bsondb.UpdateError);
+    await assert.rejects(() => customers.updateOne({ name: 'B' }, { $set: { _id: new ObjectId() } }), bsondb.UpdateError);
+    console.log('✓ Update operators applied; invalid updates rejected');
+
+    // Test 19: Aggregation pipeline
+    console.log('19. Testing aggregation pipeline...');
+    const sales = await db.createCollection('sales');
+    await sales.insertMany([
+      { customer: 'B', status: 'paid', total: 30, lines: ['x1', 'y2'] },
+      { customer: 'B', status: 'paid', total: 10, lines: ['x1'] },
+      { customer: 'C', status: 'paid', total: 5, lines: [] },
+      { customer: 'C', status: 'new', total: 99, lines: ['z3'] }
+    ]);
+    const revenue = await sales.aggregate([
+      { $match: { status: 'paid' } },
+      { $group: { _id: '$customer', total: { $sum: '$total' }, avg: { $avg: '$total' }, orders: { $sum: 1 }, first: { $first: '$total' } } },
+      { $sort: { total: -1 } },
+      { $lookup: { from: 'customers', localField: '_id', foreignField: 'name', as: 'customer' } },
+      { $addFields: { city: { $ifNull: ['$customer.address.city', 'unknown'] } } },
+      { $project: { customer: 0 } }
+    ]);
+    assert.deepStrictEqual(revenue, [
+      { _id: 'B', total: 40, avg: 20, orders: 2, first: 30, city: ['Oslo'] },
+      { _id: 'C', total: 5, avg: 5, orders: 1, first: 5, city: ['Kyiv'] }
+    ]);
+    const lineCounts = await sales.aggregate([
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines', customers: { $addToSet: '$customer' } } },
+      { $sort: { _id: 1 } },
+      { $skip: 1 },
+      { $limit: 1 }
+    ]);
+    assert.deepStrictEqual(lineCounts, [{ _id: 'y2', customers: ['B'] }]);
+    assert.deepStrictEqual(await sales.aggregate([{ $match: { total: { $gt: 20 } } }, { $count: 'big' }]), [{ big: 2 }]);
+    await assert.rejects(() => sales.aggregate([{ $merge: 'x' }]), bsondb.QueryError);
+    console.log('✓ Aggregation grouped, joined and projected documents');
+
+    // Test 20: Projections
+    console.log('20. Testing projections...');
+    const projected = await customers.find({ name: 'B' }, { projection: { name: 1, 'address.city': 1, 'items.sku': 1, _id: 0 } });
+    assert.deepStrictEqual(projected, [{ name: 'B', address: { city: 'Oslo' }, items: [{ sku: 'x1' }] }]);
+    const withoutItems = await customers.findOne({ name: 'B' }, { projection: { items: 0, address: 0 } });
+    assert.ok(withoutItems._id && withoutItems.name === 'B' && !('items' in withoutItems) && !('address' in withoutItems));
+    const lastLine = await sales.findOne({ total: 30 }, { projection: { lines: { $slice: -1 } } });
+    assert.deepStrictEqual([lastLine.customer, lastLine.lines], ['B', ['y2']]);
+    const matchedLine = await sales.findOne({ total: 30 }, { projection: { lines: { $elemMatch: { $eq: 'y2' } }, _id: 0 } });
+    assert.deepStrictEqual(matchedLine, { lines: ['y2'] });
+    await assert.rejects(() => customers.find({}, { projection: { name: 1, tags: 0 } }).toArray(), bsondb.QueryError);
+    console.log('✓ Projections trimmed returned documents');
+
+    // Test 21: Cursors
+    console.log('21. Testing cursors...');
+    const page = await sales.find({}).sort({ total: 1 }).skip(1).limit(2).project({ total: 1, _id: 0 }).toArray();
+    assert.deepStrictEqual(page, [{ total: 10 }, { total: 30 }]);
+    assert.strictEqual((await sales.find({}, { sort: { total: 1 }, skip: 3, limit: 1 }))[0].total, 99);
+    assert.strictEqual(await sales.find({ status: 'paid' }).limit(1).count(), 3);
+    const streamed = [];
+    for await (const sale of sales.find({ status: 'paid' }).skip(1)) {
+      streamed.push(sale.total);
+      if (streamed.length === 1) break;
+    }
+    assert.strictEqual(streamed.length, 1);
+    const cursor = sales.find({});
+    await cursor.toArray();
+    assert.throws(() => cursor.limit(1), bsondb.QueryError);
+    await assert.rejects(() => cursor.toArray(), error => error instanceof bsondb.QueryError && /exhausted/.test(error.message));
+    const explained = [];
+    for await (const plan of sales.find({ status: 'paid' }, { explain: true })) {
+      explained.push(plan);
+    }
+    assert.deepStrictEqual(explained.map(plan => plan.nReturned), [3]);
+
+    // Полный просмотр разбирает документы по мере перебора, в порядке воспроизведения журнала
+    const scanned = await db.createCollection('scanned');
+    const [, secondScanned] = await scanned.insertMany([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    await scanned.compact();
+    await scanned.updateOne({ n: 1 }, { $set: { n: 10 } });
+    await scanned.deleteOne({ n: 2 });
+    await scanned.insertOne({ _id: secondScanned._id, n: 20 });
+    await scanned.insertOne({ n: 4 });
+    const scannedOrder = [];
+    for await (const doc of scanned.find({})) {
+      scannedOrder.push(doc.n);
+    }
+    assert.deepStrictEqual(scannedOrder, [10, 3, 20, 4]);
+    assert.deepStrictEqual(scannedOrder, (await scanned.readData()).map(doc => doc.n));
+    await db.dropCollection('scanned');
+
+    // Рабочий поток отправляет не больше двух частей без подтверждения и
+    // прекращает чтение после отмены
+    const streamOptions = { dataPath: './test-data', ttlInterval: 0 };
+    const streamDb = new bsondb.Database('streamdb', streamOptions);
+    await streamDb.init();
+    const bulk = await streamDb.createCollection('bulk');
+    await bulk.insertMany(Array.from({ length: 1000 }, (_, n) => ({ n })));
+    await streamDb.close();
+    const workerManager = new WorkerManager({ ...streamOptions, threadCount: 2 });
+    await workerManager.start();
+    try {
+      let sent = 0;
+      for (const worker of workerManager.workers.values()) {
+        worker.on('message', message => { if (message.type === 'batch') sent++; });
+      }
+      const streamTask = { dbName: 'streamdb', collectionName: 'bulk', query: {}, options: streamOptions };
+      let release;
+      const blocked = new Promise(resolve => { release = resolve; });
+      const controller = new AbortController();
+      const cancelled = workerManager.streamTask('find', streamTask, () => blocked, controller.signal);
+      while (sent < 2) await new Promise(resolve => setTimeout(resolve, 10));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(sent, 2);
+      controller.abort(new bsondb.BsonDBError('client left', 'STREAM_CANCELLED'));
+      await assert.rejects(cancelled, { code: 'STREAM_CANCELLED' });
+      release();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(sent, 2);
+      assert.strictEqual(workerManager.pendingTasks.size, 0);
+
+      let streamedCount = 0;
+      const result = await workerManager.streamTask('find', streamTask, async (documents) => {
+        streamedCount += documents.length;
+      });
+      assert.deepStrictEqual([result.count, streamedCount], [1000, 1000]);
+    } finally {
+      await workerManager.stop();
+    }
+    console.log('✓ Cursor paged, counted and iterated results');
+
+    // Test 22: Unique, sparse and partial indexes
+    console.log('22. Testing unique indexes...');
+    const accounts = await db.createCollection('accounts');
+    const [firstAccount] = await accounts.insertMany([
+      { login: 'ann', email: 'ann@example.com', plan: 'pro' },
+      { login: 'bob', plan: 'free' },
+      { login: 'cat', plan: 'free', email: 'shared@example.com' },
+      { login: 'dan', plan: 'free', email: 'shared@example.com' }
+    ]);
+    const duplicateIndex = await accounts.createIndex('email', { unique: true }).catch(error => error);
+    assert.ok(duplicateIndex instanceof bsondb.DuplicateKeyError);
+    assert.strictEqual(duplicateIndex.duplicates.length, 1);
+    assert.strictEqual(duplicateIndex.duplicates[0].ids.length, 2);
+    await accounts.createIndex('email', { unique: true, partialFilterExpression: { plan: 'pro' } });
+    await accounts.createIndex('login', { unique: true, sparse: true });
+    await accounts.insertOne({ plan: 'free' });
+    await accounts.insertOne({ plan: 'free' });
+    await accounts.insertOne({ login: 'eve', plan: 'free', email: 'ann@example.com' });
+    const loginConflict = await accounts.insertOne({ login: 'bob' }).catch(error => error);
+    assert.ok(loginConflict instanceof bsondb.DuplicateKeyError);
+    assert.strictEqual(loginConflict.index, 'login');
+    assert.deepStrictEqual(loginConflict.keyValue, { login: 'bob' });
+    await assert.rejects(() => accounts.updateOne({ login: 'eve' }, { $set: { plan: 'pro' } }), bsondb.DuplicateKeyError);
+    await assert.rejects(() => accounts.updateMany({ plan: 'free' }, { $set: { login: 'same' } }), bsondb.DuplicateKeyError);
+    await assert.rejects(() => accounts.insertMany([{ login: 'fay' }, { login: 'fay' }]), bsondb.DuplicateKeyError);
+    await assert.rejects(() => accounts.insertOne({ _id: firstAccount._id }), bsondb.DuplicateKeyError);
+    assert.strictEqual(await accounts.count({ login: 'fay' }), 0);
+    assert.strictEqual((await accounts.find({ login: 'bob' }, { explain: true })).strategy, 'COLLSCAN');
+
+    // Поврежденный индекс пересоздается с исходными параметрами
+    await fs.writeFile(path.join(accounts.collectionPath, '_index_login.bson'), Buffer.from('damaged'));
+    const repairedLogin = (await db.indexManager.getCollectionIndexes('accounts')).find(index => index.name === 'login');
+    assert.deepStrictEqual(repairedLogin.options, { unique: true, sparse: true });
+    await assert.rejects(() => accounts.insertOne({ login: 'bob' }), bsondb.DuplicateKeyError);
+    await fs.writeFile(path.join(accounts.collectionPath, '_index_plan.bson'), Buffer.from('damaged'));
+    await assert.rejects(() => db.indexManager.getCollectionIndexes('accounts'), bsondb.CorruptionError);
+    await fs.unlink(path.join(accounts.collectionPath, '_index_plan.bson'));
+    console.log('✓ Unique indexes rejected duplicate keys');
+
+    // Test 23: TTL indexes
+    console.log('23. Testing TTL indexes...');
+    const ttlDb = new bsondb.Database('ttldb', { dataPath: './test-data', ttlInterval: 20 });
+    await ttlDb.init();
+    const tokens = await ttlDb.createCollection('tokens');
+    await tokens.createIndex('expiresAt', { expireAfterSeconds: 60 });
+    await tokens.createIndex('owner');
+    await tokens.insertMany([
+      { owner: 'ann', expiresAt: new Date(Date.now() - 120 * 1000) },
+      { owner: 'bob', expiresAt: new Date() },
+      { owner: 'cat', expiresAt: 'not a date' }
+    ]);
+    await assert.rejects(() => tokens.createIndex(['owner', 'expiresAt'], { expireAfterSeconds: 1 }), bsondb.BsonDBError);
+    for (let attempt = 0; attempt < 50 && (await tokens.count()) > 2; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual((await tokens.find({}, { sort: { owner: 1 } })).map(token => token.owner), ['bob', 'cat']);
+    assert.strictEqual(await tokens.count({ owner: 'ann' }), 0);
+    const ttlStats = await ttlDb.stats();
+    assert.strictEqual(ttlStats.ttl.expired, 1);
+    assert.strictEqual(ttlStats.collections.tokens.expired, 1);
+    await ttlDb.close();
+    assert.strictEqual(ttlDb.ttlTimer, null);
+    console.log('✓ Expired documents were removed by the TTL sweeper');
+
+    // Test 24: Ordered indexes, range scans and index-backed sort
+    console.log('24. Testing ordered indexes...');
+    const people = await db.createCollection('people');
+    const ages = [42, -3, 18, 9, 100, 18.5, 65, 2.25, 17, 30];
+    await people.insertMany(ages.map((age, i) => ({ name: `p${i}`, age, group: i % 2 ? 'odd' : 'even', joined: new Date(2020, 0, i + 1) })));
+    await people.insertOne({ name: 'text-age', age: '20' });
+    await people.createIndex('age');
+    await people.createIndex(['group', 'joined']);
+    const adults = await people.find({ age: { $gte: 18 } }, { sort: { age: -1 }, limit: 3 });
+    assert.deepStrictEqual(adults.map(p => p.age), [100, 65, 42]);
+    const adultPlan = await people.find({ age: { $gte: 18 } }, { sort: { age: -1 }, limit: 3, explain: true });
+    assert.strictEqual(adultPlan.strategy, 'IXSCAN');
+    assert.strictEqual(adultPlan.sortedByIndex, true);
+    assert.strictEqual(adultPlan.direction, -1);
+    assert.deepStrictEqual(adultPlan.indexBounds, { age: { $gte: 18 } });
+    assert.strictEqual(adultPlan.docsExamined, 6);
+    const window = await people.find({ age: { $gt: 2.25, $lte: 18 } }).sort({ age: 1 }).toArray();
+    assert.deepStrictEqual(window.map(p => p.age), [9, 17, 18]);
+    assert.deepStrictEqual((await people.find({ age: { $lt: 0 } })).map(p => p.age), [-3]);
+    const recentOdd = await people.find({ group: 'odd', joined: { $gt: new Date(2020, 0, 5) } }, { sort: { joined: 1 } });
+    assert.deepStrictEqual(recentOdd.map(p => p.name), ['p5', 'p7', 'p9']);
+    const sortOnly = await people.find({}, { sort: { age: 1 }, explain: true });
+    assert.strictEqual(sortOnly.sortedByIndex, true);
+    assert.deepStrictEqual((await people.find({}, { sort: { age: 1 }, limit: 2 })).map(p => p.age), [-3, 2.25]);
+    assert.strictEqual((await people.find({}, { sort: { age: -1 }, limit: 1 }))[0].age, '20');
+    assert.strictEqual((await people.find({ age: { $gt: 2.25, $lte: 18 } }, { explain: true })).indexBounds.age.$lte, 18);
+    // Границы диапазона по полю-массиву не объединяются: элементы могут подходить под разные границы
+    await people.insertOne({ name: 'scores', age: [10, 30] });
+    const spreadPlan = await people.find({ age: { $gt: 15, $lt: 20 } }, { explain: true });
+    assert.strictEqual(spreadPlan.strategy, 'IXSCAN');
+    assert.deepStrictEqual(spreadPlan.indexBounds, { age: { $gt: 15 } });
+    assert.deepStrictEqual((await people.find({ age: { $gt: 15, $lt: 20 } })).map(p => p.name).sort(), ['p2', 'p5', 'p8', 'scores']);
+    // Sort по multikey-индексу выполняется в памяти: массив сравнивается по наименьшему элементу
+    const multikeySortPlan = await people.find({ age: { $gte: 18 } }, { sort: { age: 1 }, explain: true });
+    assert.deepStrictEqual([multikeySortPlan.strategy, multikeySortPlan.sortedByIndex], ['IXSCAN', false]);
+    assert.deepStrictEqual((await people.find({ age: { $gte: 18 } }, { sort: { age: 1 }, limit: 3 })).map(p => p.name), ['scores', 'p2', 'p5']);
+    await people.deleteOne({ name: 'scores' });
+    console.log('✓ Range queries and sort were served from ordered indexes');
+
+    // Test 25: Index backends
+    console.log('25. Testing index backends...');
+    assert.throws(() => new bsondb.Database('badbackend', { indexBackend: 'ldap' }), bsondb.BsonDBError);
+    // Индексы в памяти не делятся между рабочими потоками сервера
+    assert.throws(() => new Server({ indexBackend: 'memory', threadCount: 4 }), { code: 'BAD_OPTIONS' });
+    const memoryDb = new bsondb.Database('memorydb', { dataPath: './test-data', indexBackend: 'memory' });
+    await memoryDb.init();
+    const cities = await memoryDb.createCollection('cities');
+    await cities.createIndex('code', { unique: true });
+    await cities.insertMany([{ code: 'MOW', name: 'Moscow' }, { code: 'LED', name: 'Saint Petersburg' }]);
+    assert.strictEqual((await cities.find({ code: 'LED' }, { explain: true })).strategy, 'IXSCAN');
+    assert.strictEqual((await cities.findOne({ code: 'LED' })).name, 'Saint Petersburg');
+    await assert.rejects(() => cities.insertOne({ code: 'MOW' }), bsondb.DuplicateKeyError);
+    const cityFiles = await fs.readdir(path.join('./test-data', 'memorydb', 'cities'));
+    assert.ok(!cityFiles.some(file => file.startsWith('_index_')));
+    await memoryDb.close();
+
+    // Пока база закрыта, каталог могли изменить: индексы в памяти строятся заново
+    const outsideDb = new bsondb.Database('memorydb', { dataPath: './test-data' });
+    await outsideDb.init();
+    await outsideDb.collection('cities').insertOne({ code: 'KZN', name: 'Kazan' });
+    await outsideDb.close();
+    const reopenedMemoryDb = new bsondb.Database('memorydb', { dataPath: './test-data', indexBackend: 'memory' });
+    await reopenedMemoryDb.init();
+    const reopenedCities = reopenedMemoryDb.collection('cities');
+    await reopenedCities.createIndex('code', { unique: true });
+    assert.strictEqual((await reopenedCities.findOne({ code: 'KZN' })).name, 'Kazan');
+    await assert.rejects(() => reopenedCities.insertOne({ code: 'KZN' }), bsondb.DuplicateKeyError);
+    await reopenedMemoryDb.close();
+
+    const redisMock = createRedisMock();
+    const redisOptions = { dataPath: './test-data', indexBackend: 'redis', redisClient: redisMock };
+    let redisDb = new bsondb.Database('redisdb', redisOptions);
+    await redisDb.init();
+    let shops = await redisDb.createCollection('shops');
+    await shops.createIndex('city');
+    const [shopA, shopB] = await shops.insertMany([{ city: 'Kazan' }, { city: 'Kazan' }, { city: 'Omsk' }]);
+    await shops.updateOne({ _id: shopB._id }, { $set: { city: 'Tomsk' } });
+    assert.strictEqual((await shops.find({ city: { $in: ['Kazan', 'Tomsk'] } }, { explain: true })).strategy, 'IXSCAN');
+    assert.strictEqual(await shops.count({ city: { $in: ['Kazan', 'Tomsk'] } }), 2);
+    const kazanKey = [...redisMock.sets.keys()].find(key => key.startsWith('index:redisdb:shops:city:') && key.includes('Kazan'));
+    assert.deepStrictEqual(await redisMock.sMembers(kazanKey), [shopA._id.toString()]);
+    await redisDb.close();
+
+    // Копия в Redis разошлась с файлами, пока база была закрыта
+    await redisMock.sRem(kazanKey, shopA._id.toString());
+    await redisMock.hSet('db:redisdb:indexes', 'shops:stale', JSON.stringify({ collection: 'shops', name: 'stale' }));
+    redisDb = new bsondb.Database('redisdb', redisOptions);
+    await redisDb.init();
+    shops = redisDb.collection('shops');
+    assert.deepStrictEqual(await redisMock.sMembers(kazanKey), [shopA._id.toString()]);
+    assert.strictEqual(await redisMock.hGet('db:redisdb:indexes', 'shops:stale'), undefined);
+    assert.strictEqual((await shops.findOne({ city: 'Kazan' }))._id.toString(), shopA._id.toString());
+
+    // Ошибка Redis в одном процессе: другие перестают читать копию, в которую он не пишет
+    const otherRedisDb = new bsondb.Database('redisdb', redisOptions);
+    await otherRedisDb.init();
+    const originalSAdd = redisMock.sAdd;
+    redisMock.sAdd = async () => { throw new Error('connection reset'); };
+    const shopC = await shops.insertOne({ city: 'Kazan' });
+    redisMock.sAdd = originalSAdd;
+    await shops.insertOne({ city: 'Kazan' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(await redisMock.hGet('db:redisdb:indexes', 'shops:city'), undefined);
+    assert.strictEqual(await otherRedisDb.collection('shops').count({ city: 'Kazan' }), 3);
+    assert.ok(await otherRedisDb.collection('shops').findOne({ _id: shopC._id, city: 'Kazan' }));
+    await otherRedisDb.close();
+    await redisDb.close();
+
+    // Без Redis индексы продолжают работать из файлов
+    const offlineDb = new bsondb.Database('redisdb', {
+      ...redisOptions,
+      redisClient: { isOpen: false, async connect() { throw new Error('connection refused'); } }
+    });
+    await offlineDb.init();
+    assert.strictEqual(await offlineDb.collection('shops').count({ city: 'Omsk' }), 1);
+    await offlineDb.close();
+    console.log('✓ File, memory and Redis index backends served queries');
+
+    // Test 26: Full-text search
+    console.log('26. Testing full-text search...');
+    const catalog = await db.createCollection('catalog');
+    await catalog.insertMany([
+      { sku: 1, title: 'Trail running shoes', description: 'Lightweight shoes for running on trails' },
+      { sku: 2, title: 'Leather boots', description: 'Waterproof boots, not for running' },
+      { sku: 3, title: 'Кроссовки для бега', description: 'Лёгкие беговые кроссовки' },
+      { sku: 4, title: 'Running socks', tags: ['running', 'socks'] },
+      { sku: 5, title: 'The and of', description: 'Stop words only' }
+    ]);
+    await assert.rejects(() => catalog.find({ $text: { $search: 'shoes' } }).toArray(), bsondb.QueryError);
+    await catalog.createIndex({ title: 'text', description: 'text' }, { weights: { title: 3 } });
+    await assert.rejects(() => catalog.createIndex({ tags: 'text' }), bsondb.BsonDBError);
+    await assert.rejects(() => catalog.createIndex('tags', { type: 'text' }), { code: 'BAD_INDEX_OPTIONS' });
+    await assert.rejects(() => catalog.find({ $or: [{ $text: { $search: 'shoes' } }, { sku: 2 }] }).toArray(), bsondb.QueryError);
+    const runners = await catalog.find(
+      { $text: { $search: 'run shoe' } },
+      { projection: { sku: 1, score: { $meta: 'textScore' } }, sort: { score: { $meta: 'textScore' } } }
+    );
+    assert.deepStrictEqual(runners.map(item => item.sku), [1, 4, 2]);
+    assert.ok(runners[0].score > runners[1].score && runners[2].score > 0);
+    assert.strictEqual((await catalog.find({ $text: { $search: 'shoes' } }, { explain: true })).strategy, 'TEXT');
+    assert.deepStrictEqual((await catalog.find({ $text: { $search: 'кроссовка ЛЁГКАЯ' } })).map(item => item.sku), [3]);
+    assert.deepStrictEqual((await catalog.find({ $text: { $search: 'running -boots' } }, { sort: { sku: 1 } })).map(item => item.sku), [1, 4]);
+    assert.deepStrictEqual((await catalog.find({ $text: { $search: '"running shoes"' } })).map(item => item.sku), [1]);
+    assert.strictEqual(await catalog.count({ $text: { $search: 'the of' } }), 0);
+    assert.strictEqual(await catalog.count({ $text: { $search: 'running' }, sku: { $gt: 1 } }), 2);
+    await catalog.updateOne({ sku: 2 }, { $set: { title: 'Rubber boots', description: 'Waterproof' } });
+    assert.strictEqual(await catalog.count({ $text: { $search: 'running' } }), 2);
+    const boots = await catalog.findOne({ $text: { $search: 'rubber' } }, { projection: { _id: 0, title: 1, score: { $meta: 'textScore' } } });
+    assert.strictEqual(boots.title, 'Rubber boots');
+    assert.strictEqual(typeof boots.score, 'number');
+    await assert.rejects(() => catalog.find({}, { projection: { score: { $meta: 'textScore' } } }).toArray(), bsondb.QueryError);
+    await catalog.dropIndex({ title: 'text', description: 'text' });
+    await assert.rejects(() => catalog.count({ $text: { $search: 'running' } }), bsondb.QueryError);
+    // Пересозданный индекс с другими полями действует с первого же запроса
+    await catalog.createIndex({ description: 'text' });
+    assert.strictEqual(await catalog.count({ $text: { $search: 'rubber' } }), 0);
+    assert.strictEqual(await catalog.count({ $text: { $search: 'waterproof' } }), 1);
+    await catalog.dropIndex({ description: 'text' });
+    console.log('✓ Text index served ranked $text queries');
+
+    // Test 27: Geospatial queries
+    console.log('27. Testing geospatial queries...');
+    const stores = await db.createCollection('stores');
+    const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+    await stores.insertMany([
+      { name: 'gorky', location: point(37.6010, 55.7298) },
+      { name: 'red', location: point(37.6208, 55.7539) },
+      { name: 'airport', location: point(37.4146, 55.9726) },
+      { name: 'kremlin', location: point(37.6176, 55.7520) },
+      { name: 'spb', location: point(30.3159, 59.9391) },
+      { name: 'legacy', location: [37.62, 55.755] },
+      { name: 'online' }
+    ]);
+    const redSquare = point(37.6208, 55.7539);
+    await assert.rejects(() => stores.find({ location: { $near: { $geometry: redSquare } } }).toArray(), bsondb.QueryError);
+    await stores.createIndex({ location: '2dsphere' });
+    const nearby = await stores.find({ location: { $near: { $geometry: redSquare, $maxDistance: 5000 } } });
+    assert.deepStrictEqual(nearby.map(store => store.name), ['red', 'legacy', 'kremlin', 'gorky']);
+    const nearPlan = await stores.find({ location: { $near: { $geometry: redSquare, $maxDistance: 5000 } } }, { explain: true });
+    assert.strictEqual(nearPlan.strategy, 'GEO');
+    assert.ok(nearPlan.docsExamined < 7);
+    assert.deepStrictEqual(
+      (await stores.find({ location: { $near: { $geometry: redSquare, $minDistance: 1000, $maxDistance: 40000 } } })).map(store => store.name),
+      ['gorky', 'airport']
+    );
+    assert.strictEqual(await stores.count({ location: { $near: [37.6208, 55.7539], $maxDistance: 500 } }), 3);
+    assert.deepStrictEqual(
+      (await stores.find({ location: { $near: { $geometry: redSquare } } }).sort({ name: 1 }).limit(2)).map(store => store.name),
+      ['airport', 'gorky']
+    );
+    assert.strictEqual((await stores.findOne({ location: { $near: { $geometry: point(30.3, 59.9) } } })).name, 'spb');
+    assert.strictEqual(await stores.count({ location: { $geoWithin: { $centerSphere: [[37.6208, 55.7539], 50 / 6378.1] } } }), 5);
+    assert.deepStrictEqual((await stores.find({ location: { $geoWithin: { $box: [[30, 59], [31, 60.5]] } } })).map(store => store.name), ['spb']);
+    const centre = [[37.61, 55.75], [37.63, 55.75], [37.63, 55.76], [37.61, 55.76]];
+    assert.strictEqual(await stores.count({ location: { $geoWithin: { $polygon: centre } } }), 3);
+    assert.strictEqual(await stores.count({ location: { $geoIntersects: { $geometry: { type: 'Polygon', coordinates: [[...centre, centre[0]]] } } } }), 3);
+    assert.strictEqual(await stores.count({ location: { $geoIntersects: { $geometry: redSquare } } }), 1);
+    await assert.rejects(() => stores.count({ location: { $geoWithin: { $circle: [[0, 0], 1] } } }), bsondb.QueryError);
+    await stores.updateOne({ name: 'spb' }, { $set: { location: point(37.6210, 55.7540) } });
+    assert.strictEqual(await stores.count({ location: { $near: { $geometry: redSquare, $maxDistance: 100 } } }), 2);
+    console.log('✓ 2dsphere index served $near, $geoWithin and $geoIntersects');
+
+    // Test 28: Change streams
+    console.log('28. Testing change streams...');
+    const feedDb = new bsondb.Database('feeddb', { dataPath: './test-data' });
+    await feedDb.init();
+    const tickets = await feedDb.createCollection('tickets');
+    const ticketChanges = [];
+    const ticketStream = tickets.watch();
+    ticketStream.on('change', change => ticketChanges.push(change));
+    const insertsOnly = tickets.watch({ operationType: 'insert' });
+    const lookupStream = tickets.watch({ operationType: 'update' }, { fullDocument: 'updateLookup' });
+    const dbStream = feedDb.watch();
+
+    const ticket = await tickets.insertOne({ title: 'printer', status: 'open', tags: ['hw'] });
+    await tickets.updateOne({ _id: ticket._id }, { $set: { status: 'closed' }, $unset: { tags: '' } });
+    await tickets.updateOne({ _id: ticket._id }, { title: 'scanner' });
+    const feedNotes = await feedDb.createCollection('notes');
+    await feedNotes.insertOne({ text: 'other collection' });
+    await tickets.deleteOne({ _id: ticket._id });
+
+    assert.deepStrictEqual(ticketChanges.map(change => change.operationType), ['insert', 'update', 'replace', 'delete']);
+    const [inserted, updated, replaced, deleted] = ticketChanges;
+    assert.deepStrictEqual(inserted.ns, { db: 'feeddb', coll: 'tickets' });
+    assert.strictEqual(inserted.fullDocument.title, 'printer');
+    assert.ok(inserted.documentKey._id.equals(ticket._id));
+    assert.deepStrictEqual(updated.updateDescription, { updatedFields: { status: 'closed' }, removedFields: ['tags'] });
+    assert.strictEqual(updated.fullDocument, undefined);
+    assert.strictEqual(replaced.fullDocument.title, 'scanner');
+    assert.ok(deleted.documentKey._id.equals(ticket._id));
+
+    const insertIterator = insertsOnly[Symbol.asyncIterator]();
+    assert.strictEqual((await insertIterator.next()).value.fullDocument.title, 'printer');
+    insertsOnly.close();
+    assert.strictEqual((await insertIterator.next()).done, true);
+    assert.strictEqual((await lookupStream.next()).value.fullDocument.status, 'closed');
+    lookupStream.close();
+
+    const dbEvents = [];
+    for await (const change of dbStream) {
+      dbEvents.push(`${change.ns.coll}:${change.operationType}`);
+      if (dbEvents.length === 5) break;
+    }
+    assert.deepStrictEqual(dbEvents, ['tickets:insert', 'tickets:update', 'tickets:replace', 'notes:insert', 'tickets:delete']);
+
+    // Продолжение после resume token: пропущенные события приходят из истории
+    const resumed = tickets.watch({}, { resumeAfter: updated._id });
+    assert.deepStrictEqual(
+      [(await resumed.next()).value.operationType, (await resumed.next()).value.operationType],
+      ['replace', 'delete']
+    );
+    resumed.close();
+    assert.throws(() => tickets.watch({}, { resumeAfter: { _data: 'unknown' } }), /no longer in the change history/);
+
+    const txSession = feedDb.startSession();
+    await txSession.withTransaction(async () => {
+      await tickets.insertOne({ title: 'in transaction' }, { session: txSession });
+      assert.strictEqual(ticketChanges.length, 4);
+    });
+    txSession.endSession();
+    assert.strictEqual(ticketChanges[4].fullDocument.title, 'in transaction');
+
+    // Отставший итератор: поток закрывается с ошибкой, продолжить можно с resumeToken
+    const slowStream = tickets.watch({ operationType: 'insert' }, { maxQueueSize: 2 });
+    const overflowErrors = [];
+    slowStream.on('error', error => overflowErrors.push(error.code));
+    await tickets.insertMany([{ title: 'a' }, { title: 'b' }, { title: 'c' }]);
+    assert.deepStrictEqual(overflowErrors, ['CHANGE_STREAM_OVERFLOW']);
+    assert.strictEqual((await slowStream.next()).value.fullDocument.title, 'a');
+    assert.strictEqual((await slowStream.next()).value.fullDocument.title, 'b');
+    await assert.rejects(() => slowStream.next(), error => error instanceof bsondb.BsonDBError && error.code === 'CHANGE_STREAM_OVERFLOW');
+    assert.strictEqual((await slowStream.next()).done, true);
+    const caughtUp = tickets.watch({}, { resumeAfter: slowStream.resumeToken });
+    assert.strictEqual((await caughtUp.next()).value.fullDocument.title, 'c');
+    caughtUp.close();
+
+    let ticketStreamClosed = false;
+    ticketStream.on('close', () => { ticketStreamClosed = true; });
+    await feedDb.close();
+    assert.ok(ticketStreamClosed);
+    console.log('✓ Change streams delivered insert, update, replace and delete events');
+
+    // Test 29: Optimistic concurrency
+    console.log('29. Testing document versions...');
+    const draftsDb = new bsondb.Database('draftsdb', { dataPath: './test-data' });
+    await draftsDb.init();
+    const drafts = await draftsDb.createCollection('drafts', { versionKey: '__v' });
+    const draft = await drafts.insertOne({ title: 'first', body: '' });
+    assert.strictEqual(draft.__v, 0);
+    assert.strictEqual((await drafts.updateOne({ _id: draft._id }, { $set: { body: 'text' } })).__v, 1);
+    assert.strictEqual((await drafts.updateOne({ _id: draft._id }, { title: 'second', __v: 7 })).__v, 2);
+
+    const staleUpdate = await drafts.updateOne({ _id: draft._id }, { $set: { title: 'stale' } }, { ifVersion: 1 })
+      .catch(error => error);
+    assert.ok(staleUpdate instanceof bsondb.VersionConflictError);
+    assert.strictEqual(staleUpdate.code, 'VERSION_CONFLICT');
+    assert.deepStrictEqual([staleUpdate.expectedVersion, staleUpdate.actualVersion], [1, 2]);
+    assert.strictEqual((await drafts.findById(draft._id)).title, 'second');
+    assert.strictEqual((await drafts.updateOne({ _id: draft._id }, { $set: { title: 'third' } }, { expectedVersion: 2 })).__v, 3);
+    await drafts.insertOne({ title: 'other' });
+    assert.deepStrictEqual((await drafts.updateMany({}, { $set: { archived: true } })).map(doc => doc.__v), [4, 1]);
+    await assert.rejects(() => drafts.updateMany({}, { $set: { archived: false } }, { ifVersion: 4 }), bsondb.VersionConflictError);
+    assert.strictEqual(await drafts.count({ archived: true }), 2);
+    await assert.rejects(() => usersCollection.updateOne({}, { $set: { a: 1 } }, { ifVersion: 0 }), bsondb.UpdateError);
+    await assert.rejects(() => draftsDb.createCollection('bad', { versionKey: '$v' }), /versionKey/);
+
+    // Model берет версию из документа, прочитанного до изменения
+    const Draft = new bsondb.Model('Draft', { title: { type: 'string' } });
+    Draft.setCollection(drafts);
+    const firstRead = await Draft.findById(draft._id);
+    const secondRead = await Draft.findById(draft._id);
+    assert.strictEqual((await Draft.updateOne({ _id: draft._id }, { ...firstRead, title: 'by first' })).__v, 5);
+    await assert.rejects(
+      () => Draft.updateOne({ _id: draft._id }, { $set: { ...secondRead, title: 'by second' } }),
+      bsondb.VersionConflictError
+    );
+    assert.strictEqual((await Draft.updateOne({ _id: draft._id, __v: 5 }, { $set: { title: 'by second' } })).__v, 6);
+    await draftsDb.close();
+
+    // versionKey сохраняется вместе с коллекцией
+    const reopenedDraftsDb = new bsondb.Database('draftsdb', { dataPath: './test-data' });
+    await reopenedDraftsDb.init();
+    const reopenedDrafts = reopenedDraftsDb.collection('drafts');
+    assert.strictEqual(reopenedDrafts.getVersionKey(), '__v');
+    assert.strictEqual((await reopenedDrafts.updateOne({ _id: draft._id }, { $set: { body: '' } }, { ifVersion: 6 })).__v, 7);
+    await reopenedDraftsDb.close();
+    console.log('✓ Version conflicts detected for stale updates');
+
+    // Test 30: Authenticated encryption
+    console.log('30. Testing encryption...');
+    const vaultOptions = { dataPath: './test-data', encryptionKey: 'vault-key' };
+    const vaultDb = new bsondb.Database('vaultdb', vaultOptions);
+    await vaultDb.init();
+    const secrets = await vaultDb.createCollection('secrets');
+    await secrets.insertOne({ note: 'launch codes' });
+    assert.strictEqual(vaultDb.getEncryptionStatus().algorithm, 'aes-256-gcm');
+    await vaultDb.close();
+
+    const secretsLog = path.join('./test-data', 'vaultdb', 'secrets', 'oplog.bson');
+    const secretsLogData = await fs.readFile(secretsLog);
+    assert.strictEqual(secretsLogData.subarray(4, 8).toString(), 'BSDB');
+    assert.ok(!secretsLogData.includes('launch codes'));
+
+    const wrongKey = await new bsondb.Database('vaultdb', { ...vaultOptions, encryptionKey: 'guess' }).init().catch(error => error);
+    assert.ok(wrongKey instanceof bsondb.EncryptionKeyError);
+    assert.strictEqual(wrongKey.code, 'WRONG_ENCRYPTION_KEY');
+    const noKey = await new bsondb.Database('vaultdb', { dataPath: './test-data' }).init().catch(error => error);
+    assert.strictEqual(noKey.code, 'ENCRYPTION_KEY_REQUIRED');
+
+    // Измененный шифротекст не расшифровывается в мусор, а дает IntegrityError
+    const tampered = Buffer.from(secretsLogData);
+    tampered[tampered.length - 1] ^= 0xff;
+    await fs.writeFile(secretsLog, tampered);
+    const tamperedDb = new bsondb.Database('vaultdb', vaultOptions);
+    await tamperedDb.init();
+    await assert.rejects(() => tamperedDb.collection('secrets').find().toArray(), bsondb.IntegrityError);
+    await tamperedDb.close();
+
+    // Данные старого формата aes-256-cbc читаются и перезаписываются в новом
+    const legacyDir = path.join('./test-data', 'legacydb', 'items');
+    await fs.mkdir(legacyDir, { recursive: true });
+    const legacyIv = crypto.randomBytes(16);
+    const legacyCipher = crypto.createCipheriv('aes-256-cbc', crypto.createHash('sha256').update('vault-key').digest(), legacyIv);
+    const legacyPlain = serialize({ documents: [{ _id: new ObjectId(), name: 'old' }] });
+    await fs.writeFile(
+      path.join(legacyDir, 'data.bson'),
+      Buffer.concat([legacyIv, legacyCipher.update(legacyPlain), legacyCipher.final()])
+    );
+    // Неверный ключ не записывает свой id в базу старого формата
+    const legacyWrongKey = new bsondb.Database('legacydb', { ...vaultOptions, encryptionKey: 'guess' });
+    await assert.rejects(() => legacyWrongKey.init(), { code: 'WRONG_ENCRYPTION_KEY' });
+    assert.ok(!(await fs.readdir(path.join('./test-data', 'legacydb'))).includes('_encryption.bson'));
+    const legacyDb = new bsondb.Database('legacydb', vaultOptions);
+    await legacyDb.init();
+    const legacyItems = legacyDb.collection('items');
+    assert.strictEqual((await legacyItems.findOne({})).name, 'old');
+    await legacyItems.rewriteData();
+    assert.strictEqual((await fs.readFile(path.join(legacyDir, 'data.bson'))).subarray(0, 4).toString(), 'BSDB');
+    assert.strictEqual(await legacyItems.count({ name: 'old' }), 1);
+    await legacyDb.close();
+    console.log('✓ AES-256-GCM data rejected wrong keys and tampering');
+
+    // Test 31: Encryption key rotation
+    console.log('31. Testing encryption key rotation...');
+    const keysDb = new bsondb.Database('keysdb', { dataPath: './test-data' });
+    await keysDb.init();
+    const ledger = await keysDb.createCollection('ledger');
+    await ledger.createIndex('account');
+    await ledger.insertMany([{ account: 'a', amount: 10 }, { account: 'b', amount: 20 }]);
+    const receipts = await keysDb.createCollection('receipts', { versionKey: '__v' });
+    await receipts.insertOne({ number: 1 });
+
+    // Шифрование открытой базы; база остается доступной
+    const staleKeysDb = new bsondb.Database('keysdb', { dataPath: './test-data' });
+    await staleKeysDb.init();
+    const enableReport = await keysDb.rotateEncryptionKey(null, 'key-one');
+    // Экземпляр со старым ключом не пишет в базу после смены ключа
+    await assert.rejects(() => staleKeysDb.collection('ledger').insertOne({ account: 'x' }), { code: 'ENCRYPTION_KEY_CHANGED' });
+    await assert.rejects(() => staleKeysDb.createCollection('stale'), { code: 'ENCRYPTION_KEY_CHANGED' });
+    await staleKeysDb.close();
+    assert.strictEqual(enableReport.collections, 2);
+    assert.ok(enableReport.verified >= enableReport.rewritten);
+    assert.strictEqual(keysDb.getEncryptionStatus().algorithm, 'aes-256-gcm');
+    await ledger.insertOne({ account: 'c', amount: 30 });
+    assert.strictEqual(await ledger.count({ account: 'b' }), 1);
+
+    // Сбой посреди смены ключа: часть коллекций уже перешифрована
+    const originalReencrypt = receipts.reencrypt;
+    receipts.reencrypt = async () => { throw new Error('simulated crash'); };
+    await assert.rejects(() => keysDb.rotateEncryptionKey('key-one', 'key-two'), /simulated crash/);
+    receipts.reencrypt = originalReencrypt;
+    await keysDb.close();
+
+    // До завершения смены нужны оба ключа
+    await assert.rejects(
+      () => new bsondb.Database('keysdb', { dataPath: './test-data', encryptionKey: 'key-two' }).init(),
+      bsondb.EncryptionKeyError
+    );
+    const resumedKeysDb = new bsondb.Database('keysdb', {
+      dataPath: './test-data',
+      encryptionKey: 'key-one',
+      decryptionKeys: ['key-two']
+    });
+    await resumedKeysDb.init();
+    assert.strictEqual(await resumedKeysDb.collection('ledger').count(), 3);
+    await assert.rejects(() => resumedKeysDb.rotateEncryptionKey('key-one', 'key-three'), /in progress/);
+    const resumeReport = await resumedKeysDb.rotateEncryptionKey('key-one', 'key-two');
+    assert.ok(resumeReport.rewritten < enableReport.rewritten);
+    await resumedKeysDb.close();
+
+    const rotatedKeysDb = new bsondb.Database('keysdb', { dataPath: './test-data', encryptionKey: 'key-two' });
+    await rotatedKeysDb.init();
+    assert.strictEqual((await rotatedKeysDb.collection('receipts').findOne({ number: 1 })).__v, 0);
+    assert.strictEqual((await rotatedKeysDb.collection('ledger').find({ account: 'c' }, { explain: true })).strategy, 'IXSCAN');
+    await assert.rejects(() => rotatedKeysDb.rotateEncryptionKey('key-one', null), bsondb.EncryptionKeyError);
+    await rotatedKeysDb.rotateEncryptionKey('key-two', null);
+    await rotatedKeysDb.close();
+    await assert.rejects(
+      () => new bsondb.Database('keysdb', { dataPath: './test-data', encryptionKey: 'key-one' }).init(),
+      { code: 'DATABASE_NOT_ENCRYPTED' }
+    );
+
+    const plainKeysDb = new bsondb.Database('keysdb', { dataPath: './test-data' });
+    await plainKeysDb.init();
+    assert.strictEqual(await plainKeysDb.collection('ledger').count(), 3);
+    await plainKeysDb.close();
+    console.log('✓ Encryption key rotated, resumed after a crash and removed');
+
+    // Test 32: Field-level encryption
+    console.log('32. Testing field-level encryption...');
+    const clinicDb = new bsondb.Database('clinicdb', { dataPath: './test-data', encryptionKey: 'clinic-key' });
+    await clinicDb.init();
+    const patients = await clinicDb.createCollection('patients');
+    const Patient = new bsondb.Model('Patient', {
+      name: { type: 'string', required: true },
+      ssn: { type: 'string', encrypt: true, deterministic: true },
+      diagnosis: { type: 'object', encrypt: true }
+    });
+    Patient.setCollection(patients);
+    await Patient.createIndex('ssn', { unique: true });
+
+    const patient = await Patient.create({ name: 'Ann', ssn: '123-45', diagnosis: { code: 'J06', severity: 2 } });
+    assert.strictEqual(patient.ssn, '123-45');
+    await Patient.create([{ name: 'Bob', ssn: '678-90', diagnosis: { code: 'K21' } }, { name: 'Eve' }]);
+
+    // В коллекции хранятся только шифротексты; равные значения совпадают
+    const storedPatient = await patients.findOne({ name: 'Ann' });
+    assert.ok(clinicDb.encryption.isEncryptedValue(storedPatient.ssn));
+    assert.ok(clinicDb.encryption.isEncryptedValue(storedPatient.diagnosis));
+    assert.strictEqual(clinicDb.encryption.encryptValue('123-45', { deterministic: true }), storedPatient.ssn);
+    assert.notStrictEqual(clinicDb.encryption.encryptValue({ code: 'J06', severity: 2 }), storedPatient.diagnosis);
+    assert.strictEqual((await patients.findOne({ name: 'Eve' })).ssn, undefined);
+
+    assert.deepStrictEqual((await Patient.findOne({ ssn: '123-45' })).diagnosis, { code: 'J06', severity: 2 });
+    assert.strictEqual((await Patient.find({ ssn: { $in: ['678-90', '000'] } }))[0].name, 'Bob');
+    assert.strictEqual(await Patient.count({ ssn: { $ne: '123-45' } }), 2);
+    assert.strictEqual((await patients.find(Patient.encryptQuery({ ssn: '678-90' }), { explain: true })).strategy, 'IXSCAN');
+    await assert.rejects(() => Patient.find({ diagnosis: { code: 'K21' } }), bsondb.QueryError);
+    await assert.rejects(() => Patient.find({ ssn: { $gt: '1' } }), bsondb.QueryError);
+    await assert.rejects(() => Patient.create({ name: 'Dup', ssn: '123-45' }), bsondb.DuplicateKeyError);
+
+    const updatedPatient = await Patient.updateOne({ ssn: '678-90' }, { $set: { diagnosis: { code: 'K29' } } });
+    assert.strictEqual(updatedPatient.diagnosis.code, 'K29');
+    await assert.rejects(
+      () => Patient.updateOne({ ssn: '678-90' }, { $set: { 'diagnosis.code': 'X' } }),
+      bsondb.UpdateError
+    );
+
+    // Смена ключа перешифровывает поля и перестраивает индекс по ним
+    await clinicDb.rotateEncryptionKey('clinic-key', 'clinic-key-2');
+    assert.strictEqual((await Patient.findOne({ ssn: '678-90' })).diagnosis.code, 'K29');
+    assert.strictEqual((await patients.find(Patient.encryptQuery({ ssn: '123-45' }), { explain: true })).strategy, 'IXSCAN');
+    assert.strictEqual((await Patient.deleteOne({ ssn: '123-45' })).name, 'Ann');
+    await clinicDb.close();
+
+    const plainClinicDb = new bsondb.Database('plainclinicdb', { dataPath: './test-data' });
+    await plainClinicDb.init();
+    const plainPatients = await plainClinicDb.createCollection('patients');
+    assert.throws(() => Patient.setCollection(plainPatients), bsondb.EncryptionKeyError);
+    await plainClinicDb.close();
+    console.log('✓ Encrypted fields stored as ciphertext and queried by equality');
+
+    // Test 33: Backup and restore
+    console.log('33. Testing backup and restore...');
+    const storeOptions = { dataPath: './test-data', encryptionKey: 'store-key' };
+    const storeDb = new bsondb.Database('storedb', storeOptions);
+    await storeDb.init();
+    const storeSales = await storeDb.createCollection('sales');
+    await storeSales.createIndex('status');
+    await storeSales.insertMany([{ n: 1, status: 'new' }, { n: 2, status: 'new' }]);
+    await storeDb.fileStorage.init();
+    const invoicePath = path.join('./test-data', 'invoice.txt');
+    await fs.writeFile(invoicePath, 'invoice #1');
+    const invoiceId = await storeDb.fileStorage.storeFile(invoicePath);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const beforeMistake = new Date();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await storeSales.updateMany({}, { $set: { status: 'cancelled' } });
+    await storeSales.deleteOne({ n: 2 });
+
+    // Запись во время копирования не нарушает согласованность архива
+    const archivePath = path.join('./test-data', 'backups', 'store.bsdb');
+    const [backupReport] = await Promise.all([
+      storeDb.backup(archivePath),
+      storeSales.insertOne({ n: 3, status: 'new' })
+    ]);
+    assert.ok(backupReport.files > 0);
+    assert.ok(!(await fs.readFile(archivePath)).includes(Buffer.from('cancelled')));
+
+    const restoredStore = await bsondb.Database.restore(archivePath, { ...storeOptions, name: 'storecopy' });
+    const restoredSales = restoredStore.collection('sales');
+    assert.ok([1, 2].includes(await restoredSales.count()));
+    assert.strictEqual(await restoredSales.count({ status: 'cancelled' }), 1);
+    assert.strictEqual((await restoredSales.find({ status: 'cancelled' }, { explain: true })).strategy, 'IXSCAN');
+    await restoredStore.fileStorage.init();
+    const restoredInvoice = await restoredStore.fileStorage.getFileStream(invoiceId);
+    assert.strictEqual((await restoredInvoice.read()).toString(), 'invoice #1');
+    await restoredStore.close();
+
+    // Восстановление на момент до ошибочных изменений
+    const rewoundStore = await bsondb.Database.restore(archivePath, {
+      ...storeOptions,
+      name: 'storecopy',
+      until: beforeMistake,
+      overwrite: true
+    });
+    const rewoundSales = rewoundStore.collection('sales');
+    assert.deepStrictEqual((await rewoundSales.find({}, { sort: { n: 1 } })).map(sale => sale.status), ['new', 'new']);
+    assert.strictEqual(await rewoundSales.count({ status: 'new' }), 2);
+    assert.strictEqual(await rewoundSales.count({ status: 'cancelled' }), 0);
+    await rewoundStore.close();
+
+    // Восстановленная база не открылась - прежняя возвращается на место
+    const originalInit = bsondb.Database.prototype.init;
+    bsondb.Database.prototype.init = async function () {
+      throw new bsondb.LockTimeoutError('lock is busy');
+    };
+    try {
+      await assert.rejects(
+        () => bsondb.Database.restore(archivePath, { ...storeOptions, name: 'storecopy', overwrite: true }),
+        bsondb.LockTimeoutError
+      );
+    } finally {
+      bsondb.Database.prototype.init = originalInit;
+    }
+    assert.ok(!(await fs.readdir('./test-data')).some(entry => entry.startsWith('storecopy.')));
+    const keptStore = new bsondb.Database('storecopy', storeOptions);
+    await keptStore.init();
+    assert.strictEqual(await keptStore.collection('sales').count({ status: 'new' }), 2);
+    await keptStore.close();
+
+    await assert.rejects(() => bsondb.Database.restore(archivePath, { ...storeOptions, name: 'storecopy' }), { code: 'DATABASE_EXISTS' });
+    await assert.rejects(
+      () => bsondb.Database.restore(archivePath, { dataPath: './test-data', name: 'storenokey', until: beforeMistake }),
+      bsondb.EncryptionKeyError
+    );
+    // Без ключа база не появляется, и повторное восстановление с ключом проходит
+    await assert.rejects(
+      () => bsondb.Database.restore(archivePath, { dataPath: './test-data', name: 'storenokey' }),
+      bsondb.EncryptionKeyError
+    );
+    await assert.rejects(
+      () => bsondb.Database.restore(archivePath, { ...storeOptions, encryptionKey: 'wrong', name: 'storenokey' }),
+      bsondb.EncryptionKeyError
+    );
+    assert.ok(!(await fs.readdir('./test-data')).some(entry => entry.startsWith('storenokey')));
+    await (await bsondb.Database.restore(archivePath, { ...storeOptions, name: 'storenokey' })).close();
+
+    // Коллекция только с журналом операций тоже проверяется до замены базы
+    const logOnlyDb = new bsondb.Database('logonly', { dataPath: './test-data' });
+    await logOnlyDb.init();
+    const logOnly = await logOnlyDb.createCollection('events');
+    await logOnly.insertOne({ kind: 'start' });
+    await fs.unlink(logOnly.dataFile);
+    const logOnlyArchive = path.join('./test-data', 'backups', 'logonly.bsdb');
+    await logOnlyDb.backup(logOnlyArchive);
+    await logOnlyDb.close();
+    await assert.rejects(
+      () => bsondb.Database.restore(logOnlyArchive, { dataPath: './test-data', name: 'logonlycopy', encryptionKey: 'some-key' }),
+      bsondb.EncryptionKeyError
+    );
+    assert.ok(!(await fs.readdir('./test-data')).some(entry => entry.startsWith('logonlycopy')));
+
+    // Поврежденный и недописанный архивы не распаковываются
+    const archiveData = await fs.readFile(archivePath);
+    const damagedArchive = Buffer.from(archiveData);
+    damagedArchive[Math.floor(damagedArchive.length / 2)] ^= 0xff;
+    await fs.writeFile(archivePath + '.damaged', damagedArchive);
+    await assert.rejects(() => bsondb.Database.restore(archivePath + '.damaged', { ...storeOptions, name: 'storebad' }), { code: 'INVALID_BACKUP' });
+    await fs.writeFile(archivePath + '.partial', archiveData.subarray(0, archiveData.length - 10));
+    await assert.rejects(() => bsondb.Database.restore(archivePath + '.partial', { ...storeOptions, name: 'storebad' }), { code: 'INVALID_BACKUP' });
+    assert.ok(!(await fs.readdir('./test-data')).some(entry => entry.startsWith('storebad')));
+
+    // После свертки журнала момент до нее уже недоступен
+    await storeSales.compact();
+    await storeDb.backup(archivePath);
+    await assert.rejects(
+      () => bsondb.Database.restore(archivePath, { ...storeOptions, name: 'storeold', until: beforeMistake }),
+      { code: 'RESTORE_POINT_UNAVAILABLE' }
+    );
+    await storeDb.close();
+    console.log('✓ Backups restored, rewound to a point in time and validated');
+
+    // Test 34: Import and export
+    console.log('34. Testing import and export...');
+    const catalogDb = new bsondb.Database('catalogdb', { dataPath: './test-data' });
+    await catalogDb.init();
+    const items = await catalogDb.createCollection('items');
+    const supplierId = new ObjectId();
+    await items.insertMany([
+      { sku: 'A-1', name: 'Desk, oak', price: 120.5, supplier: supplierId, added: new Date('2026-01-02T03:04:05Z'), meta: { color: 'brown' } },
+      { sku: 'B-2', name: 'Lamp "Nova"', price: 30, supplier: supplierId, added: new Date('2026-02-03T00:00:00Z'), tags: ['light'] },
+      { sku: 'C-3', name: 'Chair', price: 45, added: new Date('2026-03-04T00:00:00Z') }
+    ]);
+
+    // Extended JSON сохраняет ObjectId и Date
+    const exportDir = path.join('./test-data', 'exports');
+    await fs.mkdir(exportDir, { recursive: true });
+    const jsonPath = path.join(exportDir, 'items.json');
+    assert.strictEqual((await items.exportTo(jsonPath, { sort: { sku: 1 } })).exported, 3);
+    const jsonCopy = await catalogDb.createCollection('itemsJson');
+    assert.strictEqual((await jsonCopy.importFrom(jsonPath)).inserted, 3);
+    assert.deepStrictEqual(await jsonCopy.find({}, { sort: { sku: 1 } }), await items.find({}, { sort: { sku: 1 } }));
+
+    // NDJSON читается из потока и пишется пачками
+    const ndjsonPath = path.join(exportDir, 'items.ndjson');
+    await items.exportTo(ndjsonPath, { query: { price: { $lt: 100 } } });
+    assert.strictEqual((await fs.readFile(ndjsonPath, 'utf8')).trim().split('\n').length, 2);
+    const ndjsonCopy = await catalogDb.createCollection('itemsNdjson');
+    let batches = 0;
+    const insertBatch = ndjsonCopy.insertMany.bind(ndjsonCopy);
+    ndjsonCopy.insertMany = (docs, options) => { batches++; return insertBatch(docs, options); };
+    await ndjsonCopy.importFrom(require('fs').createReadStream(ndjsonPath), { format: 'ndjson', batchSize: 1 });
+    assert.strictEqual(batches, 2);
+    assert.ok((await ndjsonCopy.findOne({ sku: 'B-2' })).supplier.equals(supplierId));
+
+    // CSV: выбранные колонки, кавычки и подсказки типов
+    const csvPath = path.join(exportDir, 'items.csv');
+    await items.exportTo(csvPath, { fields: ['sku', 'name', 'price', 'added', 'meta.color'], sort: { sku: 1 } });
+    const csvLines = (await fs.readFile(csvPath, 'utf8')).split('\n');
+    assert.strictEqual(csvLines[0], 'sku,name,price,added,meta.color');
+    assert.strictEqual(csvLines[1], 'A-1,"Desk, oak",120.5,2026-01-02T03:04:05.000Z,brown');
+    assert.strictEqual(csvLines[2], 'B-2,"Lamp ""Nova""",30,2026-02-03T00:00:00.000Z,');
+    const csvCopy = await catalogDb.createCollection('itemsCsv');
+    const csvReport = await csvCopy.importFrom(csvPath, { types: { price: 'number', added: 'date' } });
+    assert.strictEqual(csvReport.inserted, 3);
+    const desk = await csvCopy.findOne({ sku: 'A-1' });
+    assert.strictEqual(desk.name, 'Desk, oak');
+    assert.strictEqual(desk.price, 120.5);
+    assert.ok(desk.added instanceof Date);
+    assert.deepStrictEqual(desk.meta, { color: 'brown' });
+    assert.strictEqual((await csvCopy.findOne({ sku: 'B-2' })).name, 'Lamp "Nova"');
+    await assert.rejects(() => csvCopy.importFrom(csvPath, { types: { price: 'money' } }), { code: 'BAD_OPTIONS' });
+
+    // Замена по ключу вместо повторной вставки
+    const updatesPath = path.join(exportDir, 'updates.ndjson');
+    await fs.writeFile(updatesPath, '{"sku":"A-1","name":"Desk","price":99}\n{"sku":"D-4","name":"Shelf","price":15}\n');
+    const upsertReport = await csvCopy.importFrom(updatesPath, { upsertKey: 'sku' });
+    assert.deepStrictEqual([upsertReport.updated, upsertReport.inserted], [1, 1]);
+    assert.strictEqual(await csvCopy.count({ sku: 'A-1' }), 1);
+    const replacedDesk = await csvCopy.findOne({ sku: 'A-1' });
+    assert.strictEqual(replacedDesk.price, 99);
+    assert.ok(replacedDesk._id.equals(desk._id));
+
+    // Повтор ключа в пачке: остается последний документ
+    await fs.writeFile(updatesPath, '{"sku":"D-4","price":16}\n{"sku":"D-4","price":17}\n{"sku":"E-5","price":8}\n{"sku":"E-5","price":9}\n');
+    const repeatReport = await csvCopy.importFrom(updatesPath, { upsertKey: 'sku' });
+    assert.deepStrictEqual([repeatReport.updated, repeatReport.inserted], [1, 1]);
+    assert.deepStrictEqual((await csvCopy.find({ sku: { $in: ['D-4', 'E-5'] } }, { sort: { sku: 1 } })).map(doc => doc.price), [17, 9]);
+    await csvCopy.deleteOne({ sku: 'E-5' });
+
+    // Ошибка записи пачки несет отчет об уже записанных пачках
+    await csvCopy.createIndex('name', { unique: true });
+    await fs.writeFile(updatesPath, '{"sku":"H-8","name":"Stool"}\n{"sku":"J-9","name":"Chair"}\n');
+    await assert.rejects(
+      () => csvCopy.importFrom(updatesPath, { upsertKey: 'sku', batchSize: 1 }),
+      error => error instanceof bsondb.DuplicateKeyError && error.report.inserted === 1 && error.report.processed === 2
+    );
+    await csvCopy.dropIndex('name');
+    await csvCopy.createIndex('sku');
+
+    // Пробный прогон со схемой Model ничего не записывает
+    const Item = new bsondb.Model('Item', {
+      sku: { type: 'string', required: true },
+      price: { type: 'number', min: 0 }
+    });
+    const invalidPath = path.join(exportDir, 'invalid.csv');
+    await fs.writeFile(invalidPath, 'sku,price\nE-5,10\n,5\nF-6,-1\nG-7,abc\n');
+    const dryReport = await csvCopy.importFrom(invalidPath, { model: Item, types: { price: 'number' }, dryRun: true });
+    assert.deepStrictEqual([dryReport.valid, dryReport.invalid], [1, 3]);
+    assert.deepStrictEqual(dryReport.errors.map(error => error.line), [3, 4, 5]);
+    assert.ok(/price: "abc" is not a number/.test(dryReport.errors[2].message));
+    assert.strictEqual(await csvCopy.count({ sku: 'E-5' }), 0);
+
+    // Без пробного прогона импорт останавливается на первой ошибке
+    await assert.rejects(
+      () => csvCopy.importFrom(invalidPath, { model: Item, types: { price: 'number' } }),
+      error => error instanceof bsondb.ImportError && error.line === 3
+    );
+    assert.strictEqual(await csvCopy.count({ sku: 'E-5' }), 1);
+    await catalogDb.close();
+
+    // Сообщения базы идут в logger (cli export пишет их в stderr, а не в выгрузку)
+    const messages = [];
+    const quietDb = new bsondb.Database('catalogdb', { dataPath: './test-data', logger: { log: message => messages.push(message) } });
+    await quietDb.init();
+    assert.ok(messages.some(message => message.includes('Encryption: Disabled')));
+    const streamedPath = path.join(exportDir, 'streamed.ndjson');
+    const streamedReport = await quietDb.collection('items').exportTo(streamedPath, { sort: { sku: -1 } });
+    assert.strictEqual(streamedReport.exported, 3);
+    const streamedLines = (await fs.readFile(streamedPath, 'utf8')).trim().split('\n');
+    assert.deepStrictEqual(streamedLines.map(line => EJSON.parse(line).sku), ['C-3', 'B-2', 'A-1']);
+    await quietDb.close();
+
+    // Предупреждения - в logger.warn; поврежденный файл индекса пересоздается
+    await fs.writeFile(path.join('./test-data', 'catalogdb', 'itemsCsv', '_index_sku.bson'), 'garbage');
+    const warnings = [];
+    const warnedDb = new bsondb.Database('catalogdb', {
+      dataPath: './test-data',
+      logger: { log: () => {}, warn: (...args) => warnings.push(args.join(' ')) }
+    });
+    await warnedDb.init();
+    assert.ok(warnings.some(warning => warning.includes('_index_sku.bson of itemsCsv is unreadable')));
+    await warnedDb.close();
+    console.log('✓ Collections exported and imported as Extended JSON, NDJSON and CSV');
+
+    // Test 35: Database stats
+    console.log('35. Testing database statistics...');
     const stats = await db.stats();
     console.log('✓ Database stats:', stats);
 
-    // Test 12: Cleanup
-    console.log('12. Testing cleanup...');
+    // Test 36: Cleanup
+    console.log('36. Testing cleanup...');
     await db.dropCollection('users');
     await bsondb.disconnect('testdb');
     